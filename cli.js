@@ -0,0 +1,574 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { createLifiClient } from './lib/lifi-client.js';
+import { checkConnection, requestQuote } from './lib/quote.js';
+import { compareRoutes, formatRouteComparison } from './lib/routes.js';
+import { runSwap, createRouteSelector } from './lib/swap-flow.js';
+import { loadPlan, runSchedule } from './lib/dca.js';
+import { DEFAULT_MAX_POLLS, DEFAULT_WATCH_INTERVAL, runWatch } from './lib/watch.js';
+import { trackTransfer } from './lib/status-tracker.js';
+import { analyzeTransaction } from './lib/analyze.js';
+import { DEFAULT_SCENARIO_FILE, loadScenarioFile, runScenarios, logScenarioSummary } from './lib/scenarios.js';
+import { runSweep, logSweep, formatSweepCsv } from './lib/sweep.js';
+import { resolveAmount, resolveTokenAddress } from './lib/tokens.js';
+import { resolveTokenChain } from './lib/chains.js';
+import { selectWallet, loadWalletConfig, encryptSolanaKeystore, promptPassword } from './lib/wallets.js';
+import { validateAddress, validateAddresses } from './lib/validation.js';
+import { loadGuardrails } from './lib/guardrails.js';
+import { loadPriorityFee } from './lib/compute-budget.js';
+import { loadConfig, createConnection } from './lib/config.js';
+import { createLogger, readEvents, getEventsFile } from './lib/logger.js';
+import { summarizeRuns, formatMarkdownReport, formatCsvReport } from './lib/report.js';
+
+dotenv.config();
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  quote       Request a single quote and log its details
+  routes      Compare every available route side by side
+  swap        Quote, simulate, confirm and execute a swap
+  status      Track a cross-chain transfer until it settles
+  analyze     Analyze a Solana swap transaction
+  scenarios   Run scenario files and check their expectations
+  sweep       Quote a range of trade sizes and chart rate, price impact and fees
+  dca         Run a plan of batch or recurring swaps (--file) without prompts
+  watch       Poll quotes and swap once the rate reaches --min-rate or --max-rate
+  report      Summarize logged runs as Markdown or CSV
+  wallets     List configured wallets and their addresses
+  keystore    Encrypt a Solana CLI keypair file (--file) into a keystore (--output)
+
+Options:
+  --from-chain <chain>       Source chain (default: chain of --from-token, or sol; status: sol for a Solana signature, required otherwise)
+  --to-chain <chain>         Destination chain (default: chain of --to-token, or sol; required for status)
+  --from-token <token>       Token to send: address, symbol or SYMBOL@chain (default: wSOL, So11111111111111111111111111111111111111112)
+  --to-token <token>         Token to receive: address, symbol or SYMBOL@chain (default: USDT on Solana)
+  --amount <amount>          Amount to send, e.g. 0.01 or "0.25 SOL" (default: 0.01)
+  --from-address <address>   Sender address (default: wallet address, then the profile's default)
+  --to-address <address>     Recipient address (default: the profile's default if valid there, then the wallet's address on that chain)
+  --slippage <percent>       Maximum slippage in percent, e.g. 0.5
+  --route <n>                Execute route number n from the comparison (swap)
+  --max-slippage <percent>   Abort if the quote allows more slippage (default: 1)
+  --min-received <amount>    Abort if the minimum received is below this amount of the target token
+  --max-fee-share <percent>  Abort if gas and fees exceed this share of the input value (default: 5)
+  --max-price-impact <pct>   Abort if the USD value lost exceeds this percentage (default: 3)
+  --min-rate <rate>          Abort (swap) or wait (watch) while 1 source token buys less than this
+  --max-rate <rate>          Abort (swap) or wait (watch) while 1 source token buys more than this
+  --priority-fee <auto|n>    Compute unit price in micro-lamports, or auto to estimate it (default: PRIORITY_FEE or the quote's)
+  --compute-unit-limit <n>   Compute unit limit for Solana swaps (default: COMPUTE_UNIT_LIMIT or the quote's)
+  --max-priority-fee <n>     Most lamports to spend on the priority fee (default: MAX_PRIORITY_FEE, no cap)
+  --min-amount <amount>      Smallest size to quote (sweep, default: 0.01)
+  --max-amount <amount>      Largest size to quote (sweep, default: 100)
+  --steps <n>                Number of log-spaced sizes (sweep, default: 8)
+  --output <file>            Write the sweep CSV or the keystore to this file
+  --tx-hash <hash>           Transaction hash or signature (status, analyze)
+  --bridge <tool>            Bridge that carried the transfer (status)
+  --analyzer <rpc|shyft>     Analyzer backend (default: ANALYZER_BACKEND or rpc)
+  --file <path>              Scenario or plan file, JSON or YAML (default: scenarios/default.yaml)
+  --state <file>             Plan state file (dca, default: .dca/<plan name>.json)
+  --max-spend <amount>       Most the dca plan may spend in total, e.g. "0.5 SOL"; repeat for more tokens (default: the plan's maxSpend)
+  --once                     Run the swaps that are due and exit instead of waiting for the next one (dca)
+  --interval <duration>      Time between quotes, e.g. 30s or 5m (watch, default: ${DEFAULT_WATCH_INTERVAL})
+  --max-polls <n>            Most quotes to request before giving up (watch, default: ${DEFAULT_MAX_POLLS})
+  --expires <time>           Give up after a duration such as 6h, or at an ISO date and time (watch)
+  --format <markdown|csv>    Report format (default: markdown)
+  --events <file>            Events file to report on (default: events.jsonl)
+  --run <id>                 Only report on this run ID
+  --wallet <name>            Wallet from wallets.json (default: WALLET or the file's default)
+  --profile <name>           Config profile: mainnet, devnet, local or one from config.yaml (default: PROFILE or mainnet)
+  --dry-run                  Simulate the swap without sending it (swap, dca, watch)
+  --yes                      Do not ask for confirmation
+  --json                     Print the result as JSON on stdout
+  --help                     Show this help
+`;
+
+const OPTIONS = {
+    'from-chain': { type: 'string' },
+    'to-chain': { type: 'string' },
+    'from-token': { type: 'string', default: 'So11111111111111111111111111111111111111112' },
+    'to-token': { type: 'string', default: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' },
+    'amount': { type: 'string', default: '0.01' },
+    'from-address': { type: 'string' },
+    'to-address': { type: 'string' },
+    'slippage': { type: 'string' },
+    'route': { type: 'string' },
+    'max-slippage': { type: 'string' },
+    'min-received': { type: 'string' },
+    'max-fee-share': { type: 'string' },
+    'max-price-impact': { type: 'string' },
+    'min-rate': { type: 'string' },
+    'max-rate': { type: 'string' },
+    'priority-fee': { type: 'string' },
+    'compute-unit-limit': { type: 'string' },
+    'max-priority-fee': { type: 'string' },
+    'min-amount': { type: 'string', default: '0.01' },
+    'max-amount': { type: 'string', default: '100' },
+    'steps': { type: 'string', default: '8' },
+    'output': { type: 'string' },
+    'tx-hash': { type: 'string' },
+    'bridge': { type: 'string' },
+    'analyzer': { type: 'string' },
+    'file': { type: 'string', multiple: true },
+    'state': { type: 'string' },
+    'max-spend': { type: 'string', multiple: true },
+    'once': { type: 'boolean', default: false },
+    'interval': { type: 'string' },
+    'max-polls': { type: 'string' },
+    'expires': { type: 'string' },
+    'format': { type: 'string', default: 'markdown' },
+    'events': { type: 'string' },
+    'run': { type: 'string' },
+    'wallet': { type: 'string' },
+    'profile': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    'yes': { type: 'boolean', default: false },
+    'json': { type: 'boolean', default: false },
+    'help': { type: 'boolean', default: false }
+};
+
+// Ask a yes/no question on the terminal
+function askConfirmation(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y');
+        });
+    });
+}
+
+// Turn command-line flags into Li.Fi swap parameters, failing on bad chains or addresses before any quote
+async function buildSwapParams(values, { lifi, wallet, config, log }) {
+    const from = await resolveTokenChain(lifi, values['from-chain'], values['from-token'], { log });
+    const to = await resolveTokenChain(lifi, values['to-chain'], values['to-token'], { log });
+
+    const fromAddress = values['from-address'] || wallet.getAddress(from.chain.chainType) || config.defaults.fromAddress;
+
+    if (!fromAddress) {
+        throw new Error('No sender address: pass --from-address or configure a wallet');
+    }
+
+    // The profile's recipient only counts on a chain it is valid for; across chain types the wallet's own address is used
+    const defaultToAddress = config.defaults.toAddress && !validateAddress(to.chain, config.defaults.toAddress)
+        ? config.defaults.toAddress
+        : undefined;
+    const toAddress = values['to-address'] || defaultToAddress
+        || (to.chain.chainType === from.chain.chainType ? fromAddress : wallet.getAddress(to.chain.chainType));
+    const addressErrors = validateAddresses({ fromAddress, toAddress }, { fromChain: from.chain, toChain: to.chain });
+    if (addressErrors.length > 0) {
+        throw new Error(addressErrors.join('\n'));
+    }
+
+    const { fromAmount, token } = await resolveAmount(lifi, {
+        chain: from.chain.key,
+        token: from.token,
+        amount: values.amount
+    }, { log });
+
+    const params = {
+        fromChain: from.chain.key,
+        toChain: to.chain.key,
+        fromToken: token.address,
+        toToken: await resolveTokenAddress(lifi, to.chain.key, to.token, { log }),
+        fromAmount,
+        fromAddress,
+        toAddress
+    };
+
+    if (values.slippage !== undefined) {
+        const slippage = Number(values.slippage);
+        if (!Number.isFinite(slippage) || slippage <= 0 || slippage >= 100) {
+            throw new Error(`Invalid slippage: ${values.slippage}`);
+        }
+        params.slippage = slippage / 100;
+    }
+
+    return params;
+}
+
+// Load the signer for the source chain of --from-token, which swap and watch need before anything is sent
+async function loadSigner(values, context) {
+    const { chain } = await resolveTokenChain(context.lifi, values['from-chain'], values['from-token'], { log: context.log });
+    if (chain.chainType === 'SVM') {
+        context.solanaWallet = await context.wallet.getSolanaSigner();
+    } else if (chain.chainType === 'EVM') {
+        context.evmWallet = await context.wallet.getEvmSigner(context.config.evm.rpcUrl);
+    } else {
+        throw new Error(`Swapping from ${chain.name} is not supported: no ${chain.chainType} wallet`);
+    }
+}
+
+// Guardrails from the defaults, the environment and the guardrail flags
+function guardrailsFromFlags(values) {
+    return loadGuardrails({
+        maxSlippage: values['max-slippage'],
+        minReceived: values['min-received'],
+        maxFeeShare: values['max-fee-share'],
+        maxPriceImpact: values['max-price-impact'],
+        minRate: values['min-rate'],
+        maxRate: values['max-rate']
+    });
+}
+
+// Priority fee settings from the environment and the fee flags
+function priorityFeeFromFlags(values) {
+    return loadPriorityFee({
+        computeUnitPrice: values['priority-fee'],
+        computeUnitLimit: values['compute-unit-limit'],
+        maxPriorityFee: values['max-priority-fee']
+    });
+}
+
+// Confirmation for runSwap: answered by --yes, otherwise asked on the terminal
+function confirmFromFlags(values, context) {
+    return async (message) => {
+        if (values.yes) {
+            context.log(message + 'yes (--yes)');
+            return true;
+        }
+        return askConfirmation(message);
+    };
+}
+
+// Source chain a transaction hash belongs to when its format tells: only Solana signatures are base58
+function chainFromTxHash(txHash) {
+    return /^[1-9A-HJ-NP-Za-km-z]{86,88}$/.test(txHash) ? 'sol' : undefined;
+}
+
+// Drop the raw route objects so comparisons serialize compactly
+function serializeComparison({ summaries, rankings }) {
+    return {
+        routes: summaries.map(({ route, ...summary }) => summary),
+        rankings
+    };
+}
+
+const COMMANDS = {
+    async quote(values, context) {
+        const params = await buildSwapParams(values, context);
+        await checkConnection(context.lifi, params, { log: context.log });
+        return requestQuote(context.lifi, params, { log: context.log });
+    },
+
+    async routes(values, context) {
+        const params = await buildSwapParams(values, context);
+        const comparison = await compareRoutes(context.lifi, params);
+        formatRouteComparison(comparison).forEach(line => context.log(line));
+        return serializeComparison(comparison);
+    },
+
+    async swap(values, context) {
+        await loadSigner(values, context);
+        const params = await buildSwapParams(values, context);
+        const guardrails = guardrailsFromFlags(values);
+        const priorityFee = priorityFeeFromFlags(values);
+
+        if (!values.yes && !values['dry-run'] && !process.stdin.isTTY) {
+            throw new Error('Refusing to swap without --yes in a non-interactive session');
+        }
+
+        const result = await runSwap(context, params, {
+            guardrails,
+            priorityFee,
+            simulate: true,
+            dryRun: values['dry-run'],
+            selectRoute: values.route ? createRouteSelector(context, params, values.route) : undefined,
+            confirm: confirmFromFlags(values, context)
+        });
+
+        return {
+            cancelled: result.cancelled,
+            dryRun: Boolean(result.dryRun),
+            simulation: result.simulation,
+            computeBudget: result.computeBudget,
+            signature: result.signature,
+            transfer: result.transfer,
+            analysis: result.analysis,
+            reconciliation: result.reconciliation,
+            quote: result.quote
+        };
+    },
+
+    async status(values, context) {
+        if (!values['tx-hash']) {
+            throw new Error('--tx-hash is required');
+        }
+        // An EVM hash does not say which EVM chain it is on, and no hash says where the transfer goes
+        const fromChain = values['from-chain'] || chainFromTxHash(values['tx-hash']);
+        if (!fromChain) {
+            throw new Error('--from-chain is required for a transaction hash that is not a Solana signature');
+        }
+        if (!values['to-chain']) {
+            throw new Error('--to-chain is required');
+        }
+        return trackTransfer(context.lifi, {
+            bridge: values.bridge,
+            fromChain,
+            toChain: values['to-chain'],
+            txHash: values['tx-hash']
+        }, { log: context.log });
+    },
+
+    async analyze(values, context) {
+        if (!values['tx-hash']) {
+            throw new Error('--tx-hash is required');
+        }
+        const summary = await analyzeTransaction(values['tx-hash'], null, {
+            log: context.log,
+            connection: context.connection,
+            wallet: values['from-address'] || context.wallet.getAddress('SVM') || context.config.defaults.fromAddress,
+            config: context.config,
+            backend: values.analyzer || context.config.analyzer.backend
+        });
+        if (!summary) {
+            throw new Error(`Could not analyze transaction ${values['tx-hash']}`);
+        }
+        return summary;
+    },
+
+    async scenarios(values, context) {
+        const defaultAddress = values['from-address'] || context.wallet.getAddress('SVM');
+        if (!defaultAddress) {
+            throw new Error('No sender address: pass --from-address or configure a wallet');
+        }
+
+        const files = values.file || [DEFAULT_SCENARIO_FILE];
+        const scenarios = files.flatMap(file => loadScenarioFile(file));
+        const results = await runScenarios(context.lifi, scenarios, { log: context.log, defaultAddress });
+        if (!logScenarioSummary(results, { log: context.log })) {
+            process.exitCode = 1;
+        }
+
+        return results.map(({ name, ok, checks, quote, error }) => ({
+            name,
+            ok,
+            checks,
+            toAmount: quote?.estimate.toAmount,
+            tool: quote?.tool,
+            error: error?.message
+        }));
+    },
+
+    async sweep(values, context) {
+        const params = await buildSwapParams(values, context);
+        delete params.fromAmount;
+
+        const sweep = await runSweep(context.lifi, params, {
+            min: values['min-amount'],
+            max: values['max-amount'],
+            steps: Number(values.steps),
+            log: context.log
+        });
+        logSweep(sweep, { log: context.log });
+
+        const csv = formatSweepCsv(sweep);
+        if (values.output) {
+            fs.writeFileSync(values.output, csv);
+            context.log(`CSV written to ${values.output}`);
+        } else if (!values.json) {
+            process.stdout.write('\n' + csv);
+        }
+
+        if (sweep.points.every(point => point.error)) {
+            throw new Error('No size could be quoted');
+        }
+        return sweep.points;
+    },
+
+    async dca(values, context) {
+        if (!values.file?.[0]) {
+            throw new Error('--file <plan.yaml> is required');
+        }
+        const plan = loadPlan(values.file[0]);
+
+        // Command-line guardrails win over the plan's
+        const flags = Object.fromEntries(Object.entries({
+            maxSlippage: values['max-slippage'],
+            minReceived: values['min-received'],
+            maxFeeShare: values['max-fee-share'],
+            maxPriceImpact: values['max-price-impact'],
+            minRate: values['min-rate'],
+            maxRate: values['max-rate']
+        }).filter(([, value]) => value !== undefined));
+
+        return runSchedule(context, plan, {
+            stateFile: values.state,
+            maxSpend: values['max-spend'] || plan.maxSpend,
+            guardrails: loadGuardrails({ ...plan.guardrails, ...flags }),
+            priorityFee: priorityFeeFromFlags(values),
+            once: values.once,
+            dryRun: values['dry-run']
+        });
+    },
+
+    async watch(values, context) {
+        if (values['min-rate'] === undefined && values['max-rate'] === undefined) {
+            throw new Error('--min-rate or --max-rate is required');
+        }
+        if (!values.yes && !values['dry-run'] && !process.stdin.isTTY) {
+            throw new Error('Refusing to watch without --yes in a non-interactive session');
+        }
+
+        await loadSigner(values, context);
+        const params = await buildSwapParams(values, context);
+        const watch = await runWatch(context, params, {
+            guardrails: guardrailsFromFlags(values),
+            priorityFee: priorityFeeFromFlags(values),
+            confirm: confirmFromFlags(values, context),
+            dryRun: values['dry-run'],
+            interval: values.interval,
+            maxPolls: values['max-polls'] !== undefined ? Number(values['max-polls']) : undefined,
+            expires: values.expires
+        });
+        if (!['executed', 'dry-run'].includes(watch.status)) {
+            process.exitCode = 1;
+        }
+
+        const { result } = watch;
+        return {
+            status: watch.status,
+            polls: watch.polls,
+            observations: watch.observations,
+            signature: result?.signature,
+            simulation: result?.simulation,
+            reconciliation: result?.reconciliation,
+            quote: result?.quote
+        };
+    },
+
+    async wallets(values, context) {
+        const config = loadWalletConfig();
+        return Object.keys(config.wallets).map(name => {
+            const wallet = selectWallet(name, { config });
+            const summary = {
+                name,
+                default: name === config.default,
+                solana: wallet.getAddress('SVM'),
+                evm: wallet.getAddress('EVM'),
+                keys: wallet.describe()
+            };
+            context.log(`\n${summary.default ? '* ' : ''}${name}`);
+            context.log(`  Solana: ${summary.solana || 'none'} (${summary.keys.solana})`);
+            context.log(`  EVM: ${summary.evm || 'none'} (${summary.keys.evm})`);
+            return summary;
+        });
+    },
+
+    async keystore(values, context) {
+        const input = values.file?.[0];
+        if (!input || !values.output) {
+            throw new Error('--file <keypair.json> and --output <keystore.json> are required');
+        }
+        if (fs.existsSync(values.output)) {
+            throw new Error(`Refusing to overwrite ${values.output}`);
+        }
+
+        let password = process.env.WALLET_PASSWORD;
+        if (!password) {
+            password = await promptPassword('New keystore password: ');
+            if (password !== await promptPassword('Repeat password: ')) {
+                throw new Error('Passwords do not match');
+            }
+        }
+        if (!password) {
+            throw new Error('Password must not be empty');
+        }
+
+        const keystore = encryptSolanaKeystore(JSON.parse(fs.readFileSync(input, 'utf8')), password);
+        fs.writeFileSync(values.output, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600 });
+        context.log(`✅ Keystore for ${keystore.publicKey} written to ${values.output}`);
+        return { publicKey: keystore.publicKey, file: values.output };
+    },
+
+    async report(values) {
+        const formatters = { markdown: formatMarkdownReport, csv: formatCsvReport };
+        const formatReport = formatters[values.format];
+        if (!formatReport) {
+            throw new Error(`Unknown report format: ${values.format}`);
+        }
+
+        const file = values.events || getEventsFile();
+        const events = readEvents(file).filter(event => !values.run || event.runId === values.run);
+        if (events.length === 0) {
+            throw new Error(`No events found in ${file}`);
+        }
+
+        const runs = summarizeRuns(events);
+        if (!values.json) {
+            process.stdout.write(formatReport(runs));
+        }
+        return runs;
+    }
+};
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(error.message + '\n');
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    const { values, positionals } = parsed;
+    const command = COMMANDS[positionals[0]];
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!command) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    // In JSON mode stdout carries only the result, so human output goes to stderr
+    const log = createLogger({
+        script: 'cli',
+        print: values.json ? message => console.error(message) : message => console.log(message)
+    });
+    if (positionals[0] !== 'report') {
+        log.event('run_started', { command: positionals[0], args: process.argv.slice(3) });
+    }
+
+    const context = {
+        config: null,
+        lifi: null,
+        connection: null,
+        wallet: null,
+        solanaWallet: null,
+        evmWallet: null,
+        log
+    };
+
+    try {
+        context.config = loadConfig({ profile: values.profile });
+        context.lifi = createLifiClient({ baseUrl: context.config.lifi.apiUrl, apiKey: context.config.lifi.apiKey });
+        context.connection = createConnection(context.config);
+
+        // Only the address is read here; keys are loaded when a command has to sign
+        if (positionals[0] !== 'report') {
+            context.wallet = selectWallet(values.wallet);
+        }
+        const result = await command(values, context);
+        if (values.json) {
+            console.log(JSON.stringify(result, null, 2));
+        }
+    } catch (error) {
+        if (positionals[0] !== 'report') {
+            log.error(error, { command: positionals[0] });
+        }
+        log('\n❌ Error: ' + error.message);
+        if (values.json) {
+            console.log(JSON.stringify({ error: error.message }, null, 2));
+        }
+        process.exitCode = 1;
+    }
+}
+
+main();
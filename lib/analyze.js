@@ -0,0 +1,398 @@
+import fetch from 'node-fetch';
+import { PublicKey } from '@solana/web3.js';
+import { formatAmount, formatTokenAmount, formatRate, formatRateDifference, parseAmount } from './format.js';
+import { emitEvent, errorFields } from './logger.js';
+import { loadConfig } from './config.js';
+import { toSolanaMint } from './solana-transaction.js';
+
+export const ANALYZER_BACKENDS = ['rpc', 'shyft'];
+
+// Jupiter wraps and unwraps SOL within the swap, so native lamports stand in for this mint
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Sum raw token balances per mint for accounts owned by the wallet
+function sumTokenBalances(balances, owner) {
+    const totals = new Map();
+    (balances || [])
+        .filter(balance => balance.owner === owner)
+        .forEach(balance => {
+            const current = totals.get(balance.mint) || { amount: 0n, decimals: balance.uiTokenAmount.decimals };
+            current.amount += BigInt(balance.uiTokenAmount.amount);
+            totals.set(balance.mint, current);
+        });
+    return totals;
+}
+
+// Pick the largest outflow as input and the largest inflow as output
+function pickInputOutput(changes) {
+    const byDelta = [...changes].sort((a, b) => (BigInt(a.delta) < BigInt(b.delta) ? -1 : 1));
+    const input = byDelta.find(change => BigInt(change.delta) < 0n);
+    const output = byDelta.reverse().find(change => BigInt(change.delta) > 0n);
+
+    return {
+        input: input && { mint: input.mint, amount: (-BigInt(input.delta)).toString(), decimals: input.decimals },
+        output: output && { mint: output.mint, amount: output.delta, decimals: output.decimals }
+    };
+}
+
+// Parsed instructions of a transaction, inner ones included
+function allInstructions(transaction) {
+    const inner = (transaction.meta.innerInstructions || []).flatMap(set => set.instructions);
+    return [...transaction.transaction.message.instructions, ...inner];
+}
+
+// Lamports an account holds as rent: its balance minus any wrapped SOL it holds as tokens
+function rentHeld(lamports, index, tokenBalances) {
+    const wrapped = (tokenBalances || []).find(balance => balance.accountIndex === index && balance.mint === WRAPPED_SOL_MINT);
+    return lamports - (wrapped ? BigInt(wrapped.uiTokenAmount.amount) : 0n);
+}
+
+// Rent the owner deposited in accounts it created or funded, and got back from accounts closed to it
+function findRentMovements(transaction, accountKeys, owner) {
+    const funded = new Set();
+    const closed = new Set();
+    allInstructions(transaction).forEach(instruction => {
+        const { type, info } = instruction.parsed || {};
+        if (!info) return;
+        if (instruction.program === 'system' && ['createAccount', 'createAccountWithSeed'].includes(type) && info.source === owner) {
+            funded.add(info.newAccount);
+        } else if (instruction.program === 'system' && type === 'transfer' && info.source === owner) {
+            funded.add(info.destination);
+        } else if (instruction.program === 'spl-associated-token-account' && ['create', 'createIdempotent'].includes(type) && info.source === owner) {
+            funded.add(info.account);
+        } else if (['spl-token', 'spl-token-2022'].includes(instruction.program) && type === 'closeAccount' && info.destination === owner) {
+            closed.add(info.account);
+        }
+    });
+
+    // Only accounts that start or end empty count: lamports sent to a live account are a transfer, not rent
+    const { meta } = transaction;
+    let rentPaid = 0n;
+    let rentRefunded = 0n;
+    accountKeys.forEach((key, index) => {
+        const pre = BigInt(meta.preBalances[index]);
+        const post = BigInt(meta.postBalances[index]);
+        if (funded.has(key) && pre === 0n && post > 0n) rentPaid += rentHeld(post, index, meta.postTokenBalances);
+        if (closed.has(key) && pre > 0n && post === 0n) rentRefunded += rentHeld(pre, index, meta.preTokenBalances);
+    });
+    return { rentPaid, rentRefunded };
+}
+
+// Compute exact balance changes for the wallet from getParsedTransaction
+async function analyzeWithRpc(signature, { connection, wallet }) {
+    if (!connection) {
+        throw new Error('The rpc analyzer needs a Solana connection');
+    }
+
+    const transaction = await connection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+    });
+    if (!transaction) {
+        throw new Error(`Transaction ${signature} not found`);
+    }
+
+    const { meta } = transaction;
+    const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+    const feePayer = accountKeys[0];
+    const owner = wallet ? new PublicKey(wallet).toBase58() : feePayer;
+    const ownerIndex = accountKeys.indexOf(owner);
+    if (ownerIndex === -1) {
+        throw new Error(`Wallet ${owner} is not part of transaction ${signature}`);
+    }
+
+    const { rentPaid, rentRefunded } = findRentMovements(transaction, accountKeys, owner);
+
+    const fee = owner === feePayer ? BigInt(meta.fee) : 0n;
+    const lamportsDelta = BigInt(meta.postBalances[ownerIndex]) - BigInt(meta.preBalances[ownerIndex]);
+    const lamports = {
+        pre: String(meta.preBalances[ownerIndex]),
+        post: String(meta.postBalances[ownerIndex]),
+        delta: lamportsDelta.toString(),
+        fee: fee.toString(),
+        rentPaid: rentPaid.toString(),
+        rentRefunded: rentRefunded.toString(),
+        // What is left once fees and rent are accounted for, i.e. SOL actually swapped or transferred
+        other: (lamportsDelta + fee + rentPaid - rentRefunded).toString()
+    };
+
+    const pre = sumTokenBalances(meta.preTokenBalances, owner);
+    const post = sumTokenBalances(meta.postTokenBalances, owner);
+    const tokenChanges = [...new Set([...pre.keys(), ...post.keys()])].map(mint => {
+        const preAmount = pre.get(mint)?.amount || 0n;
+        const postAmount = post.get(mint)?.amount || 0n;
+        return {
+            mint,
+            decimals: (pre.get(mint) || post.get(mint)).decimals,
+            pre: preAmount.toString(),
+            post: postAmount.toString(),
+            delta: (postAmount - preAmount).toString()
+        };
+    });
+
+    // Native SOL swaps leave no wrapped SOL behind, so count the net lamport movement as wrapped SOL
+    const swapChanges = tokenChanges.filter(change => change.delta !== '0');
+    if (!swapChanges.some(change => change.mint === WRAPPED_SOL_MINT) && lamports.other !== '0') {
+        swapChanges.push({ mint: WRAPPED_SOL_MINT, decimals: 9, delta: lamports.other });
+    }
+
+    return {
+        signature,
+        backend: 'rpc',
+        timestamp: transaction.blockTime ? new Date(transaction.blockTime * 1000).toISOString() : null,
+        slot: transaction.slot,
+        status: meta.err ? 'Failed' : 'Success',
+        error: meta.err,
+        wallet: owner,
+        fee: fee.toString(),
+        lamports,
+        tokenChanges,
+        ...pickInputOutput(swapChanges)
+    };
+}
+
+// Decimals of a mint: known for wrapped SOL and the quoted tokens, otherwise read from the mint account
+async function findMintDecimals(mint, { quote, connection }) {
+    if (mint === WRAPPED_SOL_MINT) return 9;
+
+    const token = [quote?.action.fromToken, quote?.action.toToken].find(item => item && toSolanaMint(item.address) === mint);
+    if (token) return token.decimals;
+
+    if (!connection) {
+        throw new Error(`Decimals of ${mint} are unknown: the shyft analyzer needs a quote or a Solana connection`);
+    }
+    const supply = await connection.getTokenSupply(new PublicKey(mint));
+    return supply.value.decimals;
+}
+
+// Shyft sends token amounts as JSON numbers; spell out small ones such as 1e-7 so they parse exactly
+function toDecimalString(value) {
+    const text = String(value);
+    const match = /^(\d)(?:\.(\d+))?e-(\d+)$/.exec(text);
+    if (!match) return text;
+    const [, head, tail = '', exponent] = match;
+    return `0.${'0'.repeat(Number(exponent) - 1)}${head}${tail}`;
+}
+
+// Turn a Shyft transfer, given in token units, into base units like the rpc backend
+async function toBaseUnits(transfer, options) {
+    const { token_address: mint, amount } = transfer.info;
+    const decimals = await findMintDecimals(mint, options);
+    return { mint, amount: parseAmount(toDecimalString(amount), decimals), decimals };
+}
+
+// Fetch Shyft's parsed view of the transaction and map it onto the same summary
+async function analyzeWithShyft(signature, { log, config, quote, connection }) {
+    const { shyftApiUrl, shyftApiKey: apiKey } = config.analyzer;
+    if (!apiKey) {
+        throw new Error('SHYFT_API_KEY is not set in .env file');
+    }
+
+    const shyftResponse = await fetch(
+        `${shyftApiUrl}/transaction/parsed?network=${config.solana.cluster}&txn_signature=${signature}`,
+        {
+            method: 'GET',
+            headers: {
+                'x-api-key': apiKey,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+
+    if (!shyftResponse.ok) {
+        const errorText = await shyftResponse.text();
+        log('\n⚠️ Shyft API error:');
+        log(`Status: ${shyftResponse.status}`);
+        log(`Response: ${errorText}`);
+        throw new Error(`Shyft API error: ${shyftResponse.status} - ${errorText}`);
+    }
+
+    const data = await shyftResponse.json();
+
+    if (!data.success) {
+        log('\n⚠️ Shyft API returned error:');
+        log(JSON.stringify(data, null, 2));
+        throw new Error(`Shyft API error: ${data.message || 'Unknown error'}`);
+    }
+
+    const result = data.result;
+    const summary = {
+        signature,
+        backend: 'shyft',
+        timestamp: result.timestamp,
+        status: result.status,
+        wallet: result.fee_payer,
+        // Shyft reports the fee in SOL
+        fee: String(Math.round(Number(result.fee) * 1e9))
+    };
+
+    // Shyft only lists transfers, so match them to the swapper
+    const swapAction = result.actions?.find(action => action.type === 'SWAP');
+    if (swapAction) {
+        const { info } = swapAction;
+        summary.wallet = info.swapper;
+        summary.swap = {
+            slippageInPercent: info.slippage_in_percent,
+            quotedOutAmount: info.quoted_out_amount,
+            slippagePaid: info.slippage_paid
+        };
+
+        const inputTransfer = result.actions.find(action =>
+            action.type === 'TOKEN_TRANSFER' && action.info.sender === info.swapper
+        );
+        const outputTransfer = result.actions.find(action =>
+            action.type === 'TOKEN_TRANSFER' && action.info.receiver === info.swapper
+        );
+        if (inputTransfer) {
+            summary.input = await toBaseUnits(inputTransfer, { quote, connection });
+        }
+        if (outputTransfer) {
+            summary.output = await toBaseUnits(outputTransfer, { quote, connection });
+        }
+    }
+
+    return summary;
+}
+
+// Log the quoted vs actual amounts and rates of a swap
+function logQuoteComparison(quote, input, output, log) {
+    const { fromToken, toToken } = quote.action;
+
+    log('\nToken Transfers:');
+    log(`Input: ${formatAmount(input.amount, fromToken.decimals)} ${fromToken.symbol}`);
+    log(`Output: ${formatAmount(output.amount, toToken.decimals)} ${toToken.symbol}`);
+
+    // Calculate and log rate using proper decimals
+    const actualRate = formatRate(input.amount, fromToken.decimals, output.amount, toToken.decimals);
+    log(`Rate: 1 ${fromToken.symbol} = ${actualRate} ${toToken.symbol}`);
+
+    log('\n=== Quote vs Actual Comparison ===');
+    log('\nInput Amount:');
+    log(`Quote: ${formatAmount(quote.action.fromAmount, fromToken.decimals)} ${fromToken.symbol}`);
+    log(`Actual: ${formatAmount(input.amount, fromToken.decimals)} ${fromToken.symbol}`);
+
+    log('\nOutput Amount:');
+    log(`Quote: ${formatAmount(quote.estimate.toAmount, toToken.decimals)} ${toToken.symbol}`);
+    log(`Actual: ${formatAmount(output.amount, toToken.decimals)} ${toToken.symbol}`);
+
+    // Calculate difference percentage using proper decimals
+    const quoteRate = formatRate(quote.action.fromAmount, fromToken.decimals, quote.estimate.toAmount, toToken.decimals);
+    const rateDiff = formatRateDifference(
+        { fromAmount: quote.action.fromAmount, toAmount: quote.estimate.toAmount },
+        { fromAmount: input.amount, toAmount: output.amount }
+    );
+
+    log('\nRate Comparison:');
+    log(`Quote Rate: 1 ${fromToken.symbol} = ${quoteRate} ${toToken.symbol}`);
+    log(`Actual Rate: 1 ${fromToken.symbol} = ${actualRate} ${toToken.symbol}`);
+    log(`Difference: ${rateDiff}%`);
+}
+
+// Format a signed base-unit delta such as "+1.5" or "-0.01"
+function formatDelta(delta, decimals) {
+    return (BigInt(delta) > 0n ? '+' : '') + formatTokenAmount(delta, decimals);
+}
+
+// Log the wallet's lamport breakdown and per-mint token changes
+function logBalanceChanges(summary, log) {
+    const { lamports } = summary;
+
+    log(`\nBalance Changes for ${summary.wallet}:`);
+    log(`SOL: ${formatDelta(lamports.delta, 9)} (${formatAmount(lamports.pre, 9)} → ${formatAmount(lamports.post, 9)})`);
+    log(`  Network fee: -${formatTokenAmount(lamports.fee, 9)} SOL`);
+    if (lamports.rentPaid !== '0') log(`  Rent deposits: -${formatTokenAmount(lamports.rentPaid, 9)} SOL`);
+    if (lamports.rentRefunded !== '0') log(`  Rent refunds: +${formatTokenAmount(lamports.rentRefunded, 9)} SOL`);
+    log(`  Swapped/transferred: ${formatDelta(lamports.other, 9)} SOL`);
+
+    summary.tokenChanges.forEach(change => {
+        log(`${change.mint}: ${formatDelta(change.delta, change.decimals)} ` +
+            `(${formatTokenAmount(change.pre, change.decimals)} → ${formatTokenAmount(change.post, change.decimals)})`);
+    });
+}
+
+// Analyze a swap transaction, comparing it with the quote when given
+export async function analyzeTransaction(signature, quote, options = {}) {
+    const {
+        log = console.log,
+        connection,
+        wallet,
+        config = loadConfig(),
+        backend = config.analyzer.backend
+    } = options;
+
+    try {
+        log(`\n=== Analyzing Swap Transaction: ${signature} ===`);
+
+        if (!ANALYZER_BACKENDS.includes(backend)) {
+            throw new Error(`Unknown analyzer backend: ${backend} (expected ${ANALYZER_BACKENDS.join(' or ')})`);
+        }
+
+        const summary = backend === 'shyft'
+            ? await analyzeWithShyft(signature, { log, config, quote, connection })
+            : await analyzeWithRpc(signature, { connection, wallet });
+
+        // Log basic transaction info
+        log('\nTransaction Details:');
+        log(`Backend: ${summary.backend}`);
+        log(`Time: ${summary.timestamp || 'unknown'}`);
+        log(`Status: ${summary.status}`);
+        log(`Network Fee: ${formatTokenAmount(summary.fee, 9)} SOL`);
+
+        if (summary.swap) {
+            log('\nSwap Details:');
+            log(`Swapper: ${summary.wallet}`);
+            log(`Slippage: ${summary.swap.slippageInPercent}%`);
+            // Shyft gives the quoted output in base units, unlike its transfers
+            const outputDecimals = quote?.action.toToken.decimals ?? summary.output?.decimals;
+            log(`Quoted Output Amount: ${outputDecimals !== undefined ? formatTokenAmount(summary.swap.quotedOutAmount, outputDecimals) : summary.swap.quotedOutAmount}`);
+            log(`Slippage Paid: ${summary.swap.slippagePaid}`);
+        }
+
+        if (summary.lamports) {
+            logBalanceChanges(summary, log);
+        }
+
+        if (summary.input && summary.output) {
+            if (quote) {
+                logQuoteComparison(quote, summary.input, summary.output, log);
+            } else {
+                // Without a quote, both backends carry the decimals of each mint along with its base-unit amount
+                const describe = ({ amount, decimals, mint }) => `${formatTokenAmount(amount, decimals)} ${mint}`;
+                log('\nToken Transfers:');
+                log(`Input: ${describe(summary.input)}`);
+                log(`Output: ${describe(summary.output)}`);
+
+                const rate = formatRate(summary.input.amount, summary.input.decimals, summary.output.amount, summary.output.decimals);
+                log(`Rate: 1 ${summary.input.mint} = ${rate} ${summary.output.mint}`);
+            }
+        } else {
+            log('\nNo swap found in transaction');
+        }
+
+        emitEvent(log, 'analysis_done', {
+            txHash: signature,
+            backend: summary.backend,
+            status: summary.status,
+            fee: summary.fee,
+            inputToken: summary.input?.mint,
+            inputAmount: summary.input?.amount,
+            outputToken: summary.output?.mint,
+            outputAmount: summary.output?.amount
+        });
+
+        // Log transaction links
+        log('\nTransaction Links:');
+        log(`Solscan: https://solscan.io/tx/${signature}`);
+        log(`Explorer: https://explorer.solana.com/tx/${signature}`);
+
+        return summary;
+    } catch (error) {
+        emitEvent(log, 'error', { ...errorFields(error), stage: 'analysis', txHash: signature });
+        log(`\n❌ Error analyzing transaction: ${error.message}`);
+        if (error.stack) {
+            log('\nStack trace:');
+            log(error.stack);
+        }
+        return null;
+    }
+}
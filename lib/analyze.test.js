@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { Keypair } from '@solana/web3.js';
+import { analyzeTransaction } from './analyze.js';
+
+const WSOL = 'So11111111111111111111111111111111111111112';
+const USDT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+const SIGNATURE = '35e3kTwQTxHCRsWMNvqcuUcFwYLz9Y5aom2Wc3E4Az15JBDwEaUgdiDHoCML5rpSgqYrKN9Szb3xPWf4m1rhV7Cr';
+const SHYFT_FIXTURE = JSON.parse(fs.readFileSync(new URL('../fixtures/shyft/transaction-parsed/default.json', import.meta.url), 'utf8'));
+
+const owner = Keypair.generate().publicKey;
+const tokenAccount = Keypair.generate().publicKey;
+const pool = Keypair.generate().publicKey;
+
+// A parsed 0.01 SOL → 1.591102 USDT swap that also creates the owner's USDT account
+function parsedSwap() {
+    return {
+        slot: 344000000,
+        blockTime: 1749526333,
+        transaction: {
+            message: {
+                accountKeys: [owner, tokenAccount, pool].map(pubkey => ({ pubkey })),
+                instructions: [{
+                    program: 'spl-associated-token-account',
+                    parsed: { type: 'create', info: { source: owner.toBase58(), account: tokenAccount.toBase58(), mint: USDT } }
+                }]
+            }
+        },
+        meta: {
+            err: null,
+            fee: 5000,
+            preBalances: [1000000000, 0, 500000000],
+            postBalances: [1000000000 - 5000 - 2039280 - 10000000, 2039280, 510000000],
+            preTokenBalances: [],
+            postTokenBalances: [{
+                accountIndex: 1,
+                mint: USDT,
+                owner: owner.toBase58(),
+                uiTokenAmount: { amount: '1591102', decimals: 6 }
+            }],
+            innerInstructions: []
+        }
+    };
+}
+
+// Serve a Shyft response body on a local port for the duration of fn
+async function withShyft(body, fn) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, apiKey: req.headers['x-api-key'] });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const config = {
+            analyzer: { backend: 'shyft', shyftApiUrl: `http://127.0.0.1:${server.address().port}`, shyftApiKey: 'test-key' },
+            solana: { cluster: 'mainnet-beta' }
+        };
+        return await fn(config, requests);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('the rpc backend reports base-unit swap amounts with fee and rent broken out', async () => {
+    const connection = { getParsedTransaction: async () => parsedSwap() };
+    const summary = await analyzeTransaction(SIGNATURE, null, { log: () => {}, connection, config: {}, backend: 'rpc' });
+
+    assert.equal(summary.backend, 'rpc');
+    assert.equal(summary.wallet, owner.toBase58());
+    assert.equal(summary.fee, '5000');
+    assert.equal(summary.lamports.rentPaid, '2039280');
+    assert.equal(summary.lamports.other, '-10000000');
+    assert.deepEqual(summary.input, { mint: WSOL, amount: '10000000', decimals: 9 });
+    assert.deepEqual(summary.output, { mint: USDT, amount: '1591102', decimals: 6 });
+});
+
+test('the shyft backend converts token-unit transfers to base units with mint decimals read over RPC', async () => {
+    const lookups = [];
+    const connection = {
+        getTokenSupply: async mint => {
+            lookups.push(mint.toBase58());
+            return { value: { decimals: 6 } };
+        }
+    };
+
+    await withShyft(SHYFT_FIXTURE.body, async (config, requests) => {
+        const summary = await analyzeTransaction(SIGNATURE, null, { log: () => {}, connection, config });
+
+        assert.equal(requests[0].apiKey, 'test-key');
+        assert.match(requests[0].url, new RegExp(`txn_signature=${SIGNATURE}`));
+        assert.equal(summary.backend, 'shyft');
+        assert.equal(summary.fee, '33356');
+        assert.deepEqual(summary.input, { mint: WSOL, amount: '10000000', decimals: 9 });
+        assert.deepEqual(summary.output, { mint: USDT, amount: '1591102', decimals: 6 });
+        assert.deepEqual(lookups, [USDT]);
+    });
+});
+
+test('the shyft backend takes decimals from the quote and spells out tiny amounts', async () => {
+    const body = structuredClone(SHYFT_FIXTURE.body);
+    body.result.actions[1].info.amount = 1e-7;
+    const quote = {
+        action: {
+            fromAmount: '100',
+            fromToken: { address: '11111111111111111111111111111111', symbol: 'SOL', decimals: 9 },
+            toToken: { address: USDT, symbol: 'USDT', decimals: 6 }
+        },
+        estimate: { toAmount: '1591102' }
+    };
+
+    await withShyft(body, async config => {
+        const summary = await analyzeTransaction(SIGNATURE, quote, { log: () => {}, config });
+        assert.deepEqual(summary.input, { mint: WSOL, amount: '100', decimals: 9 });
+        assert.deepEqual(summary.output, { mint: USDT, amount: '1591102', decimals: 6 });
+    });
+});
+
+test('analyzeTransaction logs the failure and returns null when an analysis cannot complete', async () => {
+    const lines = [];
+    await withShyft(SHYFT_FIXTURE.body, async config => {
+        assert.equal(await analyzeTransaction(SIGNATURE, null, { log: line => lines.push(line), config }), null);
+    });
+    assert.ok(lines.some(line => /Decimals of Es9v\w+ are unknown/.test(line)));
+
+    assert.equal(await analyzeTransaction(SIGNATURE, null, { log: () => {}, config: {}, backend: 'solscan' }), null);
+});
+
+test('Shyft analyses log the amounts and rates of the swap with and without a quote', async () => {
+    const quote = {
+        action: {
+            fromAmount: '10000000',
+            fromToken: { address: WSOL, symbol: 'wSOL', decimals: 9 },
+            toToken: { address: USDT, symbol: 'USDT', decimals: 6 }
+        },
+        estimate: { toAmount: '1591102' }
+    };
+    const connection = { getTokenSupply: async () => ({ value: { decimals: 6 } }) };
+
+    await withShyft(SHYFT_FIXTURE.body, async config => {
+        const quoted = [];
+        await analyzeTransaction(SIGNATURE, quote, { log: line => quoted.push(line), config });
+        assert.ok(quoted.includes('Quoted Output Amount: 1.591102'));
+        assert.ok(quoted.includes('Input: 0.010000000 wSOL'));
+        assert.ok(quoted.includes('Actual Rate: 1 wSOL = 159.110200 USDT'));
+        assert.ok(quoted.includes('Difference: 0.00%'));
+
+        const unquoted = [];
+        await analyzeTransaction(SIGNATURE, null, { log: line => unquoted.push(line), connection, config });
+        assert.ok(unquoted.includes(`Input: 0.01 ${WSOL}`));
+        assert.ok(unquoted.includes(`Output: 1.591102 ${USDT}`));
+        assert.ok(unquoted.includes(`Rate: 1 ${WSOL} = 159.110200 ${USDT}`));
+    });
+});
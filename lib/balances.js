@@ -0,0 +1,215 @@
+import { PublicKey } from '@solana/web3.js';
+import {
+    ACCOUNT_SIZE,
+    getAccount,
+    getAccountLenForMint,
+    getAssociatedTokenAddressSync,
+    NATIVE_MINT,
+    TOKEN_PROGRAM_ID,
+    TokenAccountNotFoundError,
+    unpackMint
+} from '@solana/spl-token';
+import { buildQuoteTransaction, isNativeSol } from './solana-transaction.js';
+import { DEFAULT_UNITS_PER_INSTRUCTION, MAX_COMPUTE_UNIT_LIMIT, priorityFeeLamports, readComputeBudget } from './compute-budget.js';
+import { formatAmount } from './format.js';
+import { isCostIncluded } from './quote.js';
+import { emitEvent } from './logger.js';
+
+export const INSUFFICIENT_BALANCE = 'INSUFFICIENT_BALANCE';
+
+// Base fee the runtime charges per signature, before any priority fee
+export const LAMPORTS_PER_SIGNATURE = 5000;
+
+// Read a mint with its token program and the size of a token account for it, or null when there is no such mint
+async function loadMint(connection, address) {
+    const mint = new PublicKey(address);
+    const info = await connection.getAccountInfo(mint);
+    if (!info) return null;
+
+    const decoded = unpackMint(mint, info, info.owner);
+    return { address: mint, programId: info.owner, accountSize: getAccountLenForMint(decoded) };
+}
+
+// Read a token account, treating a missing account as an empty one that still has to be created
+async function readTokenAccount(connection, address, programId) {
+    try {
+        const account = await getAccount(connection, address, undefined, programId);
+        return { exists: true, amount: account.amount };
+    } catch (error) {
+        if (error instanceof TokenAccountNotFoundError) return { exists: false, amount: 0n };
+        throw error;
+    }
+}
+
+// Network fee of the transaction: base fee per signature plus the priority fee it sets
+function networkFee(transaction, computeBudget) {
+    const { message } = transaction;
+    let priorityFee = computeBudget?.priorityFee;
+    if (priorityFee === undefined) {
+        const budget = readComputeBudget(message);
+        const limit = budget.computeUnitLimit ?? Math.min(MAX_COMPUTE_UNIT_LIMIT, DEFAULT_UNITS_PER_INSTRUCTION * budget.instructionCount);
+        priorityFee = priorityFeeLamports(budget.computeUnitPrice ?? 0, limit);
+    }
+
+    const signatures = message.header.numRequiredSignatures;
+    return { signatures, baseFee: BigInt(LAMPORTS_PER_SIGNATURE * signatures), priorityFee: BigInt(priorityFee) };
+}
+
+// Add up the quote's costs paid in a token; fees marked as included are already part of the input amount
+function sumCosts(costs = [], matches) {
+    return costs.filter(cost => matches(cost.token?.address) && !isCostIncluded(cost))
+        .reduce((sum, cost) => sum + BigInt(cost.amount || 0), 0n);
+}
+
+// Work out what a Solana swap needs from the wallet, what it holds and which token accounts must be created
+export async function checkBalances(connection, quote, options = {}) {
+    const { wallet = quote.action.fromAddress, computeBudget } = options;
+    const { fromToken, toToken } = quote.action;
+    const owner = new PublicKey(wallet);
+    const sameChain = String(quote.action.fromChainId) === String(quote.action.toChainId);
+    const fromAmount = BigInt(quote.action.fromAmount);
+    const rents = new Map();
+    const rentFor = async (size) => {
+        if (!rents.has(size)) rents.set(size, BigInt(await connection.getMinimumBalanceForRentExemption(size)));
+        return rents.get(size);
+    };
+
+    const solItems = [];
+    const accountsToCreate = [];
+    let token = null;
+
+    // What leaves the wallet as the input token
+    if (isNativeSol(fromToken.address)) {
+        solItems.push({ name: 'Swap amount', amount: fromAmount });
+    } else {
+        const mint = await loadMint(connection, fromToken.address);
+        if (!mint) {
+            throw new Error(`Token ${fromToken.symbol} (${fromToken.address}) has no mint account on Solana`);
+        }
+        const account = getAssociatedTokenAddressSync(mint.address, owner, true, mint.programId);
+        const { amount } = await readTokenAccount(connection, account, mint.programId);
+        const fees = sumCosts(quote.estimate?.feeCosts, address => address === fromToken.address);
+        token = {
+            symbol: fromToken.symbol,
+            decimals: fromToken.decimals,
+            mint: fromToken.address,
+            account: account.toBase58(),
+            available: amount,
+            required: fromAmount + fees,
+            items: [{ name: 'Swap amount', amount: fromAmount }, ...(fees > 0n ? [{ name: 'Li.Fi fees not included in the amount', amount: fees }] : [])]
+        };
+    }
+
+    // Li.Fi's gas estimate for the source chain already covers the network fee, so the larger of the two is counted
+    const transaction = await buildQuoteTransaction(connection, quote, { payer: owner });
+    const fee = networkFee(transaction, computeBudget);
+    const gasCosts = sumCosts(quote.estimate?.gasCosts, isNativeSol);
+    const computedFee = fee.baseFee + fee.priorityFee;
+    solItems.push(gasCosts > computedFee
+        ? { name: 'Network fee (Li.Fi gas estimate)', amount: gasCosts }
+        : { name: `Network fee (${fee.signatures} signature(s) + priority fee)`, amount: computedFee });
+
+    const solFees = sumCosts(quote.estimate?.feeCosts, isNativeSol);
+    if (solFees > 0n) {
+        solItems.push({ name: 'Li.Fi fees not included in the amount', amount: solFees });
+    }
+
+    // Token accounts the swap creates and funds with rent: the recipient's output account and a temporary wrapped SOL account
+    const accounts = [];
+    if (sameChain && !isNativeSol(toToken.address)) {
+        const mint = await loadMint(connection, toToken.address);
+        if (mint) {
+            const recipient = new PublicKey(quote.action.toAddress || owner);
+            accounts.push({ purpose: `${toToken.symbol} account of the recipient`, owner: recipient, mint, refunded: false });
+        }
+    }
+    if (isNativeSol(fromToken.address) || (sameChain && isNativeSol(toToken.address))) {
+        const wrapped = { address: NATIVE_MINT, programId: TOKEN_PROGRAM_ID, accountSize: ACCOUNT_SIZE };
+        accounts.push({ purpose: 'temporary wrapped SOL account', owner, mint: wrapped, refunded: true });
+    }
+    for (const entry of accounts) {
+        const address = getAssociatedTokenAddressSync(entry.mint.address, entry.owner, true, entry.mint.programId);
+        const info = await connection.getAccountInfo(address);
+        if (info) continue;
+
+        const rent = await rentFor(entry.mint.accountSize);
+        accountsToCreate.push({ address: address.toBase58(), owner: entry.owner.toBase58(), mint: entry.mint.address.toBase58(), purpose: entry.purpose, rent, refunded: entry.refunded });
+        solItems.push({ name: `Rent for the ${entry.purpose}${entry.refunded ? ' (refunded when closed)' : ''}`, amount: rent });
+    }
+
+    // A wallet left with any SOL must keep the rent-exempt minimum of an empty account
+    solItems.push({ name: 'Rent-exempt minimum of the wallet', amount: await rentFor(0) });
+
+    const sol = {
+        available: BigInt(await connection.getBalance(owner)),
+        required: solItems.reduce((sum, item) => sum + item.amount, 0n),
+        items: solItems
+    };
+
+    const shortfalls = [];
+    if (token && token.available < token.required) {
+        shortfalls.push({ asset: token.symbol, decimals: token.decimals, required: token.required, available: token.available, missing: token.required - token.available, items: token.items });
+    }
+    if (sol.available < sol.required) {
+        shortfalls.push({ asset: 'SOL', decimals: 9, required: sol.required, available: sol.available, missing: sol.required - sol.available, items: sol.items });
+    }
+
+    return { ok: shortfalls.length === 0, wallet: owner.toBase58(), token, sol, accountsToCreate, shortfalls };
+}
+
+// Format one shortfall with its itemized requirement
+function formatShortfall(shortfall) {
+    const show = amount => `${formatAmount(amount, shortfall.decimals)} ${shortfall.asset}`;
+    return [
+        `${shortfall.asset}: need ${show(shortfall.required)}, have ${show(shortfall.available)} (short ${show(shortfall.missing)})`,
+        ...shortfall.items.map(item => `  ${item.name}: ${show(item.amount)}`)
+    ];
+}
+
+// Readable lines describing a balance check
+export function formatBalanceCheck(check) {
+    const lines = [];
+    if (check.token) {
+        const { token } = check;
+        lines.push(`${token.available >= token.required ? '✅' : '❌'} ${token.symbol} balance: ` +
+            `${formatAmount(token.available, token.decimals)} (account ${token.account}), needed ${formatAmount(token.required, token.decimals)}`);
+    }
+
+    lines.push('SOL needed:');
+    check.sol.items.forEach(item => lines.push(`  ${item.name}: ${formatAmount(item.amount, 9)} SOL`));
+    lines.push(`  Total: ${formatAmount(check.sol.required, 9)} SOL`);
+    lines.push(`${check.sol.available >= check.sol.required ? '✅' : '❌'} SOL balance: ${formatAmount(check.sol.available, 9)} SOL`);
+
+    check.shortfalls.forEach(shortfall => lines.push(`❌ Short ${formatAmount(shortfall.missing, shortfall.decimals)} ${shortfall.asset}`));
+    return lines;
+}
+
+// Check the wallet can pay for a Solana swap, log the itemized requirement and throw before anything is signed if it cannot
+export async function assertBalances(connection, quote, { wallet, computeBudget, log = console.log } = {}) {
+    log('\n=== Balance Check ===');
+
+    const check = await checkBalances(connection, quote, { wallet, computeBudget });
+    formatBalanceCheck(check).forEach(line => log(line));
+
+    emitEvent(log, 'balance_checked', {
+        ok: check.ok,
+        wallet: check.wallet,
+        solAvailable: check.sol.available.toString(),
+        solRequired: check.sol.required.toString(),
+        tokenAvailable: check.token?.available.toString(),
+        tokenRequired: check.token?.required.toString(),
+        accountsToCreate: check.accountsToCreate.map(account => ({ ...account, rent: account.rent.toString() })),
+        shortfalls: check.shortfalls.map(shortfall => ({ asset: shortfall.asset, missing: shortfall.missing.toString() }))
+    });
+
+    if (!check.ok) {
+        const error = new Error('Insufficient balance, swap aborted:\n' +
+            check.shortfalls.map(shortfall => formatShortfall(shortfall).map((line, index) => (index === 0 ? '- ' : '  ') + line).join('\n')).join('\n'));
+        error.code = INSUFFICIENT_BALANCE;
+        error.shortfalls = check.shortfalls;
+        throw error;
+    }
+
+    log('✅ Wallet can cover the swap, fees and rent');
+    return check;
+}
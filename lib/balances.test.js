@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import {
+    ACCOUNT_SIZE,
+    AccountLayout,
+    getAssociatedTokenAddressSync,
+    MINT_SIZE,
+    MintLayout,
+    NATIVE_MINT,
+    TOKEN_PROGRAM_ID
+} from '@solana/spl-token';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { assertBalances, checkBalances, INSUFFICIENT_BALANCE } from './balances.js';
+
+const SOL = '11111111111111111111111111111111';
+const USDC = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+const wallet = Keypair.generate().publicKey;
+const usdcAccount = getAssociatedTokenAddressSync(USDC, wallet);
+
+// Rent the way the runtime charges it: 128 bytes of account overhead plus the data, at 6960 lamports per byte
+const rentFor = size => (128 + size) * 6960;
+const TOKEN_ACCOUNT_RENT = BigInt(rentFor(ACCOUNT_SIZE));
+const WALLET_MINIMUM = BigInt(rentFor(0));
+
+// An in-memory ledger answering the reads the balance check makes
+class Ledger {
+    constructor(lamports) {
+        this.lamports = lamports;
+        this.accounts = new Map();
+        this.addMint(USDC, 6);
+    }
+
+    addMint(address, decimals) {
+        const data = Buffer.alloc(MINT_SIZE);
+        MintLayout.encode({
+            mintAuthorityOption: 0,
+            mintAuthority: PublicKey.default,
+            supply: 0n,
+            decimals,
+            isInitialized: true,
+            freezeAuthorityOption: 0,
+            freezeAuthority: PublicKey.default
+        }, data);
+        this.accounts.set(address.toBase58(), { data, owner: TOKEN_PROGRAM_ID, lamports: rentFor(MINT_SIZE), executable: false });
+    }
+
+    addTokenAccount(address, mint, amount) {
+        const data = Buffer.alloc(ACCOUNT_SIZE);
+        AccountLayout.encode({
+            mint,
+            owner: wallet,
+            amount,
+            delegateOption: 0,
+            delegate: PublicKey.default,
+            state: 1,
+            isNativeOption: 0,
+            isNative: 0n,
+            delegatedAmount: 0n,
+            closeAuthorityOption: 0,
+            closeAuthority: PublicKey.default
+        }, data);
+        this.accounts.set(address.toBase58(), { data, owner: TOKEN_PROGRAM_ID, lamports: rentFor(ACCOUNT_SIZE), executable: false });
+    }
+
+    async getAccountInfo(address) {
+        return this.accounts.get(address.toBase58()) || null;
+    }
+
+    async getBalance() {
+        return this.lamports;
+    }
+
+    async getMinimumBalanceForRentExemption(size) {
+        return rentFor(size);
+    }
+}
+
+// A quote for a same-chain swap with a one-signature transaction and the given tokens and costs
+function makeQuote({ fromToken, toToken, fromAmount, gasCosts = [], feeCosts = [] }) {
+    const message = new TransactionMessage({
+        payerKey: wallet,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [SystemProgram.transfer({ fromPubkey: wallet, toPubkey: wallet, lamports: 1 })]
+    }).compileToV0Message();
+
+    return {
+        action: {
+            fromChainId: SOLANA_CHAIN_ID,
+            toChainId: SOLANA_CHAIN_ID,
+            fromAddress: wallet.toBase58(),
+            toAddress: wallet.toBase58(),
+            fromAmount,
+            fromToken,
+            toToken
+        },
+        estimate: { gasCosts, feeCosts },
+        transactionRequest: { data: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64') }
+    };
+}
+
+const solToUsdc = makeQuote({
+    fromToken: { address: SOL, symbol: 'SOL', decimals: 9 },
+    toToken: { address: USDC.toBase58(), symbol: 'USDC', decimals: 6 },
+    fromAmount: '10000000'
+});
+
+test('a first SOL → USDC swap pays rent for the USDC account and the temporary wrapped SOL account', async () => {
+    const check = await checkBalances(new Ledger(20000000), solToUsdc);
+
+    assert.equal(check.ok, true);
+    assert.deepEqual(check.accountsToCreate.map(account => [account.mint, account.rent, account.refunded]), [
+        [USDC.toBase58(), TOKEN_ACCOUNT_RENT, false],
+        [NATIVE_MINT.toBase58(), TOKEN_ACCOUNT_RENT, true]
+    ]);
+    assert.deepEqual(check.sol.items.map(item => item.name), [
+        'Swap amount',
+        'Network fee (1 signature(s) + priority fee)',
+        'Rent for the USDC account of the recipient',
+        'Rent for the temporary wrapped SOL account (refunded when closed)',
+        'Rent-exempt minimum of the wallet'
+    ]);
+    assert.equal(check.sol.required, 10000000n + 5000n + 2n * TOKEN_ACCOUNT_RENT + WALLET_MINIMUM);
+});
+
+test('an existing output account costs no rent', async () => {
+    const ledger = new Ledger(20000000);
+    ledger.addTokenAccount(usdcAccount, USDC, 0n);
+
+    const check = await checkBalances(ledger, solToUsdc);
+    assert.deepEqual(check.accountsToCreate.map(account => account.purpose), ['temporary wrapped SOL account']);
+    assert.equal(check.sol.required, 10000000n + 5000n + TOKEN_ACCOUNT_RENT + WALLET_MINIMUM);
+});
+
+test('the larger of the Li.Fi gas estimate and the computed network fee is counted', async () => {
+    const quote = { ...solToUsdc, estimate: { gasCosts: [{ amount: '80000', token: { address: SOL } }] } };
+    const check = await checkBalances(new Ledger(20000000), quote);
+    assert.deepEqual(check.sol.items[1], { name: 'Network fee (Li.Fi gas estimate)', amount: 80000n });
+});
+
+test('a token input is checked against the wallet\'s token account, fees not included in the amount and all', async () => {
+    const ledger = new Ledger(20000000);
+    ledger.addTokenAccount(usdcAccount, USDC, 1000000n);
+    const quote = makeQuote({
+        fromToken: { address: USDC.toBase58(), symbol: 'USDC', decimals: 6 },
+        toToken: { address: SOL, symbol: 'SOL', decimals: 9 },
+        fromAmount: '1000000',
+        feeCosts: [
+            { amount: '2500', token: { address: USDC.toBase58() } },
+            { amount: '9000', included: true, token: { address: USDC.toBase58() } }
+        ]
+    });
+
+    const check = await checkBalances(ledger, quote);
+    assert.equal(check.ok, false);
+    assert.equal(check.token.account, usdcAccount.toBase58());
+    assert.deepEqual(check.shortfalls.map(({ asset, required, available, missing }) => ({ asset, required, available, missing })), [
+        { asset: 'USDC', required: 1002500n, available: 1000000n, missing: 2500n }
+    ]);
+});
+
+test('assertBalances refuses a wallet that cannot pay, listing what the SOL is needed for', async () => {
+    const lines = [];
+    const events = [];
+    const log = Object.assign(line => lines.push(line), { event: (type, data) => events.push({ type, ...data }) });
+
+    await assert.rejects(assertBalances(new Ledger(10000000), solToUsdc, { log }), error => {
+        assert.equal(error.code, INSUFFICIENT_BALANCE);
+        assert.equal(error.shortfalls[0].missing, 5000n + 2n * TOKEN_ACCOUNT_RENT + WALLET_MINIMUM);
+        assert.equal(error.message.split('\n')[1], '- SOL: need 0.014974440 SOL, have 0.010000000 SOL (short 0.004974440 SOL)');
+        assert.ok(error.message.includes('  Rent for the USDC account of the recipient: 0.002039280 SOL'));
+        return true;
+    });
+    assert.ok(lines.includes('❌ Short 0.004974440 SOL'));
+    assert.equal(events[0].type, 'balance_checked');
+    assert.equal(events[0].solRequired, '14974440');
+    assert.deepEqual(events[0].shortfalls, [{ asset: 'SOL', missing: '4974440' }]);
+
+    const check = await assertBalances(new Ledger(14974440), solToUsdc, { log: () => {} });
+    assert.equal(check.ok, true);
+});
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+
+export const CACHE_DIR = '.cache';
+export const DEFAULT_CACHE_TTL = 24 * 60 * 60;
+
+// Read a cache file, treating a missing or corrupt file as empty
+export function readCacheFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+// Write a cache file, creating its directory on first use
+export function writeCacheFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data));
+}
+
+// Read a cache TTL in seconds from the given environment variable
+export function getCacheTtl(name, fallback = DEFAULT_CACHE_TTL) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+
+    const ttl = Number(value);
+    if (!Number.isFinite(ttl) || ttl < 0) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return ttl;
+}
+
+// Return a cached list while it is fresh, otherwise fetch and save a new one; fetchedAt and items describe the cached copy
+export async function loadCachedList(name, { fetchedAt, items, ttl, refresh = false, fetch, save, log = console.log }) {
+    const age = fetchedAt && items ? (Date.now() - fetchedAt) / 1000 : Infinity;
+    if (!refresh && age <= ttl) {
+        return items;
+    }
+
+    try {
+        const fresh = await fetch();
+        save(fresh, Date.now());
+        return fresh;
+    } catch (error) {
+        // Offline or rate limited: an outdated list is better than none
+        if (!items) throw error;
+        log(`⚠️ Could not refresh the ${name} (${error.message.split('\n')[0]}), using the cache from ${new Date(fetchedAt).toISOString()}`);
+        return items;
+    }
+}
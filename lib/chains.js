@@ -0,0 +1,76 @@
+import path from 'path';
+import { CACHE_DIR, getCacheTtl, loadCachedList, readCacheFile, writeCacheFile } from './cache.js';
+import { splitTokenInput } from './tokens.js';
+
+export const DEFAULT_CHAIN_CACHE_FILE = path.join(CACHE_DIR, 'chains.json');
+export const CHAIN_TYPES = ['EVM', 'SVM', 'UTXO'];
+
+// Common names that are neither a Li.Fi chain key nor a chain name
+const CHAIN_ALIASES = {
+    solana: 'sol',
+    ethereum: 'eth',
+    mainnet: 'eth',
+    arbitrum: 'arb',
+    optimism: 'opt',
+    polygon: 'pol',
+    matic: 'pol',
+    base: 'bas',
+    bnb: 'bsc',
+    avalanche: 'ava',
+    bitcoin: 'btc'
+};
+
+// Chain list already loaded in this process
+let chainList;
+
+// Load every chain Li.Fi supports, from the disk cache while it is fresh
+export async function loadChains(lifi, { refresh = false, log = console.log } = {}) {
+    if (!refresh && chainList) {
+        return chainList;
+    }
+
+    const file = process.env.CHAIN_CACHE_FILE || DEFAULT_CHAIN_CACHE_FILE;
+    const cached = readCacheFile(file);
+    chainList = await loadCachedList('chain list', {
+        fetchedAt: cached.fetchedAt,
+        items: cached.chains,
+        ttl: getCacheTtl('CHAIN_CACHE_TTL'),
+        refresh,
+        log,
+        fetch: async () => (await lifi.getChains({ chainTypes: CHAIN_TYPES.join(',') })).chains || [],
+        save: (list, fetchedAt) => writeCacheFile(file, { fetchedAt, chains: list })
+    });
+    return chainList;
+}
+
+// Find a chain by Li.Fi key, numeric ID, name or alias
+export async function resolveChain(lifi, input, { log = console.log } = {}) {
+    const chains = await loadChains(lifi, { log });
+    const typed = String(input).trim().toLowerCase();
+    const key = CHAIN_ALIASES[typed] || typed;
+
+    const chain = chains.find(entry => String(entry.id) === key
+        || entry.key?.toLowerCase() === key
+        || entry.name?.toLowerCase() === key);
+    if (!chain) {
+        const error = new Error(`Unknown chain: ${input}`);
+        error.code = 'UNKNOWN_CHAIN';
+        throw error;
+    }
+    return chain;
+}
+
+// Work out a token's chain from the chain input, a SYMBOL@chain suffix or the fallback, rejecting conflicts
+export async function resolveTokenChain(lifi, chainInput, tokenInput, { fallback = 'sol', log = console.log } = {}) {
+    const { token, chain: tokenChain } = splitTokenInput(tokenInput);
+    const chain = await resolveChain(lifi, chainInput || tokenChain || fallback, { log });
+
+    if (chainInput && tokenChain) {
+        const named = await resolveChain(lifi, tokenChain, { log });
+        if (named.id !== chain.id) {
+            throw new Error(`Token ${tokenInput} is on ${named.name} but the chain is ${chain.name}`);
+        }
+    }
+
+    return { chain, token };
+}
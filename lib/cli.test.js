@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Keypair } from '@solana/web3.js';
+import { readEvents } from './logger.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('../fixtures/lifi/', import.meta.url));
+const WALLET = '7WduLbRfYhTJktjLw5FDEyrqoEv61aTTCuGAetgLjzN5';
+
+// Each run gets an empty working directory, so no .env, config.yaml or wallets.json of the checkout is picked up
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Run the CLI to completion and collect its exit code and output
+function cli(args, env = {}) {
+    const eventsFile = path.join(dir, 'events.jsonl');
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], {
+            cwd: dir,
+            timeout: 60000,
+            env: { PATH: process.env.PATH, HOME: dir, EVENTS_FILE: eventsFile, ...env }
+        }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr, events: readEvents(eventsFile) });
+        });
+    });
+}
+
+test('--help prints the usage, and unknown commands or flags exit with 2', async () => {
+    const help = await cli(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: node cli\.js <command> \[options\]/);
+
+    const unknown = await cli(['teleport']);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Commands:/);
+
+    const badFlag = await cli(['quote', '--colour']);
+    assert.equal(badFlag.code, 2);
+    assert.match(badFlag.stderr, /Unknown option '--colour'/);
+});
+
+test('status needs the destination chain, and the source chain unless the hash is a Solana signature', async () => {
+    const signature = '5'.repeat(88);
+    const missingTo = await cli(['status', '--tx-hash', signature, '--json']);
+    assert.equal(missingTo.code, 1);
+    assert.deepEqual(JSON.parse(missingTo.stdout), { error: '--to-chain is required' });
+
+    const evmHash = `0x${'ab'.repeat(32)}`;
+    const missingFrom = await cli(['status', '--tx-hash', evmHash, '--to-chain', 'sol', '--json']);
+    assert.equal(missingFrom.code, 1);
+    assert.deepEqual(JSON.parse(missingFrom.stdout), { error: '--from-chain is required for a transaction hash that is not a Solana signature' });
+
+    const errors = missingFrom.events.filter(event => event.type === 'error');
+    assert.equal(errors.at(-1).command, 'status');
+});
+
+test('quote resolves the default pair and prints the quote as JSON', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const endpoint = url.pathname.replace(/^\/v1\//, '');
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, endpoint, 'default.json'), 'utf8'));
+        res.writeHead(fixture.status || 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(fixture.body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const result = await cli(['quote', '--from-address', WALLET, '--json'], { LI_FI_API_URL: `http://127.0.0.1:${server.address().port}/v1` });
+
+        assert.equal(result.code, 0, result.stderr);
+        const quote = JSON.parse(result.stdout);
+        assert.equal(quote.id, 'fixture-quote-sol-usdt');
+        // Human-readable output goes to stderr in JSON mode
+        assert.match(result.stderr, /=== Requesting Li\.Fi Quote ===/);
+
+        const quoteRequest = requests.find(url => url.pathname === '/v1/quote');
+        assert.equal(quoteRequest.searchParams.get('fromAmount'), '10000000');
+        assert.equal(quoteRequest.searchParams.get('toToken'), 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB');
+        assert.equal(quoteRequest.searchParams.get('toAddress'), WALLET);
+        assert.deepEqual(result.events.filter(event => event.command === 'quote').map(event => event.type), ['run_started']);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('report renders logged runs and rejects unknown formats', async () => {
+    const events = path.join(dir, 'report.jsonl');
+    fs.writeFileSync(events, [
+        { ts: '2026-10-19T10:00:00.000Z', runId: 'r1', script: 'cli', type: 'run_started' },
+        { ts: '2026-10-19T10:00:01.000Z', runId: 'r1', script: 'cli', type: 'error', message: 'boom' }
+    ].map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const csv = await cli(['report', '--events', events, '--format', 'csv']);
+    assert.equal(csv.code, 0);
+    assert.ok(csv.stdout.split('\n')[1].startsWith('r1,cli,2026-10-19T10:00:00.000Z,2026-10-19T10:00:01.000Z,failed,'));
+
+    const html = await cli(['report', '--events', events, '--format', 'html']);
+    assert.equal(html.code, 1);
+    assert.match(html.stdout, /Unknown report format: html/);
+});
+
+test('keystore encrypts a keypair file once and refuses to overwrite it', async () => {
+    const keypair = Keypair.generate();
+    const input = path.join(dir, 'id.json');
+    const output = path.join(dir, 'id.keystore.json');
+    fs.writeFileSync(input, JSON.stringify(Array.from(keypair.secretKey)));
+
+    const first = await cli(['keystore', '--file', input, '--output', output, '--json'], { WALLET_PASSWORD: 'pw' });
+    assert.equal(first.code, 0, first.stderr);
+    assert.deepEqual(JSON.parse(first.stdout), { publicKey: keypair.publicKey.toBase58(), file: output });
+    assert.equal(fs.statSync(output).mode & 0o777, 0o600);
+
+    const second = await cli(['keystore', '--file', input, '--output', output], { WALLET_PASSWORD: 'pw' });
+    assert.equal(second.code, 1);
+    assert.match(second.stdout, /Refusing to overwrite/);
+});
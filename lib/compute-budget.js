@@ -0,0 +1,240 @@
+import { ComputeBudgetProgram, PACKET_DATA_SIZE } from '@solana/web3.js';
+import { buildQuoteTransaction, withSerializedTransaction } from './solana-transaction.js';
+import { formatAmount } from './format.js';
+
+export const DEFAULT_PRIORITY_FEE_PERCENTILE = 75;
+
+// Runtime limits: 200k units per instruction when no limit is set, 1.4M at most per transaction
+export const DEFAULT_UNITS_PER_INSTRUCTION = 200000;
+export const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+// getRecentPrioritizationFees accepts at most this many accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+// First data byte of the SetComputeUnitLimit and SetComputeUnitPrice instructions
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+
+// Parse a whole number setting, rejecting negatives, fractions and values above the maximum
+function parseInteger(name, value, max = Number.MAX_SAFE_INTEGER) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return number;
+}
+
+// Build priority fee settings from PRIORITY_FEE/COMPUTE_UNIT_LIMIT/MAX_PRIORITY_FEE/PRIORITY_FEE_PERCENTILE and explicit overrides
+export function loadPriorityFee(overrides = {}) {
+    const settings = {
+        computeUnitPrice: process.env.PRIORITY_FEE,
+        computeUnitLimit: process.env.COMPUTE_UNIT_LIMIT,
+        maxPriorityFee: process.env.MAX_PRIORITY_FEE,
+        percentile: process.env.PRIORITY_FEE_PERCENTILE
+    };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') settings[key] = value;
+    });
+
+    const isSet = value => value !== undefined && value !== '';
+    const price = String(settings.computeUnitPrice ?? '').toLowerCase();
+
+    return {
+        computeUnitPrice: price === 'auto' ? 'auto' : isSet(price) ? parseInteger('priority fee', price) : undefined,
+        computeUnitLimit: isSet(settings.computeUnitLimit)
+            ? parseInteger('compute unit limit', settings.computeUnitLimit, MAX_COMPUTE_UNIT_LIMIT)
+            : undefined,
+        maxPriorityFee: isSet(settings.maxPriorityFee) ? parseInteger('max priority fee', settings.maxPriorityFee) : undefined,
+        percentile: isSet(settings.percentile)
+            ? parseInteger('priority fee percentile', settings.percentile, 100)
+            : DEFAULT_PRIORITY_FEE_PERCENTILE
+    };
+}
+
+// Read the compute unit limit and price a transaction already sets, if any
+export function readComputeBudget(message) {
+    const budget = { computeUnitLimit: undefined, computeUnitPrice: undefined, instructionCount: 0 };
+
+    message.compiledInstructions.forEach(instruction => {
+        const programId = message.staticAccountKeys[instruction.programIdIndex];
+        if (!programId.equals(ComputeBudgetProgram.programId)) {
+            budget.instructionCount++;
+            return;
+        }
+
+        const data = Buffer.from(instruction.data);
+        if (data[0] === SET_COMPUTE_UNIT_LIMIT) budget.computeUnitLimit = data.readUInt32LE(1);
+        if (data[0] === SET_COMPUTE_UNIT_PRICE) budget.computeUnitPrice = Number(data.readBigUInt64LE(1));
+    });
+
+    return budget;
+}
+
+// Lamports paid on top of the base fee: price in micro-lamports per unit times the unit limit
+export function priorityFeeLamports(computeUnitPrice, computeUnitLimit) {
+    return Math.ceil(computeUnitPrice * computeUnitLimit / 1e6);
+}
+
+// Writable accounts the transaction locks directly; accounts from lookup tables are not known without fetching them
+function getWritableAccounts(message) {
+    return message.staticAccountKeys
+        .filter((key, index) => message.isAccountWritable(index))
+        .slice(0, MAX_FEE_ACCOUNTS);
+}
+
+// Estimate a compute unit price from the fees paid in recent slots for the same writable accounts
+export async function estimatePriorityFee(connection, transaction, { percentile = DEFAULT_PRIORITY_FEE_PERCENTILE } = {}) {
+    const lockedWritableAccounts = getWritableAccounts(transaction.message);
+    const recent = await connection.getRecentPrioritizationFees({ lockedWritableAccounts });
+    const fees = recent.map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+
+    if (fees.length === 0) {
+        return { computeUnitPrice: 0, slots: 0, accounts: lockedWritableAccounts.length };
+    }
+
+    const index = Math.min(fees.length - 1, Math.max(0, Math.ceil(percentile / 100 * fees.length) - 1));
+    return { computeUnitPrice: fees[index], slots: fees.length, accounts: lockedWritableAccounts.length };
+}
+
+// Decide the compute unit limit and price: explicit settings win over the quote's, and the spend is capped
+export async function planComputeBudget(connection, transaction, settings = {}) {
+    const quoted = readComputeBudget(transaction.message);
+    const runtimeLimit = Math.min(MAX_COMPUTE_UNIT_LIMIT, DEFAULT_UNITS_PER_INSTRUCTION * quoted.instructionCount);
+
+    const computeUnitLimit = settings.computeUnitLimit ?? quoted.computeUnitLimit ?? runtimeLimit;
+    const limitSource = settings.computeUnitLimit !== undefined ? 'override' : quoted.computeUnitLimit !== undefined ? 'quote' : 'runtime default';
+
+    let computeUnitPrice;
+    let priceSource;
+    let estimate = null;
+    if (settings.computeUnitPrice === 'auto') {
+        estimate = await estimatePriorityFee(connection, transaction, settings);
+        computeUnitPrice = estimate.computeUnitPrice;
+        priceSource = `estimate, p${settings.percentile ?? DEFAULT_PRIORITY_FEE_PERCENTILE} of ${estimate.slots} recent slots`;
+    } else if (settings.computeUnitPrice !== undefined) {
+        computeUnitPrice = settings.computeUnitPrice;
+        priceSource = 'override';
+    } else {
+        computeUnitPrice = quoted.computeUnitPrice ?? 0;
+        priceSource = quoted.computeUnitPrice !== undefined ? 'quote' : 'none';
+    }
+
+    // Lower the price rather than the limit, so the swap still has the units it needs
+    let capped = false;
+    if (settings.maxPriorityFee !== undefined && priorityFeeLamports(computeUnitPrice, computeUnitLimit) > settings.maxPriorityFee) {
+        computeUnitPrice = Math.floor(settings.maxPriorityFee * 1e6 / computeUnitLimit);
+        capped = true;
+    }
+
+    return {
+        computeUnitLimit,
+        computeUnitPrice,
+        priorityFee: priorityFeeLamports(computeUnitPrice, computeUnitLimit),
+        maxPriorityFee: settings.maxPriorityFee,
+        limitSource,
+        priceSource,
+        capped,
+        estimate,
+        quoted: { computeUnitLimit: quoted.computeUnitLimit, computeUnitPrice: quoted.computeUnitPrice },
+        changed: computeUnitLimit !== (quoted.computeUnitLimit ?? runtimeLimit)
+            || computeUnitPrice !== (quoted.computeUnitPrice ?? 0)
+    };
+}
+
+// Replace or insert a compute budget instruction in a version 0 message
+function setBudgetInstruction(message, discriminator, data) {
+    const programId = ComputeBudgetProgram.programId;
+    let programIndex = message.staticAccountKeys.findIndex(key => key.equals(programId));
+
+    if (programIndex === -1) {
+        // Lookup table accounts are indexed after the static keys, so they move up by one
+        programIndex = message.staticAccountKeys.length;
+        message.compiledInstructions.forEach(instruction => {
+            instruction.accountKeyIndexes = instruction.accountKeyIndexes.map(index => index >= programIndex ? index + 1 : index);
+        });
+        message.staticAccountKeys.push(programId);
+        message.header.numReadonlyUnsignedAccounts += 1;
+    }
+
+    const existing = message.compiledInstructions.find(instruction => instruction.programIdIndex === programIndex
+        && instruction.data[0] === discriminator);
+    if (existing) {
+        existing.data = data;
+    } else {
+        message.compiledInstructions.unshift({ programIdIndex: programIndex, accountKeyIndexes: [], data });
+    }
+}
+
+// Check whether any party has already signed the transaction
+function hasSignatures(transaction) {
+    return transaction.signatures.some(signature => signature.some(byte => byte !== 0));
+}
+
+// Set the planned compute unit limit and price on an unsigned transaction
+export function applyComputeBudget(transaction, { computeUnitLimit, computeUnitPrice }) {
+    const { message } = transaction;
+    if (message.version !== 0) {
+        throw new Error('Compute budget can only be changed on version 0 transactions');
+    }
+    if (hasSignatures(transaction)) {
+        throw new Error('Compute budget cannot be changed on a transaction that is already partly signed');
+    }
+
+    const quoted = readComputeBudget(message);
+    if (computeUnitPrice !== (quoted.computeUnitPrice ?? 0)) {
+        setBudgetInstruction(message, SET_COMPUTE_UNIT_PRICE,
+            ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }).data);
+    }
+    if (computeUnitLimit !== quoted.computeUnitLimit) {
+        setBudgetInstruction(message, SET_COMPUTE_UNIT_LIMIT,
+            ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }).data);
+    }
+
+    // Slots stay empty for the wallet to sign the new message
+    transaction.signatures = transaction.signatures.map(() => new Uint8Array(64));
+
+    const size = transaction.serialize().length;
+    if (size > PACKET_DATA_SIZE) {
+        throw new Error(`Transaction is too large with compute budget instructions (${size} > ${PACKET_DATA_SIZE} bytes)`);
+    }
+    return transaction;
+}
+
+// Readable lines describing a compute budget plan
+export function formatComputeBudget(budget) {
+    const lines = [
+        `Compute unit limit: ${budget.computeUnitLimit} (${budget.limitSource})`,
+        `Compute unit price: ${budget.computeUnitPrice} micro-lamports (${budget.priceSource})`,
+        `Priority fee: ${formatAmount(budget.priorityFee, 9)} SOL` +
+            (budget.maxPriorityFee !== undefined ? ` (max ${formatAmount(budget.maxPriorityFee, 9)} SOL)` : '')
+    ];
+    if (budget.capped) {
+        lines.push(`⚠️ Compute unit price lowered to stay within the max priority fee of ${budget.maxPriorityFee} lamports`);
+    }
+    return lines;
+}
+
+// Plan the compute budget of a Solana quote and rewrite its transaction when the values change
+export async function setQuoteComputeBudget(connection, quote, settings = {}, { log = console.log } = {}) {
+    log('\n=== Compute Budget ===');
+
+    const transaction = await buildQuoteTransaction(connection, quote);
+
+    // Rewriting the message would void signatures another party already added, so such a transaction is sent as quoted
+    if (hasSignatures(transaction)) {
+        const budget = await planComputeBudget(connection, transaction);
+        formatComputeBudget(budget).forEach(line => log(line));
+        log('⚠️ Transaction is already partly signed, so the quoted compute budget is kept and the overrides are ignored');
+        return { quote, computeBudget: { ...budget, skipped: true } };
+    }
+
+    const budget = await planComputeBudget(connection, transaction, settings);
+    formatComputeBudget(budget).forEach(line => log(line));
+
+    if (!budget.changed) {
+        return { quote, computeBudget: budget };
+    }
+
+    applyComputeBudget(transaction, budget);
+    return { quote: withSerializedTransaction(quote, transaction), computeBudget: budget };
+}
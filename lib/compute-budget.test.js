@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AddressLookupTableAccount,
+    ComputeBudgetProgram,
+    Keypair,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction
+} from '@solana/web3.js';
+import {
+    applyComputeBudget,
+    loadPriorityFee,
+    planComputeBudget,
+    readComputeBudget,
+    setQuoteComputeBudget
+} from './compute-budget.js';
+
+const payer = Keypair.generate().publicKey;
+const farAway = Keypair.generate().publicKey;
+
+// A lookup table holding one account, so transfers to it are addressed through the table
+const lookupTable = new AddressLookupTableAccount({
+    key: Keypair.generate().publicKey,
+    state: { deactivationSlot: BigInt('18446744073709551615'), lastExtendedSlot: 0, lastExtendedSlotStartIndex: 0, addresses: [farAway] }
+});
+
+// An unsigned v0 transaction: optional compute budget instructions, then two transfers, one of them through the lookup table
+function buildTransaction(budget = []) {
+    const message = new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [
+            ...budget,
+            SystemProgram.transfer({ fromPubkey: payer, toPubkey: Keypair.generate().publicKey, lamports: 1 }),
+            SystemProgram.transfer({ fromPubkey: payer, toPubkey: farAway, lamports: 2 })
+        ]
+    }).compileToV0Message([lookupTable]);
+    return new VersionedTransaction(message);
+}
+
+test('loadPriorityFee reads the environment, lets overrides win and validates the values', () => {
+    const saved = { ...process.env };
+    try {
+        Object.assign(process.env, { PRIORITY_FEE: 'AUTO', COMPUTE_UNIT_LIMIT: '300000', MAX_PRIORITY_FEE: '', PRIORITY_FEE_PERCENTILE: '' });
+        assert.deepEqual(loadPriorityFee(), { computeUnitPrice: 'auto', computeUnitLimit: 300000, maxPriorityFee: undefined, percentile: 75 });
+        assert.deepEqual(loadPriorityFee({ computeUnitPrice: '5000', maxPriorityFee: '100000', percentile: '50' }),
+            { computeUnitPrice: 5000, computeUnitLimit: 300000, maxPriorityFee: 100000, percentile: 50 });
+
+        assert.throws(() => loadPriorityFee({ computeUnitLimit: '1400001' }), /Invalid compute unit limit: 1400001/);
+        assert.throws(() => loadPriorityFee({ computeUnitPrice: '1.5' }), /Invalid priority fee: 1.5/);
+        assert.throws(() => loadPriorityFee({ percentile: '101' }), /Invalid priority fee percentile: 101/);
+    } finally {
+        ['PRIORITY_FEE', 'COMPUTE_UNIT_LIMIT', 'MAX_PRIORITY_FEE', 'PRIORITY_FEE_PERCENTILE'].forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    }
+});
+
+test('planComputeBudget keeps the quoted budget unless told otherwise', async () => {
+    const quoted = buildTransaction([
+        ComputeBudgetProgram.setComputeUnitLimit({ units: 250000 }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1000 })
+    ]);
+    assert.deepEqual(readComputeBudget(quoted.message), { computeUnitLimit: 250000, computeUnitPrice: 1000, instructionCount: 2 });
+
+    const kept = await planComputeBudget(null, quoted);
+    assert.equal(kept.changed, false);
+    assert.equal(kept.priorityFee, 250);
+    assert.equal(`${kept.limitSource}/${kept.priceSource}`, 'quote/quote');
+
+    // Without a limit the runtime grants 200k units per non-budget instruction
+    const bare = await planComputeBudget(null, buildTransaction(), { computeUnitPrice: 10000 });
+    assert.equal(bare.computeUnitLimit, 400000);
+    assert.equal(bare.limitSource, 'runtime default');
+    assert.equal(bare.priorityFee, 4000);
+    assert.equal(bare.changed, true);
+});
+
+test('planComputeBudget estimates the price from recent fees and caps the spend', async () => {
+    const seen = [];
+    const connection = {
+        getRecentPrioritizationFees: async ({ lockedWritableAccounts }) => {
+            seen.push(...lockedWritableAccounts.map(key => key.toBase58()));
+            return [500, 100, 2000, 300].map((prioritizationFee, slot) => ({ slot, prioritizationFee }));
+        }
+    };
+
+    const plan = await planComputeBudget(connection, buildTransaction(), { computeUnitPrice: 'auto', percentile: 75, computeUnitLimit: 100000 });
+    assert.equal(plan.computeUnitPrice, 500);
+    assert.equal(plan.priceSource, 'estimate, p75 of 4 recent slots');
+    // Accounts behind the lookup table are not sent
+    assert.ok(seen.includes(payer.toBase58()));
+    assert.ok(!seen.includes(farAway.toBase58()));
+
+    const capped = await planComputeBudget(connection, buildTransaction(), { computeUnitPrice: 'auto', percentile: 100, computeUnitLimit: 100000, maxPriorityFee: 50 });
+    assert.equal(capped.capped, true);
+    assert.equal(capped.computeUnitPrice, 500);
+    assert.equal(capped.priorityFee, 50);
+});
+
+test('applyComputeBudget inserts the instructions without breaking accounts loaded from a lookup table', () => {
+    const transaction = buildTransaction();
+    applyComputeBudget(transaction, { computeUnitLimit: 120000, computeUnitPrice: 7000 });
+
+    assert.deepEqual(readComputeBudget(transaction.message), { computeUnitLimit: 120000, computeUnitPrice: 7000, instructionCount: 2 });
+
+    // Round-trip through the wire format and resolve the table again: the second transfer must still go to farAway
+    const decoded = VersionedTransaction.deserialize(transaction.serialize());
+    const { instructions } = TransactionMessage.decompile(decoded.message, { addressLookupTableAccounts: [lookupTable] });
+    assert.deepEqual(instructions.map(instruction => instruction.programId.toBase58()), [
+        ComputeBudgetProgram.programId.toBase58(),
+        ComputeBudgetProgram.programId.toBase58(),
+        SystemProgram.programId.toBase58(),
+        SystemProgram.programId.toBase58()
+    ]);
+    assert.ok(instructions[3].keys[1].pubkey.equals(farAway));
+    assert.ok(instructions[3].keys[1].isWritable);
+});
+
+test('applyComputeBudget refuses transactions it would have to re-sign for someone else', () => {
+    const transaction = buildTransaction();
+    transaction.signatures[0] = new Uint8Array(64).fill(1);
+    assert.throws(() => applyComputeBudget(transaction, { computeUnitLimit: 1, computeUnitPrice: 1 }), /already partly signed/);
+});
+
+test('setQuoteComputeBudget rewrites the quote only when the budget changes', async () => {
+    const quote = {
+        action: { fromAddress: payer.toBase58() },
+        transactionRequest: { data: Buffer.from(buildTransaction().serialize()).toString('base64') }
+    };
+    const lines = [];
+
+    const unchanged = await setQuoteComputeBudget(null, quote, {}, { log: line => lines.push(line) });
+    assert.equal(unchanged.quote, quote);
+    assert.deepEqual(lines.slice(1), [
+        'Compute unit limit: 400000 (runtime default)',
+        'Compute unit price: 0 micro-lamports (none)',
+        'Priority fee: 0.000000000 SOL'
+    ]);
+
+    const changed = await setQuoteComputeBudget(null, quote, { computeUnitPrice: 1000 }, { log: () => {} });
+    assert.notEqual(changed.quote.transactionRequest.data, quote.transactionRequest.data);
+    const budget = readComputeBudget(VersionedTransaction.deserialize(Buffer.from(changed.quote.transactionRequest.data, 'base64')).message);
+    assert.equal(budget.computeUnitPrice, 1000);
+    assert.equal(budget.computeUnitLimit, 400000);
+});
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { Connection } from '@solana/web3.js';
+
+export const DEFAULT_CONFIG_FILE = 'config.yaml';
+export const DEFAULT_PROFILE = 'mainnet';
+export const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+// Built-in profiles; a config file can override any value or add profiles
+export const DEFAULT_PROFILES = {
+    mainnet: {
+        solana: { rpcUrl: 'https://api.mainnet-beta.solana.com', commitment: 'confirmed', cluster: 'mainnet-beta' },
+        evm: { rpcUrl: '' },
+        lifi: { apiUrl: 'https://li.quest/v1', apiKey: '' },
+        analyzer: { backend: 'rpc', shyftApiUrl: 'https://api.shyft.to/sol/v1', shyftApiKey: '' },
+        defaults: { fromAddress: '', toAddress: '' }
+    },
+    devnet: {
+        solana: { rpcUrl: 'https://api.devnet.solana.com', cluster: 'devnet' }
+    },
+    // solana-test-validator and the offline mock server
+    local: {
+        solana: { rpcUrl: 'http://127.0.0.1:8899', cluster: 'localnet' },
+        evm: { rpcUrl: 'http://127.0.0.1:8545' },
+        lifi: { apiUrl: 'http://localhost:8787/v1' },
+        analyzer: { shyftApiUrl: 'http://localhost:8787/sol/v1' }
+    }
+};
+
+// Environment variables that override a profile value
+const ENV_OVERRIDES = {
+    SOLANA_RPC_URL: ['solana', 'rpcUrl'],
+    SOLANA_COMMITMENT: ['solana', 'commitment'],
+    ETH_RPC_URL: ['evm', 'rpcUrl'],
+    LI_FI_API_URL: ['lifi', 'apiUrl'],
+    LI_FI_API: ['lifi', 'apiKey'],
+    ANALYZER_BACKEND: ['analyzer', 'backend'],
+    SHYFT_API_URL: ['analyzer', 'shyftApiUrl'],
+    SHYFT_API_KEY: ['analyzer', 'shyftApiKey'],
+    DEFAULT_FROM_ADDRESS: ['defaults', 'fromAddress'],
+    DEFAULT_TO_ADDRESS: ['defaults', 'toAddress']
+};
+
+// Merge profile sections, letting later sources override earlier ones
+function mergeSections(...sources) {
+    const merged = {};
+    sources.filter(Boolean).forEach(source => {
+        Object.entries(source).forEach(([section, values]) => {
+            merged[section] = { ...merged[section], ...values };
+        });
+    });
+    return merged;
+}
+
+// Read the config file (JSON or YAML), treating a missing file as empty
+function readConfigFile(file) {
+    if (!fs.existsSync(file)) return {};
+
+    const text = fs.readFileSync(file, 'utf8');
+    const data = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+    return data || {};
+}
+
+// Resolve the active profile: built-in values, then the config file, then environment overrides
+export function loadConfig({ profile, file = process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE } = {}) {
+    const data = readConfigFile(file);
+    const name = profile || process.env.PROFILE || data.profile || DEFAULT_PROFILE;
+
+    const fileProfile = data.profiles?.[name];
+    if (!DEFAULT_PROFILES[name] && !fileProfile) {
+        const known = [...new Set([...Object.keys(DEFAULT_PROFILES), ...Object.keys(data.profiles || {})])];
+        throw new Error(`Unknown profile ${name}, expected one of: ${known.join(', ')}`);
+    }
+
+    const fromEnv = {};
+    Object.entries(ENV_OVERRIDES).forEach(([variable, [section, key]]) => {
+        const value = process.env[variable];
+        if (value !== undefined && value !== '') {
+            fromEnv[section] = { ...fromEnv[section], [key]: value };
+        }
+    });
+
+    const config = mergeSections(DEFAULT_PROFILES.mainnet, DEFAULT_PROFILES[name], fileProfile, fromEnv);
+    if (!COMMITMENTS.includes(config.solana.commitment)) {
+        throw new Error(`Invalid Solana commitment: ${config.solana.commitment} (expected ${COMMITMENTS.join(', ')})`);
+    }
+
+    return { profile: name, ...config };
+}
+
+// Open a Solana RPC connection for the profile
+export function createConnection(config) {
+    return new Connection(config.solana.rpcUrl, {
+        commitment: config.solana.commitment,
+        confirmTransactionInitialTimeout: 60000
+    });
+}
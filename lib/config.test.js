@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_PROFILES, loadConfig } from './config.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const yamlFile = path.join(dir, 'config.yaml');
+fs.writeFileSync(yamlFile, [
+    'profile: staging',
+    'profiles:',
+    '  staging:',
+    '    solana:',
+    '      rpcUrl: https://staging.example/rpc',
+    '      commitment: finalized',
+    '    analyzer:',
+    '      backend: shyft',
+    '  devnet:',
+    '    lifi:',
+    '      apiKey: devnet-key',
+    ''
+].join('\n'));
+
+const VARIABLES = ['PROFILE', 'CONFIG_FILE', 'SOLANA_RPC_URL', 'SOLANA_COMMITMENT', 'ETH_RPC_URL', 'LI_FI_API', 'ANALYZER_BACKEND', 'SHYFT_API_KEY'];
+
+// Run with exactly these configuration variables set, restoring the environment afterwards
+function withEnv(values, fn) {
+    const saved = Object.fromEntries(VARIABLES.map(name => [name, process.env[name]]));
+    VARIABLES.forEach(name => delete process.env[name]);
+    Object.assign(process.env, values);
+    try {
+        return fn();
+    } finally {
+        VARIABLES.forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    }
+}
+
+test('without a file or environment the built-in mainnet profile is used', () => {
+    const config = withEnv({}, () => loadConfig({ file: path.join(dir, 'missing.yaml') }));
+    assert.equal(config.profile, 'mainnet');
+    assert.deepEqual(config.solana, DEFAULT_PROFILES.mainnet.solana);
+    assert.equal(config.analyzer.backend, 'rpc');
+});
+
+test('the file picks the profile and overrides built-in values section by section', () => {
+    const staging = withEnv({}, () => loadConfig({ file: yamlFile }));
+    assert.equal(staging.profile, 'staging');
+    assert.equal(staging.solana.rpcUrl, 'https://staging.example/rpc');
+    assert.equal(staging.solana.commitment, 'finalized');
+    // Untouched values of a section still come from mainnet
+    assert.equal(staging.solana.cluster, 'mainnet-beta');
+    assert.equal(staging.analyzer.shyftApiUrl, DEFAULT_PROFILES.mainnet.analyzer.shyftApiUrl);
+
+    const devnet = withEnv({}, () => loadConfig({ file: yamlFile, profile: 'devnet' }));
+    assert.equal(devnet.solana.rpcUrl, 'https://api.devnet.solana.com');
+    assert.equal(devnet.lifi.apiKey, 'devnet-key');
+});
+
+test('PROFILE beats the file\'s profile, and --profile beats PROFILE', () => {
+    assert.equal(withEnv({ PROFILE: 'local' }, () => loadConfig({ file: yamlFile })).profile, 'local');
+    assert.equal(withEnv({ PROFILE: 'local' }, () => loadConfig({ file: yamlFile, profile: 'devnet' })).profile, 'devnet');
+    // An empty PROFILE, as in .env.example, leaves the choice to the file
+    assert.equal(withEnv({ PROFILE: '' }, () => loadConfig({ file: yamlFile })).profile, 'staging');
+});
+
+test('environment variables override the active profile, empty ones are ignored', () => {
+    const config = withEnv({
+        SOLANA_RPC_URL: 'http://127.0.0.1:9999',
+        SOLANA_COMMITMENT: 'processed',
+        LI_FI_API: 'env-key',
+        ANALYZER_BACKEND: '',
+        SHYFT_API_KEY: '',
+        ETH_RPC_URL: ''
+    }, () => loadConfig({ file: yamlFile }));
+
+    assert.equal(config.solana.rpcUrl, 'http://127.0.0.1:9999');
+    assert.equal(config.solana.commitment, 'processed');
+    assert.equal(config.lifi.apiKey, 'env-key');
+    assert.equal(config.analyzer.backend, 'shyft');
+    assert.equal(config.analyzer.shyftApiKey, '');
+    assert.equal(config.evm.rpcUrl, '');
+});
+
+test('CONFIG_FILE points at a JSON config', () => {
+    const jsonFile = path.join(dir, 'config.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({ profiles: { mainnet: { lifi: { apiUrl: 'https://proxy.example/v1' } } } }));
+    const config = withEnv({ CONFIG_FILE: jsonFile }, () => loadConfig());
+    assert.equal(config.profile, 'mainnet');
+    assert.equal(config.lifi.apiUrl, 'https://proxy.example/v1');
+});
+
+test('unknown profiles and commitments are rejected', () => {
+    assert.throws(
+        () => withEnv({ PROFILE: 'testnet' }, () => loadConfig({ file: yamlFile })),
+        /^Error: Unknown profile testnet, expected one of: mainnet, devnet, local, staging$/
+    );
+    assert.throws(
+        () => withEnv({ SOLANA_COMMITMENT: 'recent' }, () => loadConfig({ file: yamlFile })),
+        /Invalid Solana commitment: recent \(expected processed, confirmed, finalized\)/
+    );
+});
+
+test('every profile of config.example.yaml loads', () => {
+    const file = new URL('../config.example.yaml', import.meta.url).pathname;
+    ['mainnet', 'devnet', 'local'].forEach(profile => {
+        const config = withEnv({}, () => loadConfig({ file, profile }));
+        assert.equal(config.profile, profile);
+    });
+});
@@ -0,0 +1,480 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { runSwap } from './swap-flow.js';
+import { resolveAmount, resolveToken, resolveTokenAddress, symbolMatches } from './tokens.js';
+import { resolveTokenChain } from './chains.js';
+import { validateAddresses } from './validation.js';
+import { formatRate, formatTokenAmount, parseAmount, parseInterval, sleep, splitAmountInput } from './format.js';
+import { createLogger, emitEvent, readEvents } from './logger.js';
+
+export const DEFAULT_STATE_DIR = '.dca';
+
+const REQUIRED_FIELDS = ['fromToken', 'toToken', 'amount'];
+
+// Errors raised before anything is sent because the swap was refused or cannot be built; such slots are skipped, not retried
+const REFUSAL_CODES = [
+    'GUARDRAIL_BREACH', 'INSUFFICIENT_BALANCE', 'UNEXPECTED_TRANSACTION',
+    'INVALID_ADDRESS', 'UNKNOWN_TOKEN', 'AMBIGUOUS_TOKEN', 'UNKNOWN_CHAIN'
+];
+
+// Longest single wait, so a sleeping scheduler still logs now and then
+const MAX_SLEEP = 60 * 60 * 1000;
+
+// First wait before a slot that hit a transient error runs again; it doubles with each attempt, up to MAX_SLEEP
+const RETRY_DELAY = 60 * 1000;
+
+// Load a plan from a JSON or YAML file; each swap runs once, or `times` times `every` interval apart
+export function loadPlan(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+
+    if (!Array.isArray(data?.swaps) || data.swaps.length === 0) {
+        throw new Error(`Plan file ${file} has no swaps`);
+    }
+
+    const defaults = data.defaults || {};
+    const swaps = data.swaps.map((entry, index) => {
+        const swap = { ...defaults, ...entry };
+        const missing = REQUIRED_FIELDS.filter(field => swap[field] === undefined || swap[field] === '');
+        if (missing.length > 0) {
+            throw new Error(`Plan file ${file}: swap #${index + 1} is missing ${missing.join(', ')}`);
+        }
+
+        const times = swap.times === undefined ? 1 : Number(swap.times);
+        if (!Number.isInteger(times) || times < 1) {
+            throw new Error(`Plan file ${file}: swap #${index + 1} has an invalid times: ${swap.times}`);
+        }
+        if (times > 1 && !swap.every) {
+            throw new Error(`Plan file ${file}: swap #${index + 1} repeats ${times} times but has no interval (every)`);
+        }
+        if (swap.start !== undefined && Number.isNaN(Date.parse(swap.start))) {
+            throw new Error(`Plan file ${file}: swap #${index + 1} has an invalid start: ${swap.start}`);
+        }
+
+        return {
+            ...swap,
+            name: swap.name || `${swap.amount} ${swap.fromToken} to ${swap.toToken}`,
+            amount: String(swap.amount),
+            times,
+            interval: swap.every ? parseInterval(swap.every) : 0
+        };
+    });
+
+    return {
+        name: data.name || path.basename(file).replace(/\.[^.]+$/, ''),
+        maxSpend: [].concat(data.maxSpend || []).map(String),
+        guardrails: data.guardrails || {},
+        swaps
+    };
+}
+
+// State file of a plan, under DCA_STATE_DIR (default .dca)
+export function getStateFile(plan) {
+    return path.join(process.env.DCA_STATE_DIR || DEFAULT_STATE_DIR, `${plan.name}.json`);
+}
+
+// Read a plan's state; the first run fixes the time recurring swaps are counted from
+export function loadState(file, plan) {
+    if (!fs.existsSync(file)) {
+        return { plan: plan.name, createdAt: new Date().toISOString(), slots: {}, spent: {} };
+    }
+
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (state.plan !== plan.name) {
+        throw new Error(`State file ${file} belongs to plan ${state.plan}, not ${plan.name}`);
+    }
+    state.spent = state.spent || {};
+    return state;
+}
+
+// Add a sent swap to the base units spent per source token ("chain:token"), kept as strings in the state
+function addSpent(state, key, amount) {
+    state.spent[key] = (BigInt(state.spent[key] || 0) + BigInt(amount)).toString();
+}
+
+// Write the state through a temporary file, so a crash never leaves half a file behind
+export function saveState(file, state) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(state, null, 2) + '\n');
+    fs.renameSync(temporary, file);
+}
+
+// Take the plan's lock file so two schedulers never trade the same plan; a lock left by a dead process is taken over
+function acquireLock(stateFile) {
+    const file = `${stateFile}.lock`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+        fs.writeFileSync(file, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const pid = Number(fs.readFileSync(file, 'utf8'));
+        let alive = false;
+        try {
+            process.kill(pid, 0);
+            alive = true;
+        } catch {
+            alive = false;
+        }
+        if (alive && pid !== process.pid) {
+            throw new Error(`Plan is already running in process ${pid} (lock file ${file})`);
+        }
+        fs.writeFileSync(file, String(process.pid));
+    }
+    return () => fs.rmSync(file, { force: true });
+}
+
+// Every execution the plan asks for; slots are identified by the swap's position and repetition
+export function listSlots(plan, state) {
+    const createdAt = Date.parse(state.createdAt);
+    return plan.swaps.flatMap((swap, index) => {
+        const start = swap.start !== undefined ? Date.parse(swap.start) : createdAt;
+        return Array.from({ length: swap.times }, (_, repetition) => ({
+            id: `${index}:${repetition}`,
+            swap,
+            index,
+            repetition,
+            due: start + repetition * swap.interval
+        }));
+    });
+}
+
+// Slots missed while the scheduler was not running are recorded as missed instead of being bought in a burst
+function markMissedSlots(slots, state, now) {
+    const latestDue = new Map();
+    slots.filter(slot => slot.due <= now && !state.slots[slot.id]).forEach(slot => {
+        const latest = latestDue.get(slot.index);
+        if (latest) {
+            state.slots[latest.id] = { status: 'missed', due: new Date(latest.due).toISOString() };
+        }
+        latestDue.set(slot.index, slot);
+    });
+}
+
+// The last swap transaction an attempt recorded in the events file, if any; after a re-quote, earlier ones expired unsent
+function findSentSwap(events, runId) {
+    return events.filter(event => event.runId === runId && event.type === 'tx_sent' && event.kind !== 'approval').pop();
+}
+
+// Settle slots an interrupted run left running: unsent ones run again, sent ones are looked up on chain
+// and count towards the spend cap unless they failed
+async function recoverSlots(connection, state, { log = console.log } = {}) {
+    const running = Object.entries(state.slots).filter(([, record]) => record.status === 'running');
+    if (running.length === 0) return;
+
+    const events = readEvents();
+    for (const [id, record] of running) {
+        const sent = findSentSwap(events, record.runId);
+        if (!sent) {
+            delete state.slots[id];
+            log(`Slot ${id}: the previous attempt stopped before sending, it runs again when due`);
+            continue;
+        }
+
+        record.signature = sent.txHash;
+        const confirmed = events.some(event => event.runId === record.runId && event.type === 'tx_confirmed' && event.kind === 'swap');
+        let status = confirmed ? { err: null } : null;
+        if (!status && sent.chain === 'sol' && connection) {
+            [status] = (await connection.getSignatureStatuses([sent.txHash], { searchTransactionHistory: true })).value;
+        }
+
+        if (status && !status.err) {
+            record.status = 'done';
+        } else if (status?.err) {
+            record.status = 'failed';
+            record.error = `Transaction failed: ${JSON.stringify(status.err)}`;
+        } else {
+            // Never retried: the transaction may still land
+            record.status = 'unknown';
+        }
+
+        // The quote that was sent says what left the wallet
+        if (record.status !== 'failed' && record.spendKey) {
+            const quote = events.filter(event => event.runId === record.runId && event.type === 'quote_received').pop();
+            addSpent(state, record.spendKey, quote?.fromAmount ?? record.spendAmount);
+        }
+        log(`Slot ${id}: the previous attempt sent ${sent.txHash}, recorded as ${record.status}`);
+    }
+}
+
+// Turn a plan swap into Li.Fi swap parameters, with addresses from the wallet
+async function resolveSwapParams(lifi, swap, { wallet, log = console.log }) {
+    const from = await resolveTokenChain(lifi, swap.fromChain, swap.fromToken, { log });
+    const to = await resolveTokenChain(lifi, swap.toChain, swap.toToken, { log });
+
+    const fromAddress = swap.fromAddress || wallet.getAddress(from.chain.chainType);
+    const toAddress = swap.toAddress
+        || (to.chain.chainType === from.chain.chainType ? fromAddress : wallet.getAddress(to.chain.chainType));
+    if (!fromAddress || !toAddress) {
+        const error = new Error(`Swap ${swap.name}: the wallet has no ${!fromAddress ? from.chain.chainType : to.chain.chainType} address`);
+        error.code = 'INVALID_ADDRESS';
+        throw error;
+    }
+
+    const addressErrors = validateAddresses({ fromAddress, toAddress }, { fromChain: from.chain, toChain: to.chain });
+    if (addressErrors.length > 0) {
+        const error = new Error(addressErrors.join('\n'));
+        error.code = 'INVALID_ADDRESS';
+        throw error;
+    }
+
+    const { fromAmount, token } = await resolveAmount(lifi, { chain: from.chain.key, token: from.token, amount: swap.amount }, { log });
+    const params = {
+        fromChain: from.chain.key,
+        toChain: to.chain.key,
+        fromToken: token.address,
+        toToken: await resolveTokenAddress(lifi, to.chain.key, to.token, { log }),
+        fromAmount,
+        fromAddress,
+        toAddress
+    };
+    if (swap.slippage !== undefined) {
+        params.slippage = Number(swap.slippage) / 100;
+    }
+
+    return { params, chain: from.chain, token };
+}
+
+// Resolve the spend cap of every source token in the plan, e.g. "0.5 SOL"; every token needs one to trade live
+async function resolveSpendCaps(lifi, plan, maxSpend, { log = console.log, required = true } = {}) {
+    const caps = maxSpend.map(splitAmountInput);
+    const resolved = new Map();
+
+    for (const swap of plan.swaps) {
+        const from = await resolveTokenChain(lifi, swap.fromChain, swap.fromToken, { log });
+        const token = await resolveToken(lifi, from.chain.key, from.token, { log });
+        const key = `${from.chain.key}:${token.address}`;
+        if (resolved.has(key)) continue;
+
+        const cap = caps.find(entry => entry.symbol && symbolMatches(entry.symbol, token, from.chain.key));
+        if (!cap && required) {
+            throw new Error(`No spend cap for ${token.symbol}: add e.g. "maxSpend: 1 ${token.symbol}" to the plan or pass --max-spend`);
+        }
+        resolved.set(key, cap ? { symbol: token.symbol, decimals: token.decimals, amount: BigInt(parseAmount(cap.amount, token.decimals)) } : null);
+    }
+
+    return resolved;
+}
+
+// Load the signer a swap from the chain needs into the swap context
+async function loadSigner(swapContext, chain) {
+    const { wallet, config } = swapContext;
+    if (chain.chainType === 'SVM') {
+        swapContext.solanaWallet = await wallet.getSolanaSigner();
+    } else if (chain.chainType === 'EVM') {
+        swapContext.evmWallet = await wallet.getEvmSigner(config.evm.rpcUrl);
+    } else {
+        throw new Error(`Swapping from ${chain.name} is not supported: no ${chain.chainType} wallet`);
+    }
+}
+
+// Execute one slot through the swap pipeline without prompts and record how it ended
+async function executeSlot(context, plan, slot, { state, caps, guardrails, priorityFee, dryRun }) {
+    const { lifi, wallet, log } = context;
+    const { swap } = slot;
+    const previous = state.slots[slot.id];
+    log(`\n=== ${plan.name}: ${swap.name} (${slot.repetition + 1}/${swap.times})` +
+        `${previous?.status === 'retry' ? `, attempt ${previous.attempts + 1}` : ''} ===`);
+
+    // Each slot gets its own run ID, so a restart can find the transaction it sent in the events file
+    const swapContext = { ...context, solanaWallet: null, evmWallet: null };
+    swapContext.log = createLogger({ script: log.script || 'dca', print: message => log(message) });
+
+    const record = {
+        status: 'running',
+        runId: swapContext.log.runId,
+        due: new Date(slot.due).toISOString(),
+        startedAt: new Date().toISOString(),
+        attempts: (previous?.attempts || 0) + 1
+    };
+    emitEvent(swapContext.log, 'run_started', { command: 'dca', plan: plan.name, slot: slot.id });
+
+    try {
+        const { params, chain, token } = await resolveSwapParams(lifi, swap, { wallet, log });
+        const key = `${params.fromChain}:${token.address}`;
+        const cap = caps.get(key);
+        const total = BigInt(state.spent[key] || 0) + BigInt(params.fromAmount);
+        if (cap && total > cap.amount) {
+            log(`Spend cap reached: ${formatTokenAmount(total, cap.decimals)} ${cap.symbol} would exceed ` +
+                `${formatTokenAmount(cap.amount, cap.decimals)} ${cap.symbol} for the plan`);
+            return 'capped';
+        }
+
+        await loadSigner(swapContext, chain);
+
+        Object.assign(record, { spendKey: key, spendAmount: params.fromAmount });
+        state.slots[slot.id] = record;
+        if (!dryRun) saveState(context.stateFile, state);
+
+        const result = await runSwap(swapContext, params, {
+            guardrails,
+            priorityFee,
+            simulate: true,
+            dryRun,
+            confirm: async (message) => {
+                swapContext.log(message + 'yes (scheduled)');
+                return true;
+            }
+        });
+
+        const { action, estimate } = result.quote;
+        Object.assign(record, {
+            status: dryRun ? 'dry-run' : 'done',
+            finishedAt: new Date().toISOString(),
+            signature: result.signature,
+            fromSymbol: action.fromToken.symbol,
+            fromDecimals: action.fromToken.decimals,
+            fromAmount: action.fromAmount,
+            toSymbol: action.toToken.symbol,
+            toDecimals: action.toToken.decimals,
+            quotedAmount: estimate.toAmount,
+            receivedAmount: result.reconciliation?.received
+        });
+        if (!dryRun) addSpent(state, key, result.quote.action.fromAmount);
+    } catch (error) {
+        swapContext.log.error(error, { stage: 'dca', slot: slot.id });
+        const sent = findSentSwap(readEvents(), record.runId);
+        Object.assign(record, {
+            finishedAt: new Date().toISOString(),
+            signature: sent?.txHash,
+            error: error.message
+        });
+        if (sent) {
+            // A swap that was sent may still have gone through, so it is never retried
+            record.status = 'unknown';
+            addSpent(state, record.spendKey, record.spendAmount);
+        } else if (REFUSAL_CODES.includes(error.code)) {
+            record.status = 'skipped';
+        } else {
+            // Nothing left the wallet, so a transient Li.Fi or RPC error only postpones the slot
+            record.status = 'retry';
+            record.retryAt = new Date(Date.now() + Math.min(RETRY_DELAY * 2 ** (record.attempts - 1), MAX_SLEEP)).toISOString();
+        }
+        state.slots[slot.id] = record;
+        log(`\n❌ ${swap.name} (${slot.repetition + 1}/${swap.times}) ${record.status}: ${error.message}` +
+            (record.retryAt ? ` (next attempt at ${record.retryAt})` : ''));
+    }
+    return record.status;
+}
+
+// Run a plan's due swaps without prompts, then wait for the next one unless `once` is set
+export async function runSchedule(context, plan, options = {}) {
+    const { log = console.log } = context;
+    const {
+        stateFile = getStateFile(plan),
+        maxSpend = plan.maxSpend,
+        guardrails,
+        priorityFee = {},
+        once = false,
+        dryRun = false
+    } = options;
+
+    log(`\n=== Scheduler: ${plan.name} ===`);
+    log(`State: ${stateFile}${dryRun ? ' (dry run, not written)' : ''}`);
+
+    const releaseLock = dryRun ? () => {} : acquireLock(stateFile);
+    try {
+        return await runPlan(context, plan, { stateFile, maxSpend, guardrails, priorityFee, once, dryRun });
+    } finally {
+        releaseLock();
+    }
+}
+
+// Recover, then execute due slots until the plan is finished, the spend cap is hit or, with `once`, nothing is due
+async function runPlan(context, plan, { stateFile, maxSpend, guardrails, priorityFee, once, dryRun }) {
+    const { lifi, connection, log = console.log } = context;
+    const state = loadState(stateFile, plan);
+    await recoverSlots(connection, state, { log });
+    if (!dryRun) saveState(stateFile, state);
+
+    const caps = await resolveSpendCaps(lifi, plan, maxSpend, { log, required: !dryRun });
+    [...caps.entries()].filter(([, cap]) => cap).forEach(([key, cap]) => {
+        log(`Spend cap for the plan: ${formatTokenAmount(cap.amount, cap.decimals)} ${cap.symbol}, ` +
+            `${formatTokenAmount(state.spent[key] || 0, cap.decimals)} ${cap.symbol} spent so far`);
+    });
+
+    const slotContext = { ...context, log, stateFile };
+    while (true) {
+        const slots = listSlots(plan, state);
+        markMissedSlots(slots, state, Date.now());
+
+        // Slots waiting to retry are due again at their retry time
+        const startsAt = slot => (state.slots[slot.id] ? Date.parse(state.slots[slot.id].retryAt) : slot.due);
+        const next = slots
+            .filter(slot => !state.slots[slot.id] || state.slots[slot.id].status === 'retry')
+            .sort((a, b) => startsAt(a) - startsAt(b))[0];
+        if (!next) {
+            log('\nEvery swap of the plan has run');
+            break;
+        }
+
+        const wait = startsAt(next) - Date.now();
+        if (wait > 0) {
+            log(`\nNext: ${next.swap.name} (${next.repetition + 1}/${next.swap.times}) at ${new Date(startsAt(next)).toISOString()}`);
+            // A dry run only rehearses what is due now
+            if (once || dryRun) break;
+            await sleep(Math.min(wait, MAX_SLEEP));
+            continue;
+        }
+
+        const status = await executeSlot(slotContext, plan, next, { state, caps, guardrails, priorityFee, dryRun });
+        if (status === 'capped') break;
+        if (!dryRun) saveState(stateFile, state);
+    }
+
+    const summary = summarizeSchedule(plan, state);
+    logScheduleSummary(plan, summary, { log });
+    return summary;
+}
+
+// Count slots per status and work out the average price actually paid for each swap of the plan
+export function summarizeSchedule(plan, state) {
+    return plan.swaps.map((swap, index) => {
+        const records = Array.from({ length: swap.times }, (_, repetition) => state.slots[`${index}:${repetition}`]);
+        const counts = {};
+        records.forEach(record => {
+            const status = record?.status || 'pending';
+            counts[status] = (counts[status] || 0) + 1;
+        });
+
+        const done = records.filter(record => record?.status === 'done' && record.fromAmount);
+        // Volume-weighted: total received over total spent, for the slots whose received amount is known
+        const priced = done.filter(record => record.receivedAmount !== undefined);
+        const sum = (list, field) => list.reduce((total, record) => total + BigInt(record[field]), 0n);
+        const first = done[0];
+
+        return {
+            name: swap.name,
+            times: swap.times,
+            counts,
+            fromSymbol: first?.fromSymbol,
+            toSymbol: first?.toSymbol,
+            spent: first ? formatTokenAmount(sum(done, 'fromAmount'), first.fromDecimals) : '0',
+            received: priced.length > 0 ? formatTokenAmount(sum(priced, 'receivedAmount'), first.toDecimals) : undefined,
+            averagePrice: priced.length > 0
+                ? formatRate(sum(priced, 'fromAmount'), first.fromDecimals, sum(priced, 'receivedAmount'), first.toDecimals)
+                : undefined,
+            averageQuotedPrice: priced.length > 0
+                ? formatRate(sum(priced, 'fromAmount'), first.fromDecimals, sum(priced, 'quotedAmount'), first.toDecimals)
+                : undefined
+        };
+    });
+}
+
+// Log the progress and average price of every swap in the plan
+export function logScheduleSummary(plan, summary, { log = console.log } = {}) {
+    log(`\n=== Scheduler Summary: ${plan.name} ===`);
+    summary.forEach(entry => {
+        const counts = Object.entries(entry.counts).map(([status, count]) => `${count} ${status}`).join(', ');
+        log(`${entry.name}: ${counts} (of ${entry.times})`);
+        if (!entry.fromSymbol) return;
+
+        log(`  Spent: ${entry.spent} ${entry.fromSymbol}` +
+            (entry.received !== undefined ? `, received: ${entry.received} ${entry.toSymbol}` : ''));
+        if (entry.averagePrice !== undefined) {
+            log(`  Average price: 1 ${entry.fromSymbol} = ${entry.averagePrice} ${entry.toSymbol} (quoted ${entry.averageQuotedPrice})`);
+        }
+    });
+}
@@ -0,0 +1,226 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { listSlots, loadPlan, loadState, runSchedule, saveState, summarizeSchedule } from './dca.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Write a plan or state into a fresh temporary directory and return its path
+function writeTemp(name, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dca-test-'));
+    tempDirs.push(dir);
+    const file = path.join(dir, name);
+    if (text !== undefined) fs.writeFileSync(file, text);
+    return file;
+}
+
+test('loadPlan reads the example plan with its defaults and interval', () => {
+    const plan = loadPlan(new URL('../plans/sol-usdc-dca.yaml', import.meta.url).pathname);
+    assert.equal(plan.name, 'sol-usdc-dca');
+    assert.deepEqual(plan.maxSpend, ['0.5 SOL']);
+    assert.deepEqual(plan.guardrails, { maxSlippage: 1, maxPriceImpact: 2 });
+
+    const [swap] = plan.swaps;
+    assert.equal(swap.fromChain, 'sol');
+    assert.equal(swap.amount, '0.1');
+    assert.equal(swap.times, 20);
+    assert.equal(swap.interval, 6 * HOUR);
+});
+
+test('loadPlan names unnamed swaps and plans after their contents and file', () => {
+    const file = writeTemp('weekly.json', JSON.stringify({ swaps: [{ fromToken: 'SOL', toToken: 'USDC', amount: 1 }] }));
+    const plan = loadPlan(file);
+    assert.equal(plan.name, 'weekly');
+    assert.deepEqual(plan.maxSpend, []);
+    assert.equal(plan.swaps[0].name, '1 SOL to USDC');
+    assert.equal(plan.swaps[0].times, 1);
+    assert.equal(plan.swaps[0].interval, 0);
+});
+
+test('loadPlan rejects incomplete or inconsistent swaps', () => {
+    const plan = swaps => writeTemp('plan.yaml', `swaps:\n${swaps}`);
+    assert.throws(() => loadPlan(writeTemp('empty.yaml', 'name: empty\n')), /has no swaps/);
+    assert.throws(() => loadPlan(plan('  - fromToken: SOL\n    toToken: USDC\n')), /swap #1 is missing amount/);
+    assert.throws(() => loadPlan(plan('  - { fromToken: SOL, toToken: USDC, amount: 1, times: 0 }\n')), /invalid times: 0/);
+    assert.throws(() => loadPlan(plan('  - { fromToken: SOL, toToken: USDC, amount: 1, times: 3 }\n')), /has no interval/);
+    assert.throws(() => loadPlan(plan('  - { fromToken: SOL, toToken: USDC, amount: 1, start: soon }\n')), /invalid start: soon/);
+});
+
+test('listSlots spaces repetitions from the first run or the swap start', () => {
+    const plan = {
+        swaps: [
+            { times: 3, interval: HOUR },
+            { times: 2, interval: 24 * HOUR, start: '2026-10-20T08:00:00Z' }
+        ]
+    };
+    const state = { createdAt: '2026-10-19T00:00:00Z', slots: {} };
+    const slots = listSlots(plan, state);
+
+    assert.deepEqual(slots.map(slot => slot.id), ['0:0', '0:1', '0:2', '1:0', '1:1']);
+    assert.deepEqual(slots.map(slot => new Date(slot.due).toISOString()), [
+        '2026-10-19T00:00:00.000Z',
+        '2026-10-19T01:00:00.000Z',
+        '2026-10-19T02:00:00.000Z',
+        '2026-10-20T08:00:00.000Z',
+        '2026-10-21T08:00:00.000Z'
+    ]);
+});
+
+test('saveState and loadState keep slots and the spend across restarts', () => {
+    const plan = { name: 'sol-usdc-dca' };
+    const file = writeTemp('sol-usdc-dca.json');
+
+    const fresh = loadState(file, plan);
+    assert.deepEqual(fresh.slots, {});
+    assert.deepEqual(fresh.spent, {});
+
+    fresh.slots['0:0'] = { status: 'done', fromAmount: '100000000' };
+    fresh.spent['sol:11111111111111111111111111111111'] = '100000000';
+    saveState(file, fresh);
+
+    assert.deepEqual(loadState(file, plan), fresh);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+    assert.throws(() => loadState(file, { name: 'other' }), /belongs to plan sol-usdc-dca, not other/);
+});
+
+test('loadState starts the spend of state files written without one', () => {
+    const plan = { name: 'old' };
+    const file = writeTemp('old.json', JSON.stringify({ plan: 'old', createdAt: '2026-10-01T00:00:00Z', slots: {} }));
+    assert.deepEqual(loadState(file, plan).spent, {});
+});
+
+test('summarizeSchedule counts slots and weights the average price by volume', () => {
+    const plan = { swaps: [{ name: 'SOL to USDC', times: 4 }] };
+    const record = (fromAmount, receivedAmount, quotedAmount) => ({
+        status: 'done',
+        fromAmount,
+        receivedAmount,
+        quotedAmount,
+        fromSymbol: 'SOL',
+        toSymbol: 'USDC',
+        fromDecimals: 9,
+        toDecimals: 6
+    });
+    const state = {
+        slots: {
+            '0:0': record('100000000', '15000000', '15100000'),
+            '0:1': record('300000000', '48000000', '48300000'),
+            '0:2': { status: 'failed' }
+        }
+    };
+
+    const [summary] = summarizeSchedule(plan, state);
+    assert.deepEqual(summary.counts, { done: 2, failed: 1, pending: 1 });
+    assert.equal(summary.spent, '0.4');
+    assert.equal(summary.received, '63');
+    assert.equal(summary.averagePrice, '157.500000');
+    assert.equal(summary.averageQuotedPrice, '158.500000');
+});
+
+const SOL = '11111111111111111111111111111111';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const WALLET = 'CBKvo4csvk8k2VpwVi13d6xQFEhgMEmJXVFhJeU9GEXj';
+
+// Li.Fi as far as the scheduler needs it before quoting: one chain and its two tokens
+const lifi = {
+    getChains: async () => ({ chains: [{ id: SOLANA_CHAIN_ID, key: 'sol', name: 'Solana', chainType: 'SVM' }] }),
+    getTokens: async () => ({
+        tokens: {
+            [SOLANA_CHAIN_ID]: [
+                { address: SOL, symbol: 'SOL', decimals: 9, chainId: SOLANA_CHAIN_ID },
+                { address: USDC, symbol: 'USDC', decimals: 6, chainId: SOLANA_CHAIN_ID }
+            ]
+        }
+    })
+};
+
+// A one-swap plan with its state, events and caches in a fresh directory
+function setupPlan() {
+    const planFile = writeTemp('retry-test.yaml', 'maxSpend: "1 SOL"\nswaps:\n' +
+        '  - { fromChain: sol, toChain: sol, fromToken: SOL, toToken: USDC, amount: "0.1" }\n');
+    const dir = path.dirname(planFile);
+    process.env.EVENTS_FILE = path.join(dir, 'events.jsonl');
+    process.env.CHAIN_CACHE_FILE = path.join(dir, 'chains.json');
+    process.env.TOKEN_CACHE_FILE = path.join(dir, 'tokens.json');
+    return { plan: loadPlan(planFile), stateFile: path.join(dir, 'state.json') };
+}
+
+// Run the plan once with a wallet whose address and signer the test controls
+async function runOnce(plan, stateFile, { address = WALLET, getSolanaSigner }) {
+    const lines = [];
+    const wallet = { getAddress: () => address, getSolanaSigner };
+    const context = { lifi, wallet, connection: null, config: { evm: {} }, log: line => lines.push(line) };
+    const summary = await runSchedule(context, plan, { stateFile, once: true });
+    return { summary, lines, state: JSON.parse(fs.readFileSync(stateFile, 'utf8')) };
+}
+
+test('a transient error before sending keeps the slot for a retry with a growing delay', async () => {
+    const { plan, stateFile } = setupPlan();
+    const getSolanaSigner = async () => {
+        throw new Error('fetch failed');
+    };
+
+    const before = Date.now();
+    const first = await runOnce(plan, stateFile, { getSolanaSigner });
+    const record = first.state.slots['0:0'];
+    assert.equal(record.status, 'retry');
+    assert.equal(record.attempts, 1);
+    assert.equal(record.error, 'fetch failed');
+    assert.ok(Date.parse(record.retryAt) >= before + 60 * 1000);
+    assert.deepEqual(first.summary[0].counts, { retry: 1 });
+
+    // Not due yet: the next run only reports when it will try again
+    const waiting = await runOnce(plan, stateFile, { getSolanaSigner });
+    assert.ok(waiting.lines.includes(`\nNext: ${plan.swaps[0].name} (1/1) at ${record.retryAt}`));
+    assert.equal(waiting.state.slots['0:0'].attempts, 1);
+
+    record.retryAt = new Date(Date.now() - 1000).toISOString();
+    saveState(stateFile, first.state);
+    const again = Date.now();
+    const second = await runOnce(plan, stateFile, { getSolanaSigner });
+    assert.equal(second.state.slots['0:0'].status, 'retry');
+    assert.equal(second.state.slots['0:0'].attempts, 2);
+    assert.ok(Date.parse(second.state.slots['0:0'].retryAt) >= again + 2 * 60 * 1000);
+    assert.deepEqual(second.state.spent, {});
+});
+
+test('a swap refused before sending is skipped for good', async () => {
+    const { plan, stateFile } = setupPlan();
+    const { state } = await runOnce(plan, stateFile, { address: 'not-an-address', getSolanaSigner: async () => ({}) });
+    assert.equal(state.slots['0:0'].status, 'skipped');
+    assert.match(state.slots['0:0'].error, /Invalid Solana address not-an-address/);
+
+    const { lines } = await runOnce(plan, stateFile, { getSolanaSigner: async () => ({}) });
+    assert.ok(lines.includes('\nEvery swap of the plan has run'));
+});
+
+test('recovery takes the last transaction an interrupted slot sent, after a re-quote', async () => {
+    const { plan, stateFile } = setupPlan();
+    const spendKey = `sol:${SOL}`;
+    saveState(stateFile, {
+        plan: plan.name,
+        createdAt: new Date().toISOString(),
+        slots: { '0:0': { status: 'running', runId: 'r1', spendKey, spendAmount: '100000000' } },
+        spent: {}
+    });
+    const events = [
+        { runId: 'r1', type: 'quote_received', fromAmount: '100000000' },
+        { runId: 'r1', type: 'tx_sent', kind: 'swap', chain: 'sol', txHash: 'expired' },
+        { runId: 'r1', type: 'quote_received', fromAmount: '99000000' },
+        { runId: 'r1', type: 'tx_sent', kind: 'swap', chain: 'sol', txHash: 'landed' },
+        { runId: 'r1', type: 'tx_confirmed', kind: 'swap', chain: 'sol', txHash: 'landed' }
+    ];
+    fs.writeFileSync(process.env.EVENTS_FILE, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const { state, lines } = await runOnce(plan, stateFile, { getSolanaSigner: async () => ({}) });
+    assert.equal(state.slots['0:0'].status, 'done');
+    assert.equal(state.slots['0:0'].signature, 'landed');
+    assert.deepEqual(state.spent, { [spendKey]: '99000000' });
+    assert.ok(lines.includes('Slot 0:0: the previous attempt sent landed, recorded as done'));
+});
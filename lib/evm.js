@@ -0,0 +1,131 @@
+import { ethers } from 'ethers';
+import { emitEvent } from './logger.js';
+
+export const NATIVE_TOKEN_ADDRESSES = [
+    '0x0000000000000000000000000000000000000000',
+    '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'
+];
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Create an ethers wallet from a private key, connected to the given RPC (the profile's evm.rpcUrl or ETH_RPC_URL)
+export function createEvmWallet(secret, rpcUrl) {
+    if (!secret) {
+        throw new Error('ETH_SECRET is not set in .env file');
+    }
+    if (!rpcUrl) {
+        throw new Error('No EVM RPC: set ETH_RPC_URL or the profile\'s evm.rpcUrl');
+    }
+
+    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+    return new ethers.Wallet(secret.startsWith('0x') ? secret : `0x${secret}`, provider);
+}
+
+// Check whether a Li.Fi transactionRequest targets an EVM chain
+export function isEvmTransactionRequest(transactionRequest) {
+    return !!transactionRequest
+        && typeof transactionRequest.to === 'string'
+        && /^0x[0-9a-fA-F]*$/.test(transactionRequest.data || '');
+}
+
+// Check whether a token address is the native gas token
+export function isNativeToken(address) {
+    return NATIVE_TOKEN_ADDRESSES.includes(String(address).toLowerCase());
+}
+
+// Wait for a transaction to be mined; ethers v5 throws CALL_EXCEPTION when it reverted
+async function waitForReceipt(tx, description) {
+    try {
+        return await tx.wait();
+    } catch (error) {
+        if (error.code !== ethers.errors.CALL_EXCEPTION) throw error;
+        const reverted = new Error(`${description} reverted: ${tx.hash}`);
+        reverted.code = error.code;
+        reverted.txHash = tx.hash;
+        throw reverted;
+    }
+}
+
+// Make sure the Li.Fi approval address may spend the quote's from amount
+export async function ensureAllowance(wallet, quote, { log = console.log } = {}) {
+    const tokenAddress = quote.action.fromToken.address;
+    const approvalAddress = quote.estimate.approvalAddress;
+
+    if (isNativeToken(tokenAddress) || !approvalAddress) {
+        log('No ERC-20 approval required');
+        return null;
+    }
+
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    const amount = ethers.BigNumber.from(quote.action.fromAmount);
+    const allowance = await token.allowance(wallet.address, approvalAddress);
+
+    log(`Current allowance for ${approvalAddress}: ${allowance.toString()}`);
+    if (allowance.gte(amount)) {
+        log('✅ Allowance is sufficient');
+        return null;
+    }
+
+    // Tokens such as USDT refuse to change a non-zero allowance directly
+    if (!allowance.isZero()) {
+        log('Resetting existing allowance to 0...');
+        const resetTx = await token.approve(approvalAddress, 0);
+        await waitForReceipt(resetTx, 'Allowance reset');
+    }
+
+    log(`Approving ${amount.toString()} ${quote.action.fromToken.symbol}...`);
+    const approveTx = await token.approve(approvalAddress, amount);
+    log('Approval sent: ' + approveTx.hash);
+    emitEvent(log, 'tx_sent', { kind: 'approval', chain: quote.action.fromChainId, txHash: approveTx.hash });
+
+    const receipt = await waitForReceipt(approveTx, 'Approval transaction');
+
+    emitEvent(log, 'tx_confirmed', { kind: 'approval', chain: quote.action.fromChainId, txHash: approveTx.hash, block: receipt.blockNumber });
+    log('✅ Approval confirmed');
+    return approveTx.hash;
+}
+
+// Submit the quote's transactionRequest from an EVM wallet
+export async function executeEvmSwap(wallet, quote, { log = console.log } = {}) {
+    const { transactionRequest } = quote;
+
+    if (!isEvmTransactionRequest(transactionRequest)) {
+        throw new Error('Quote does not contain an EVM transaction request');
+    }
+
+    const { chainId } = await wallet.provider.getNetwork();
+    if (transactionRequest.chainId && Number(transactionRequest.chainId) !== chainId) {
+        throw new Error(`RPC is connected to chain ${chainId} but the quote expects chain ${transactionRequest.chainId}`);
+    }
+
+    await ensureAllowance(wallet, quote, { log });
+
+    log('\nSending transaction...');
+    const tx = await wallet.sendTransaction({
+        to: transactionRequest.to,
+        data: transactionRequest.data,
+        value: ethers.BigNumber.from(transactionRequest.value || 0),
+        gasLimit: transactionRequest.gasLimit ? ethers.BigNumber.from(transactionRequest.gasLimit) : undefined
+    });
+    log('Transaction sent: ' + tx.hash);
+    emitEvent(log, 'tx_sent', { kind: 'swap', chain: chainId, txHash: tx.hash });
+
+    log('Waiting for transaction confirmation...');
+    const receipt = await waitForReceipt(tx, 'Swap transaction');
+
+    emitEvent(log, 'tx_confirmed', {
+        kind: 'swap',
+        chain: chainId,
+        txHash: tx.hash,
+        block: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+    });
+    log('\n✅ Transaction completed successfully!');
+    log(`Block: ${receipt.blockNumber}`);
+    log(`Gas used: ${receipt.gasUsed.toString()}`);
+
+    return tx.hash;
+}
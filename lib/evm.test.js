@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ethers } from 'ethers';
+import { createEvmWallet, executeEvmSwap, isEvmTransactionRequest, isNativeToken } from './evm.js';
+
+const ROUTER = '0x1231DEB6f5749EF6cE6943a275A1D3E7486F4EaE';
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+const APPROVE = new ethers.utils.Interface(['function approve(address spender, uint256 amount)']);
+
+// A one-node chain over JSON-RPC: it mines every transaction at once and tracks a single ERC-20 allowance
+async function startChain({ chainId = 1, allowance = 0n, revert = () => false } = {}) {
+    const chain = { allowance, sent: [], receipts: new Map(), block: 100 };
+    const hex = value => ethers.utils.hexValue(ethers.BigNumber.from(value));
+
+    const methods = {
+        eth_chainId: () => hex(chainId),
+        net_version: () => String(chainId),
+        eth_blockNumber: () => hex(chain.block),
+        eth_gasPrice: () => hex(1000000000),
+        eth_estimateGas: () => hex(60000),
+        eth_getTransactionCount: () => hex(chain.sent.length),
+        eth_getBlockByNumber: () => ({
+            hash: ethers.utils.hexZeroPad(hex(chain.block), 32),
+            parentHash: ethers.constants.HashZero,
+            number: hex(chain.block),
+            timestamp: hex(1760000000),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: hex(30000000),
+            gasUsed: '0x0',
+            miner: ethers.constants.AddressZero,
+            extraData: '0x',
+            transactions: []
+        }),
+        // The only contract call is allowance(owner, spender)
+        eth_call: () => ethers.utils.hexZeroPad(hex(chain.allowance), 32),
+        eth_sendRawTransaction: ([raw]) => {
+            const tx = ethers.utils.parseTransaction(raw);
+            chain.sent.push(tx);
+            if (tx.data.startsWith(APPROVE.getSighash('approve'))) {
+                chain.allowance = APPROVE.decodeFunctionData('approve', tx.data).amount.toBigInt();
+            }
+            chain.block++;
+            chain.receipts.set(tx.hash, {
+                transactionHash: tx.hash,
+                transactionIndex: '0x0',
+                blockHash: ethers.utils.hexZeroPad(hex(chain.block), 32),
+                blockNumber: hex(chain.block),
+                from: tx.from,
+                to: tx.to,
+                cumulativeGasUsed: hex(50000),
+                gasUsed: hex(50000),
+                effectiveGasPrice: hex(1000000000),
+                contractAddress: null,
+                logs: [],
+                logsBloom: ethers.utils.hexZeroPad('0x0', 256),
+                type: '0x0',
+                status: revert(tx) ? '0x0' : '0x1'
+            });
+            return tx.hash;
+        },
+        eth_getTransactionReceipt: ([hash]) => chain.receipts.get(hash) || null,
+        eth_getTransactionByHash: ([hash]) => {
+            const tx = chain.sent.find(entry => entry.hash === hash);
+            const receipt = chain.receipts.get(hash);
+            return tx && {
+                hash, from: tx.from, to: tx.to, nonce: hex(tx.nonce), gas: hex(tx.gasLimit), gasPrice: hex(tx.gasPrice), value: hex(tx.value),
+                input: tx.data, v: hex(tx.v), r: tx.r, s: tx.s, blockHash: receipt.blockHash, blockNumber: receipt.blockNumber, transactionIndex: '0x0'
+            };
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { id, method, params } = JSON.parse(body);
+            const reply = methods[method]
+                ? { jsonrpc: '2.0', id, result: methods[method](params) }
+                : { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not found` } };
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    chain.url = `http://127.0.0.1:${server.address().port}`;
+    chain.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return chain;
+}
+
+// A quote for 100 of the token through the Li.Fi router on the chain
+function makeQuote(fromToken, { chainId = 1, approvalAddress = ROUTER } = {}) {
+    return {
+        action: { fromChainId: chainId, fromAmount: '100000000', fromToken: { address: fromToken, symbol: 'USDT', decimals: 6 } },
+        estimate: { approvalAddress },
+        transactionRequest: { chainId, to: ROUTER, data: '0x4630a0d8', value: '0x0', gasLimit: '0x30d40' }
+    };
+}
+
+// A wallet on the test chain, with logs and events collected
+function connect(chain) {
+    const wallet = createEvmWallet(ethers.Wallet.createRandom().privateKey.slice(2), chain.url);
+    const lines = [];
+    const events = [];
+    const log = Object.assign(line => lines.push(line), { event: (type, data) => events.push({ type, ...data }) });
+    return { wallet, log, lines, events };
+}
+
+test('EVM transaction requests and native tokens are recognised', () => {
+    assert.equal(isEvmTransactionRequest({ to: ROUTER, data: '0xabc' }), true);
+    assert.equal(isEvmTransactionRequest({ to: ROUTER, data: '0x' }), true);
+    assert.equal(isEvmTransactionRequest({ data: 'AQID' }), false);
+    assert.equal(isNativeToken('0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'), true);
+    assert.equal(isNativeToken(USDT), false);
+
+    assert.throws(() => createEvmWallet('', 'http://localhost:8545'), /ETH_SECRET is not set/);
+    assert.throws(() => createEvmWallet('0x01', ''), /No EVM RPC/);
+});
+
+test('a native token swap is sent without an approval', async () => {
+    const chain = await startChain();
+    try {
+        const { wallet, log, lines, events } = connect(chain);
+        const hash = await executeEvmSwap(wallet, makeQuote(ethers.constants.AddressZero), { log });
+
+        assert.equal(chain.sent.length, 1);
+        assert.equal(chain.sent[0].hash, hash);
+        assert.equal(chain.sent[0].to, ROUTER);
+        assert.equal(chain.sent[0].gasLimit.toNumber(), 200000);
+        assert.equal(chain.sent[0].chainId, 1);
+        assert.ok(lines.includes('No ERC-20 approval required'));
+        assert.deepEqual(events.map(event => [event.type, event.kind]), [['tx_sent', 'swap'], ['tx_confirmed', 'swap']]);
+        assert.equal(events[1].gasUsed, '50000');
+    } finally {
+        await chain.close();
+    }
+});
+
+test('a lower existing allowance is reset to zero before approving the amount', async () => {
+    const chain = await startChain({ allowance: 5n });
+    try {
+        const { wallet, log, events } = connect(chain);
+        await executeEvmSwap(wallet, makeQuote(USDT), { log });
+
+        const approvals = chain.sent.slice(0, 2).map(tx => {
+            assert.equal(tx.to, USDT);
+            const { spender, amount } = APPROVE.decodeFunctionData('approve', tx.data);
+            return [spender, amount.toString()];
+        });
+        assert.deepEqual(approvals, [[ROUTER, '0'], [ROUTER, '100000000']]);
+        assert.equal(chain.sent[2].to, ROUTER);
+        assert.deepEqual(events.map(event => `${event.type}:${event.kind}`), ['tx_sent:approval', 'tx_confirmed:approval', 'tx_sent:swap', 'tx_confirmed:swap']);
+
+        // Now the allowance covers the amount, so the next swap goes straight through
+        await executeEvmSwap(wallet, makeQuote(USDT), { log });
+        assert.equal(chain.sent.length, 4);
+    } finally {
+        await chain.close();
+    }
+});
+
+test('a wrong chain or a reverted swap stops the execution', async () => {
+    const chain = await startChain({ chainId: 10, revert: tx => tx.to === ROUTER });
+    try {
+        const { wallet, log } = connect(chain);
+        await assert.rejects(executeEvmSwap(wallet, makeQuote(ethers.constants.AddressZero), { log }),
+            /RPC is connected to chain 10 but the quote expects chain 1/);
+        assert.equal(chain.sent.length, 0);
+
+        await assert.rejects(executeEvmSwap(wallet, makeQuote(ethers.constants.AddressZero, { chainId: 10 }), { log }), error => {
+            assert.equal(error.message, `Swap transaction reverted: ${chain.sent[0].hash}`);
+            assert.equal(error.txHash, chain.sent[0].hash);
+            return true;
+        });
+        await assert.rejects(executeEvmSwap(wallet, { transactionRequest: { data: 'AQID' } }, { log }),
+            /Quote does not contain an EVM transaction request/);
+    } finally {
+        await chain.close();
+    }
+});
@@ -0,0 +1,142 @@
+// Raise 10 to a number of token decimals as a BigInt
+function pow10(decimals) {
+    return 10n ** BigInt(decimals);
+}
+
+// Divide two BigInts, rounding half away from zero
+function divideRounded(numerator, denominator) {
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder * 2n >= denominator) return quotient + 1n;
+    if (remainder * 2n <= -denominator) return quotient - 1n;
+    return quotient;
+}
+
+// Render a scaled BigInt (value / 10^decimals) as a fixed-point decimal string
+function toFixedPoint(value, decimals) {
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = decimals > 0 ? '.' + digits.slice(digits.length - decimals) : '';
+    return (negative ? '-' : '') + whole + fraction;
+}
+
+// Format a base-unit amount with decimals, without going through floating point
+export function formatAmount(amount, decimals) {
+    return toFixedPoint(BigInt(amount), Number(decimals));
+}
+
+// Format a base-unit amount with decimals, dropping trailing zeros (e.g. "0.25")
+export function formatTokenAmount(amount, decimals) {
+    const formatted = formatAmount(amount, decimals);
+    return formatted.includes('.') ? formatted.replace(/\.?0+$/, '') : formatted;
+}
+
+// Format numerator / denominator as a decimal string with the given precision
+export function formatRatio(numerator, denominator, precision = 6) {
+    const denominatorValue = BigInt(denominator);
+    if (denominatorValue === 0n) return 'n/a';
+    return toFixedPoint(divideRounded(BigInt(numerator) * pow10(precision), denominatorValue), precision);
+}
+
+// Format the rate "1 fromToken = x toToken" from two base-unit amounts
+export function formatRate(fromAmount, fromDecimals, toAmount, toDecimals, precision = 6) {
+    return formatRatio(
+        BigInt(toAmount) * pow10(fromDecimals),
+        BigInt(fromAmount) * pow10(toDecimals),
+        precision
+    );
+}
+
+// Format the relative difference between two rates given as base-unit amount pairs, in percent
+export function formatRateDifference(expected, actual, precision = 2) {
+    // (actualTo / actualFrom) / (expectedTo / expectedFrom) - 1, kept as integers
+    const actualScaled = BigInt(actual.toAmount) * BigInt(expected.fromAmount);
+    const expectedScaled = BigInt(expected.toAmount) * BigInt(actual.fromAmount);
+    return formatRatio((actualScaled - expectedScaled) * 100n, expectedScaled, precision);
+}
+
+// Format USD amount
+export function formatUSD(amount) {
+    return `$${Number(amount).toFixed(2)}`;
+}
+
+// Format a duration in seconds as e.g. "2m 30s"
+export function formatDuration(seconds) {
+    const total = Math.round(Number(seconds) || 0);
+    const minutes = Math.floor(total / 60);
+    const rest = total % 60;
+    return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse an interval such as "30m", "6h" or "1d" into milliseconds
+export function parseInterval(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/i);
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid interval: ${value} (expected e.g. 30m, 6h or 1d)`);
+    }
+    return Math.round(Number(match[1]) * INTERVAL_UNITS[match[2].toLowerCase()]);
+}
+
+// Wait for the given number of milliseconds
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Split user input like "0.25 SOL" or "1 WETH@arb" into its amount and optional token symbol
+export function splitAmountInput(input) {
+    const match = String(input).trim().match(/^([0-9]*\.?[0-9]*)\s*([A-Za-z][\w.$@-]*)?$/);
+    if (!match || !/[0-9]/.test(match[1])) {
+        throw new Error(`Invalid amount: ${input}`);
+    }
+    return { amount: match[1], symbol: match[2] };
+}
+
+// Convert a decimal amount such as "1.5" to base units using the token's decimals
+export function parseAmount(amount, decimals) {
+    const value = String(amount).trim();
+    if (!/^(\d+\.?\d*|\.\d+)$/.test(value)) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    const [whole, fraction = ''] = value.split('.');
+    if (fraction.length > decimals) {
+        throw new Error(`Amount ${amount} has more than ${decimals} decimal places`);
+    }
+
+    return (BigInt(whole || '0') * pow10(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')).toString();
+}
+
+// Render values as a one-line chart; missing values show as blanks
+export function sparkline(values) {
+    const blocks = '▁▂▃▄▅▆▇█';
+    const present = values.filter(value => Number.isFinite(value));
+    if (present.length === 0) return ' '.repeat(values.length);
+
+    const min = Math.min(...present);
+    const range = Math.max(...present) - min;
+    return values.map(value => {
+        if (!Number.isFinite(value)) return ' ';
+        const index = range === 0 ? 0 : Math.round((value - min) / range * (blocks.length - 1));
+        return blocks[index];
+    }).join('');
+}
+
+// Render rows as CSV with the given columns, quoting values that need it
+export function formatCsv(columns, rows) {
+    const escape = value => {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.join(','),
+        ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n') + '\n';
+}
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    formatAmount,
+    formatRate,
+    formatRateDifference,
+    formatRatio,
+    formatTokenAmount,
+    parseAmount,
+    parseInterval,
+    splitAmountInput
+} from './format.js';
+
+test('parseAmount converts token units to base units without floating point', () => {
+    assert.equal(parseAmount('0.01', 9), '10000000');
+    assert.equal(parseAmount('1.5', 6), '1500000');
+    assert.equal(parseAmount('.5', 2), '50');
+    assert.equal(parseAmount('123456789.123456789123456789', 18), '123456789123456789123456789');
+});
+
+test('parseAmount rejects malformed amounts and excess decimals', () => {
+    assert.throws(() => parseAmount('abc', 9), /Invalid amount/);
+    assert.throws(() => parseAmount('-1', 9), /Invalid amount/);
+    assert.throws(() => parseAmount('1e3', 9), /Invalid amount/);
+    assert.throws(() => parseAmount('0.1234567', 6), /more than 6 decimal places/);
+});
+
+test('formatAmount and formatTokenAmount render base units', () => {
+    assert.equal(formatAmount('10000000', 9), '0.010000000');
+    assert.equal(formatAmount('-2500', 3), '-2.500');
+    assert.equal(formatTokenAmount('250000000', 9), '0.25');
+    assert.equal(formatTokenAmount('1000000', 6), '1');
+    assert.equal(formatTokenAmount('42', 0), '42');
+});
+
+test('formatRatio and formatRate round half away from zero', () => {
+    assert.equal(formatRatio(2, 3, 4), '0.6667');
+    assert.equal(formatRatio(1, 0), 'n/a');
+    // 0.01 SOL (9 decimals) for 1.589426 USDT (6 decimals)
+    assert.equal(formatRate('10000000', 9, '1589426', 6), '158.942600');
+    assert.equal(formatRate('3', 0, '1', 0, 2), '0.33');
+});
+
+test('formatRateDifference gives the relative change between two rates in percent', () => {
+    const expected = { fromAmount: '100', toAmount: '200' };
+    assert.equal(formatRateDifference(expected, { fromAmount: '100', toAmount: '198' }), '-1.00');
+    assert.equal(formatRateDifference(expected, { fromAmount: '50', toAmount: '101' }), '1.00');
+});
+
+test('splitAmountInput separates the amount from an optional symbol or SYMBOL@chain', () => {
+    assert.deepEqual(splitAmountInput('0.25 SOL'), { amount: '0.25', symbol: 'SOL' });
+    assert.deepEqual(splitAmountInput('1 WETH@arb'), { amount: '1', symbol: 'WETH@arb' });
+    assert.deepEqual(splitAmountInput(' 10 '), { amount: '10', symbol: undefined });
+    assert.throws(() => splitAmountInput('SOL'), /Invalid amount/);
+    assert.throws(() => splitAmountInput('1 2 SOL'), /Invalid amount/);
+});
+
+test('parseInterval converts durations to milliseconds', () => {
+    assert.equal(parseInterval('30s'), 30000);
+    assert.equal(parseInterval('30m'), 30 * 60 * 1000);
+    assert.equal(parseInterval('1.5h'), 90 * 60 * 1000);
+    assert.equal(parseInterval('1d'), 24 * 60 * 60 * 1000);
+    assert.throws(() => parseInterval('0m'), /Invalid interval/);
+    assert.throws(() => parseInterval('10'), /Invalid interval/);
+});
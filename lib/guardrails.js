@@ -0,0 +1,174 @@
+import { formatAmount, formatRate, formatTokenAmount, parseAmount } from './format.js';
+
+// Defaults in percent; the minimum received and the rate bounds have no default because they depend on the pair
+export const DEFAULT_GUARDRAILS = {
+    maxSlippage: 1,
+    maxFeeShare: 5,
+    maxPriceImpact: 3,
+    minReceived: undefined,
+    minRate: undefined,
+    maxRate: undefined
+};
+
+// Decimal places a rate bound may have
+const RATE_DECIMALS = 18;
+
+// Parse a percentage limit, rejecting anything that is not a non-negative number
+function parsePercent(name, value) {
+    const percent = Number(value);
+    if (!Number.isFinite(percent) || percent < 0) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return percent;
+}
+
+// Check an optional token amount or rate such as "158.5" is a positive decimal, keeping it as a string for exact comparison
+function parseDecimal(name, value) {
+    if (value === undefined) return undefined;
+    const decimal = String(value).trim();
+    if (!/^(\d+\.?\d*|\.\d+)$/.test(decimal) || /^[0.]*$/.test(decimal)) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return decimal;
+}
+
+// Compare the quote's rate "1 fromToken = x toToken" with a bound, exactly: -1, 0 or 1
+function compareRate(quote, bound) {
+    const { fromToken, toToken, fromAmount } = quote.action;
+    const rate = BigInt(quote.estimate.toAmount) * 10n ** BigInt(fromToken.decimals + RATE_DECIMALS);
+    const target = BigInt(parseAmount(bound, RATE_DECIMALS)) * BigInt(fromAmount) * 10n ** BigInt(toToken.decimals);
+    if (rate === target) return 0;
+    return rate > target ? 1 : -1;
+}
+
+// Build guardrails from the defaults, MAX_SLIPPAGE/MIN_RECEIVED/MAX_FEE_SHARE/MAX_PRICE_IMPACT and explicit overrides;
+// the rate bounds only come from overrides
+export function loadGuardrails(overrides = {}) {
+    const fromEnv = {
+        maxSlippage: process.env.MAX_SLIPPAGE,
+        maxFeeShare: process.env.MAX_FEE_SHARE,
+        maxPriceImpact: process.env.MAX_PRICE_IMPACT,
+        minReceived: process.env.MIN_RECEIVED
+    };
+
+    const guardrails = { ...DEFAULT_GUARDRAILS };
+    [fromEnv, overrides].forEach(source => {
+        Object.entries(source).forEach(([key, value]) => {
+            if (value !== undefined && value !== '') guardrails[key] = value;
+        });
+    });
+
+    return {
+        maxSlippage: parsePercent('max slippage', guardrails.maxSlippage),
+        maxFeeShare: parsePercent('max fee share', guardrails.maxFeeShare),
+        maxPriceImpact: parsePercent('max price impact', guardrails.maxPriceImpact),
+        minReceived: parseDecimal('min received', guardrails.minReceived),
+        minRate: parseDecimal('min rate', guardrails.minRate),
+        maxRate: parseDecimal('max rate', guardrails.maxRate)
+    };
+}
+
+// USD value of a base-unit amount from the token's priceUSD
+function tokenValueUSD(amount, token) {
+    if (!token.priceUSD) return undefined;
+    return Number(formatAmount(amount, token.decimals)) * Number(token.priceUSD);
+}
+
+// Slippage, USD values, fee share and price impact of a quote; USD-based values are undefined when unknown
+export function quoteMetrics(quote) {
+    const { action, estimate } = quote;
+
+    // Prefer Li.Fi's USD estimates and fall back to the token prices
+    const fromUSD = Number(estimate.fromAmountUSD) || tokenValueUSD(action.fromAmount, action.fromToken);
+    const toUSD = Number(estimate.toAmountUSD) || tokenValueUSD(estimate.toAmount, action.toToken);
+    const costsUSD = [...(estimate.gasCosts || []), ...(estimate.feeCosts || [])]
+        .reduce((sum, cost) => sum + Number(cost.amountUSD || 0), 0);
+
+    return {
+        slippage: Number(action.slippage) * 100,
+        fromUSD,
+        toUSD,
+        costsUSD,
+        feeShare: fromUSD ? costsUSD / fromUSD * 100 : undefined,
+        priceImpact: fromUSD && toUSD ? (fromUSD - toUSD) / fromUSD * 100 : undefined
+    };
+}
+
+// Measure the quote against each guardrail
+export function checkGuardrails(quote, guardrails) {
+    const { estimate } = quote;
+    const { toToken } = quote.action;
+    const metrics = quoteMetrics(quote);
+    const checks = [];
+
+    checks.push({
+        name: 'Slippage',
+        ok: metrics.slippage <= guardrails.maxSlippage,
+        detail: `${metrics.slippage.toFixed(2)}% (max ${guardrails.maxSlippage.toFixed(2)}%)`
+    });
+
+    if (metrics.feeShare !== undefined) {
+        checks.push({
+            name: 'Fee share',
+            ok: metrics.feeShare <= guardrails.maxFeeShare,
+            detail: `${metrics.feeShare.toFixed(2)}% of notional (max ${guardrails.maxFeeShare.toFixed(2)}%)`
+        });
+    } else {
+        checks.push({ name: 'Fee share', ok: false, detail: 'cannot be computed: no USD value for the input' });
+    }
+
+    if (metrics.priceImpact !== undefined) {
+        checks.push({
+            name: 'Price impact',
+            ok: metrics.priceImpact <= guardrails.maxPriceImpact,
+            detail: `${metrics.priceImpact.toFixed(2)}% (max ${guardrails.maxPriceImpact.toFixed(2)}%)`
+        });
+    } else {
+        checks.push({ name: 'Price impact', ok: false, detail: 'cannot be computed: no USD values or token prices' });
+    }
+
+    if (guardrails.minReceived !== undefined) {
+        const required = parseAmount(guardrails.minReceived, toToken.decimals);
+        checks.push({
+            name: 'Minimum received',
+            ok: BigInt(estimate.toAmountMin) >= BigInt(required),
+            detail: `${formatTokenAmount(estimate.toAmountMin, toToken.decimals)} ${toToken.symbol} ` +
+                `(required ${formatTokenAmount(required, toToken.decimals)} ${toToken.symbol})`
+        });
+    }
+
+    // Rate as logged with the quote, from the estimated output rather than the minimum
+    if (guardrails.minRate !== undefined || guardrails.maxRate !== undefined) {
+        const { fromToken, fromAmount } = quote.action;
+        const rate = `1 ${fromToken.symbol} = ${formatRate(fromAmount, fromToken.decimals, estimate.toAmount, toToken.decimals)} ${toToken.symbol}`;
+        if (guardrails.minRate !== undefined) {
+            checks.push({ name: 'Minimum rate', ok: compareRate(quote, guardrails.minRate) >= 0, detail: `${rate} (min ${guardrails.minRate})` });
+        }
+        if (guardrails.maxRate !== undefined) {
+            checks.push({ name: 'Maximum rate', ok: compareRate(quote, guardrails.maxRate) <= 0, detail: `${rate} (max ${guardrails.maxRate})` });
+        }
+    }
+
+    return { ok: checks.every(check => check.ok), checks };
+}
+
+// Log every guardrail check and throw if any of them failed
+export function assertGuardrails(quote, guardrails, { log = console.log } = {}) {
+    const result = checkGuardrails(quote, guardrails);
+
+    log('\n=== Guardrails ===');
+    result.checks.forEach(check => {
+        log(`${check.ok ? '✅' : '❌'} ${check.name}: ${check.detail}`);
+    });
+
+    if (!result.ok) {
+        const breaches = result.checks.filter(check => !check.ok);
+        const error = new Error('Guardrails breached, swap aborted:\n' +
+            breaches.map(check => `- ${check.name}: ${check.detail}`).join('\n'));
+        error.code = 'GUARDRAIL_BREACH';
+        error.breaches = breaches;
+        throw error;
+    }
+
+    return result;
+}
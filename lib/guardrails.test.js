@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertGuardrails, checkGuardrails, DEFAULT_GUARDRAILS, loadGuardrails } from './guardrails.js';
+
+const ENV_KEYS = ['MAX_SLIPPAGE', 'MAX_FEE_SHARE', 'MAX_PRICE_IMPACT', 'MIN_RECEIVED'];
+
+// Run fn with the guardrail environment variables set to env and restore them afterwards
+function withEnv(env, fn) {
+    const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    Object.assign(process.env, env);
+    try {
+        return fn();
+    } finally {
+        ENV_KEYS.forEach(key => {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        });
+    }
+}
+
+// 0.01 SOL for 1.589426 USDT, i.e. 1 SOL = 158.9426 USDT, with $0.01 of costs on a $1.59 notional
+function makeQuote({ slippage = 0.005, toAmount = '1589426', toAmountMin = '1581479', toAmountUSD = '1.589' } = {}) {
+    return {
+        action: {
+            slippage,
+            fromAmount: '10000000',
+            fromToken: { symbol: 'SOL', decimals: 9, priceUSD: '159' },
+            toToken: { symbol: 'USDT', decimals: 6, priceUSD: '1' }
+        },
+        estimate: {
+            toAmount,
+            toAmountMin,
+            fromAmountUSD: '1.59',
+            toAmountUSD,
+            gasCosts: [{ amountUSD: '0.01' }],
+            feeCosts: []
+        }
+    };
+}
+
+test('loadGuardrails uses the defaults when nothing is set', () => {
+    withEnv({}, () => {
+        assert.deepEqual(loadGuardrails(), DEFAULT_GUARDRAILS);
+    });
+});
+
+test('loadGuardrails applies the environment, then explicit overrides', () => {
+    withEnv({ MAX_SLIPPAGE: '0.5', MIN_RECEIVED: '1.5' }, () => {
+        const guardrails = loadGuardrails({ maxSlippage: '2', maxRate: '170', minRate: '' });
+        assert.equal(guardrails.maxSlippage, 2);
+        assert.equal(guardrails.minReceived, '1.5');
+        assert.equal(guardrails.maxRate, '170');
+        assert.equal(guardrails.minRate, undefined);
+        assert.equal(guardrails.maxFeeShare, DEFAULT_GUARDRAILS.maxFeeShare);
+    });
+});
+
+test('loadGuardrails rejects invalid limits', () => {
+    withEnv({}, () => {
+        assert.throws(() => loadGuardrails({ maxSlippage: '-1' }), /Invalid max slippage/);
+        assert.throws(() => loadGuardrails({ maxFeeShare: 'lots' }), /Invalid max fee share/);
+        assert.throws(() => loadGuardrails({ minReceived: '0' }), /Invalid min received/);
+        assert.throws(() => loadGuardrails({ minRate: '1e3' }), /Invalid min rate/);
+        assert.throws(() => loadGuardrails({ maxRate: '-170' }), /Invalid max rate/);
+    });
+    withEnv({ MIN_RECEIVED: 'abc' }, () => {
+        assert.throws(() => loadGuardrails(), /Invalid min received/);
+    });
+});
+
+test('checkGuardrails passes a quote within every limit', () => {
+    const guardrails = withEnv({}, () => loadGuardrails({ minReceived: '1.5' }));
+    const { ok, checks } = checkGuardrails(makeQuote(), guardrails);
+    assert.equal(ok, true);
+    assert.deepEqual(checks.map(check => check.name), ['Slippage', 'Fee share', 'Price impact', 'Minimum received']);
+});
+
+test('checkGuardrails reports each breached limit', () => {
+    const guardrails = withEnv({}, () => loadGuardrails({ minReceived: '1.6' }));
+    const { ok, checks } = checkGuardrails(makeQuote({ slippage: 0.02, toAmountUSD: '1.5' }), guardrails);
+    assert.equal(ok, false);
+    assert.deepEqual(checks.filter(check => !check.ok).map(check => check.name),
+        ['Slippage', 'Price impact', 'Minimum received']);
+});
+
+test('checkGuardrails fails the USD checks when no USD values are known', () => {
+    const quote = makeQuote();
+    quote.estimate.fromAmountUSD = undefined;
+    quote.estimate.toAmountUSD = undefined;
+    delete quote.action.fromToken.priceUSD;
+    const guardrails = withEnv({}, () => loadGuardrails());
+    const failed = checkGuardrails(quote, guardrails).checks.filter(check => !check.ok);
+    assert.deepEqual(failed.map(check => check.name), ['Fee share', 'Price impact']);
+});
+
+test('checkGuardrails compares rate bounds exactly', () => {
+    const check = (bounds, name) => {
+        const guardrails = withEnv({}, () => loadGuardrails(bounds));
+        return checkGuardrails(makeQuote(), guardrails).checks.find(item => item.name === name).ok;
+    };
+    assert.equal(check({ minRate: '158.9426' }, 'Minimum rate'), true);
+    assert.equal(check({ minRate: '158.942600000000000001' }, 'Minimum rate'), false);
+    assert.equal(check({ maxRate: '158.9426' }, 'Maximum rate'), true);
+    assert.equal(check({ maxRate: '158.942599999999999999' }, 'Maximum rate'), false);
+});
+
+test('assertGuardrails logs every check and throws GUARDRAIL_BREACH on a breach', () => {
+    const lines = [];
+    const log = line => lines.push(line);
+    const guardrails = withEnv({}, () => loadGuardrails({ minRate: '160' }));
+
+    assert.throws(() => assertGuardrails(makeQuote(), guardrails, { log }), error => {
+        assert.equal(error.code, 'GUARDRAIL_BREACH');
+        assert.deepEqual(error.breaches.map(check => check.name), ['Minimum rate']);
+        assert.match(error.message, /- Minimum rate: 1 SOL = 158\.942600 USDT \(min 160\)/);
+        return true;
+    });
+    assert.equal(lines.filter(line => /^(✅|❌)/.test(line)).length, 4);
+
+    const passing = withEnv({}, () => loadGuardrails({ minRate: '150' }));
+    assert.equal(assertGuardrails(makeQuote(), passing, { log }).ok, true);
+});
@@ -0,0 +1,327 @@
+import { PublicKey, SystemInstruction, SystemProgram, TransactionMessage } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync, NATIVE_MINT, TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import { buildQuoteTransaction, isNativeSol, loadLookupTables, toSolanaMint } from './solana-transaction.js';
+import { formatAmount } from './format.js';
+import { emitEvent } from './logger.js';
+
+// Programs a Li.Fi Solana transaction is expected to call; ALLOWED_PROGRAMS adds more
+export const KNOWN_PROGRAMS = {
+    '11111111111111111111111111111111': 'System Program',
+    'ComputeBudget111111111111111111111111111111': 'Compute Budget',
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA': 'SPL Token',
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb': 'SPL Token-2022',
+    'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL': 'Associated Token Account',
+    'AddressLookupTab1e1111111111111111111111111': 'Address Lookup Table',
+    'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr': 'Memo',
+    'Memo1UhkJRfHyvLMcVucJwxXeuD728EQVDDwQDxFMNo': 'Memo (v1)',
+    'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'Jupiter Aggregator v6',
+    'src5qyZHqTqecJV4aY6Cb6zDZLMDzrDKKezs22MPHr4': 'deBridge DLN Source'
+};
+
+// SPL Token instructions that move or expose the owner's tokens, by their first data byte
+const TOKEN_INSTRUCTIONS = {
+    3: 'transfer',
+    4: 'approve',
+    6: 'setAuthority',
+    8: 'burn',
+    9: 'closeAccount',
+    12: 'transferChecked',
+    13: 'approveChecked',
+    15: 'burnChecked'
+};
+
+// Known programs plus the comma-separated ALLOWED_PROGRAMS
+export function loadAllowedPrograms(extra = process.env.ALLOWED_PROGRAMS) {
+    const allowed = { ...KNOWN_PROGRAMS };
+    String(extra || '').split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+        allowed[id] = allowed[id] || 'allowed by ALLOWED_PROGRAMS';
+    });
+    return allowed;
+}
+
+// Associated token accounts of an owner for a mint, under both token programs
+function associatedAccounts(mint, owner) {
+    return [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]
+        .map(programId => getAssociatedTokenAddressSync(mint, owner, true, programId).toBase58());
+}
+
+// Map the wallet's and the recipient's token accounts for the quote's mints to those mints
+function mapKnownAccounts(quote, wallet, recipient) {
+    const mints = [quote.action.fromToken.address, quote.action.toToken.address, NATIVE_MINT.toBase58()]
+        .map(toSolanaMint)
+        .filter((address, index, all) => all.indexOf(address) === index);
+
+    const own = new Map([[wallet.toBase58(), 'SOL']]);
+    const recipientAccounts = new Map();
+    mints.forEach(address => {
+        let mint;
+        try {
+            mint = new PublicKey(address);
+        } catch {
+            return;
+        }
+        associatedAccounts(mint, wallet).forEach(account => own.set(account, address));
+        if (recipient) associatedAccounts(mint, recipient).forEach(account => recipientAccounts.set(account, address));
+    });
+    if (recipient) recipientAccounts.set(recipient.toBase58(), 'SOL');
+
+    return { own, recipientAccounts };
+}
+
+// Decode a System Program instruction into an outflow of lamports, or null when it moves none
+function decodeSystemInstruction(instruction) {
+    let type;
+    try {
+        type = SystemInstruction.decodeInstructionType(instruction);
+    } catch {
+        return null;
+    }
+
+    if (type === 'Transfer') {
+        const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+        return { type: 'transfer', authority: fromPubkey.toBase58(), to: toPubkey.toBase58(), amount: BigInt(lamports), mint: 'SOL' };
+    }
+    if (type === 'TransferWithSeed') {
+        const { fromPubkey, basePubkey, toPubkey, lamports } = SystemInstruction.decodeTransferWithSeed(instruction);
+        return { type: 'transferWithSeed', authority: basePubkey.toBase58(), source: fromPubkey.toBase58(), to: toPubkey.toBase58(), amount: BigInt(lamports), mint: 'SOL' };
+    }
+    if (type === 'Create') {
+        const { fromPubkey, newAccountPubkey, lamports } = SystemInstruction.decodeCreateAccount(instruction);
+        return { type: 'createAccount', authority: fromPubkey.toBase58(), to: newAccountPubkey.toBase58(), amount: BigInt(lamports), mint: 'SOL' };
+    }
+    if (type === 'CreateWithSeed') {
+        const { fromPubkey, newAccountPubkey, lamports } = SystemInstruction.decodeCreateWithSeed(instruction);
+        return { type: 'createAccount', authority: fromPubkey.toBase58(), to: newAccountPubkey.toBase58(), amount: BigInt(lamports), mint: 'SOL' };
+    }
+    return null;
+}
+
+// Decode an SPL Token instruction that can move the owner's tokens or lamports
+function decodeTokenInstruction(instruction, own) {
+    const type = TOKEN_INSTRUCTIONS[instruction.data[0]];
+    if (!type) return null;
+
+    const keys = instruction.keys.map(key => key.pubkey.toBase58());
+    const data = Buffer.from(instruction.data);
+    const amount = data.length >= 9 ? data.readBigUInt64LE(1) : 0n;
+    // Plain transfers carry no mint, so it is only known for the wallet's own token accounts
+    const mintOf = account => own.get(account) || 'unknown';
+
+    switch (type) {
+        case 'transfer':
+            return { type, source: keys[0], to: keys[1], authority: keys[2], amount, mint: mintOf(keys[0]) };
+        case 'transferChecked':
+            return { type, source: keys[0], mint: keys[1], to: keys[2], authority: keys[3], amount };
+        case 'approve':
+            return { type, source: keys[0], to: keys[1], authority: keys[2], amount, mint: mintOf(keys[0]) };
+        case 'approveChecked':
+            return { type, source: keys[0], mint: keys[1], to: keys[2], authority: keys[3], amount };
+        case 'burn':
+        case 'burnChecked':
+            return { type, source: keys[0], mint: keys[1], to: 'burn', authority: keys[2], amount };
+        case 'closeAccount':
+            return { type, source: keys[0], to: keys[1], authority: keys[2], amount: 0n, mint: 'SOL' };
+        case 'setAuthority': {
+            // The new authority is in the data: type byte, authority type, option flag, then the key
+            const to = data[2] === 1 ? new PublicKey(data.subarray(3, 35)).toBase58() : 'none';
+            return { type, source: keys[0], to, authority: keys[1], amount: 0n, mint: mintOf(keys[0]) };
+        }
+        default:
+            return null;
+    }
+}
+
+// Decompile the message, resolving the address lookup tables it uses
+async function decompileMessage(connection, message) {
+    const lookups = message.addressTableLookups || [];
+    const addressLookupTableAccounts = await loadLookupTables(connection, lookups.map(lookup => lookup.accountKey.toBase58()));
+    const accountKeys = message.getAccountKeys({ addressLookupTableAccounts });
+    const { instructions } = TransactionMessage.decompile(message, { addressLookupTableAccounts });
+    return { accountKeys, instructions };
+}
+
+// Format an amount of SOL or of one of the quote's tokens; other mints are shown in base units
+function formatTokenValue(amount, mint, quote) {
+    if (mint === 'SOL') return `${formatAmount(amount, 9)} SOL`;
+    const token = [quote.action.fromToken, quote.action.toToken].find(entry => entry.address === mint);
+    return token ? `${formatAmount(amount, token.decimals)} ${token.symbol}` : `${amount} base units of ${mint}`;
+}
+
+// Add up amounts per mint
+function sumByMint(transfers) {
+    const totals = new Map();
+    transfers.forEach(transfer => totals.set(transfer.mint, (totals.get(transfer.mint) || 0n) + transfer.amount));
+    return totals;
+}
+
+// Decode a Solana transaction before signing: programs, writable accounts, signers, transfers and findings
+export async function inspectTransaction(connection, transaction, quote, options = {}) {
+    const { wallet, allowedPrograms = loadAllowedPrograms() } = options;
+    const { message } = transaction;
+    const { accountKeys, instructions } = await decompileMessage(connection, message);
+    const keys = accountKeys.keySegments().flat();
+
+    const walletAddress = new PublicKey(wallet || quote.action.fromAddress);
+    const sameChain = String(quote.action.fromChainId) === String(quote.action.toChainId);
+    let recipient = null;
+    if (sameChain && quote.action.toAddress) {
+        try {
+            recipient = new PublicKey(quote.action.toAddress);
+        } catch {
+            recipient = null;
+        }
+    }
+    const { own, recipientAccounts } = mapKnownAccounts(quote, walletAddress, recipient);
+    const findings = [];
+
+    const programs = [...new Set(instructions.map(instruction => instruction.programId.toBase58()))]
+        .map(id => ({ id, name: allowedPrograms[id], known: Boolean(allowedPrograms[id]) }));
+    const writable = keys.filter((key, index) => message.isAccountWritable(index)).map(key => key.toBase58());
+    const signers = keys.slice(0, message.header.numRequiredSignatures).map(key => key.toBase58());
+    const feePayer = signers[0];
+
+    if (feePayer !== walletAddress.toBase58()) {
+        findings.push({ level: 'error', message: `Fee payer is ${feePayer}, not the wallet ${walletAddress.toBase58()}` });
+    }
+    signers.filter(signer => signer !== walletAddress.toBase58()).forEach(signer => {
+        findings.push({ level: 'warning', message: `Transaction also needs a signature from ${signer}` });
+    });
+    programs.filter(program => !program.known).forEach(program => {
+        findings.push({ level: 'warning', message: `Unknown program ${program.id}; add it to ALLOWED_PROGRAMS if it is expected` });
+    });
+
+    // Decode top-level transfers; movements inside other programs only show up in the simulation
+    const transfers = instructions.flatMap(instruction => {
+        const programId = instruction.programId;
+        let transfer = null;
+        if (programId.equals(SystemProgram.programId)) {
+            transfer = decodeSystemInstruction(instruction);
+        } else if (programId.equals(TOKEN_PROGRAM_ID) || programId.equals(TOKEN_2022_PROGRAM_ID)) {
+            transfer = decodeTokenInstruction(instruction, own);
+        }
+        if (!transfer) return [];
+
+        const fromWallet = transfer.authority === walletAddress.toBase58();
+        const destination = own.has(transfer.to) ? 'wallet' : recipientAccounts.has(transfer.to) ? 'recipient' : 'external';
+        // Wrapped SOL counts as SOL
+        const mint = transfer.mint === NATIVE_MINT.toBase58() ? 'SOL' : transfer.mint;
+        return [{ ...transfer, mint, program: allowedPrograms[programId.toBase58()], fromWallet, destination }];
+    });
+
+    // Outflows: the wallet's funds going to accounts that are neither its own nor the recipient's
+    const outflows = transfers.filter(transfer => transfer.fromWallet && transfer.destination === 'external');
+    outflows.filter(transfer => ['setAuthority', 'closeAccount', 'burn', 'burnChecked'].includes(transfer.type)).forEach(transfer => {
+        findings.push({ level: 'error', message: `Unexpected ${transfer.type} on the wallet's account ${transfer.source} (to ${transfer.to})` });
+    });
+
+    const fromToken = quote.action.fromToken;
+    const fromMint = isNativeSol(fromToken.address) ? 'SOL' : fromToken.address;
+    const feesInSol = (quote.estimate?.feeCosts || [])
+        .filter(cost => isNativeSol(cost.token?.address))
+        .reduce((sum, cost) => sum + BigInt(cost.amount || 0), 0n);
+    // SOL wrapped into the wallet's own token account is already on its way into the swap
+    const wrapped = fromMint === 'SOL'
+        ? transfers.filter(transfer => transfer.fromWallet && transfer.mint === 'SOL' && transfer.destination === 'wallet'
+            && transfer.to !== walletAddress.toBase58()).reduce((sum, transfer) => sum + transfer.amount, 0n)
+        : 0n;
+    const spendable = BigInt(quote.action.fromAmount) > wrapped ? BigInt(quote.action.fromAmount) - wrapped : 0n;
+    const limits = new Map([['SOL', feesInSol]]);
+    limits.set(fromMint, (limits.get(fromMint) || 0n) + spendable);
+
+    const movable = outflows.filter(transfer => !['setAuthority', 'closeAccount', 'burn', 'burnChecked'].includes(transfer.type));
+    sumByMint(movable).forEach((amount, mint) => {
+        const limit = limits.get(mint);
+        const shown = formatTokenValue(amount, mint, quote);
+        if (limit === undefined) {
+            findings.push({ level: 'error', message: `Transaction sends ${shown} to outside accounts, but the quote only spends ${fromToken.symbol}` });
+        } else if (amount > limit) {
+            findings.push({ level: 'error', message: `Transaction sends ${shown} to outside accounts, more than the quote allows (${formatTokenValue(limit, mint, quote)})` });
+        }
+    });
+
+    // On a same-chain swap the recipient and both tokens should show up in the accounts
+    if (sameChain) {
+        const addresses = new Set(keys.map(key => key.toBase58()));
+        const toToken = quote.action.toToken;
+        if (recipient && ![...recipientAccounts.keys()].some(account => addresses.has(account))) {
+            findings.push({ level: 'error', message: `Recipient ${recipient.toBase58()} does not appear in the transaction` });
+        }
+        [fromToken, toToken].filter(token => !isNativeSol(token.address)).forEach(token => {
+            if (!addresses.has(token.address)) {
+                findings.push({ level: 'warning', message: `Expected token ${token.symbol} (${token.address}) does not appear in the transaction` });
+            }
+        });
+    }
+
+    return {
+        version: message.version,
+        feePayer,
+        signers,
+        programs,
+        writable,
+        transfers,
+        outflows,
+        findings,
+        ok: !findings.some(finding => finding.level === 'error')
+    };
+}
+
+// Format a transfer for logs, e.g. "transfer 0.010000000 SOL → 9xQe... (external)"
+function formatTransfer(transfer, quote) {
+    return `${transfer.type} ${formatTokenValue(transfer.amount, transfer.mint, quote)} → ${transfer.to} (${transfer.destination})`;
+}
+
+// Readable lines describing an inspection
+export function formatInspection(inspection, quote) {
+    const lines = [
+        `Fee payer: ${inspection.feePayer}`,
+        `Signers: ${inspection.signers.join(', ')}`,
+        `Programs (${inspection.programs.length}):`,
+        ...inspection.programs.map(program => `  ${program.known ? '✅' : '⚠️'} ${program.id}${program.name ? ` (${program.name})` : ''}`),
+        `Writable accounts (${inspection.writable.length}):`,
+        ...inspection.writable.map(account => `  ${account}`),
+        `Transfers (${inspection.transfers.length}):`,
+        ...inspection.transfers.map(transfer => `  ${formatTransfer(transfer, quote)}`)
+    ];
+    inspection.findings.forEach(finding => lines.push(`${finding.level === 'error' ? '❌' : '⚠️'} ${finding.message}`));
+    return lines;
+}
+
+// Short summary of an inspection for the confirmation prompt
+export function summarizeInspection(inspection) {
+    const programs = inspection.programs.map(program => program.name || `${program.id.slice(0, 8)}… (unknown)`).join(', ');
+    const warnings = inspection.findings.filter(finding => finding.level === 'warning').length;
+    return `Programs: ${programs}\n` +
+        `Accounts: ${inspection.writable.length} writable, ${inspection.signers.length} signer(s); ` +
+        `${inspection.transfers.length} transfer(s), ${inspection.outflows.length} to outside accounts` +
+        (warnings > 0 ? `\nInspection warnings: ${warnings} (see log)` : '');
+}
+
+// Inspect the Solana transaction of a quote, log the result and refuse it on any error finding
+export async function assertTransactionInspection(connection, quote, { wallet, log = console.log, allowedPrograms } = {}) {
+    log('\n=== Transaction Inspection ===');
+
+    const transaction = await buildQuoteTransaction(connection, quote, { payer: wallet });
+    const inspection = await inspectTransaction(connection, transaction, quote, { wallet, allowedPrograms });
+    formatInspection(inspection, quote).forEach(line => log(line));
+
+    emitEvent(log, 'transaction_inspected', {
+        ok: inspection.ok,
+        feePayer: inspection.feePayer,
+        programs: inspection.programs.map(program => program.id),
+        unknownPrograms: inspection.programs.filter(program => !program.known).map(program => program.id),
+        transfers: inspection.transfers.map(transfer => ({ ...transfer, amount: transfer.amount.toString() })),
+        findings: inspection.findings
+    });
+
+    if (!inspection.ok) {
+        const errors = inspection.findings.filter(finding => finding.level === 'error');
+        const error = new Error('Transaction refused by the inspector:\n' + errors.map(finding => `- ${finding.message}`).join('\n'));
+        error.code = 'UNEXPECTED_TRANSACTION';
+        error.findings = errors;
+        throw error;
+    }
+
+    log('✅ No unexpected outflows');
+    return inspection;
+}
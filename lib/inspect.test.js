@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey, SystemProgram, TransactionInstruction, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import {
+    AuthorityType,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createSetAuthorityInstruction,
+    createSyncNativeInstruction,
+    getAssociatedTokenAddressSync,
+    NATIVE_MINT
+} from '@solana/spl-token';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { assertTransactionInspection, inspectTransaction, loadAllowedPrograms } from './inspect.js';
+
+const USDC = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+const wallet = Keypair.generate().publicKey;
+const stranger = Keypair.generate().publicKey;
+const wrappedAccount = getAssociatedTokenAddressSync(NATIVE_MINT, wallet);
+const usdcAccount = getAssociatedTokenAddressSync(USDC, wallet);
+// Inspection decodes messages without looking anything up, as long as no lookup tables are used
+const connection = {};
+
+// A 0.01 SOL → USDC quote from and to the wallet, carrying the given transaction
+function makeQuote(transaction) {
+    return {
+        action: {
+            fromChainId: SOLANA_CHAIN_ID,
+            toChainId: SOLANA_CHAIN_ID,
+            fromAddress: wallet.toBase58(),
+            toAddress: wallet.toBase58(),
+            fromAmount: '10000000',
+            fromToken: { address: '11111111111111111111111111111111', symbol: 'SOL', decimals: 9 },
+            toToken: { address: USDC.toBase58(), symbol: 'USDC', decimals: 6 }
+        },
+        estimate: { feeCosts: [{ amount: '5000', token: { address: '11111111111111111111111111111111' } }] },
+        transactionRequest: transaction && { data: Buffer.from(transaction.serialize()).toString('base64') }
+    };
+}
+
+// Compile instructions into an unsigned v0 transaction
+function compile(instructions, payerKey = wallet) {
+    const message = new TransactionMessage({
+        payerKey,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions
+    }).compileToV0Message();
+    return new VersionedTransaction(message);
+}
+
+// What a plain SOL → USDC swap does with the wallet's funds: wrap the input and open the output account
+function swapInstructions() {
+    return [
+        createAssociatedTokenAccountIdempotentInstruction(wallet, wrappedAccount, wallet, NATIVE_MINT),
+        SystemProgram.transfer({ fromPubkey: wallet, toPubkey: wrappedAccount, lamports: 10000000 }),
+        createSyncNativeInstruction(wrappedAccount),
+        createAssociatedTokenAccountIdempotentInstruction(wallet, usdcAccount, wallet, USDC)
+    ];
+}
+
+test('a plain swap has no findings and its wrap counts as a transfer to the wallet', async () => {
+    const transaction = compile(swapInstructions());
+    const inspection = await inspectTransaction(connection, transaction, makeQuote());
+
+    assert.equal(inspection.ok, true);
+    assert.deepEqual(inspection.findings, []);
+    assert.equal(inspection.feePayer, wallet.toBase58());
+    assert.deepEqual(inspection.programs.map(program => program.name), ['Associated Token Account', 'System Program', 'SPL Token']);
+
+    assert.equal(inspection.transfers.length, 1);
+    assert.equal(inspection.transfers[0].to, wrappedAccount.toBase58());
+    assert.equal(inspection.transfers[0].destination, 'wallet');
+    assert.equal(inspection.transfers[0].amount, 10000000n);
+    assert.deepEqual(inspection.outflows, []);
+});
+
+test('SOL sent to an outside account beyond the quoted fees is an error', async () => {
+    const small = compile([...swapInstructions(), SystemProgram.transfer({ fromPubkey: wallet, toPubkey: stranger, lamports: 5000 })]);
+    assert.equal((await inspectTransaction(connection, small, makeQuote())).ok, true);
+
+    const drain = compile([...swapInstructions(), SystemProgram.transfer({ fromPubkey: wallet, toPubkey: stranger, lamports: 2000000000 })]);
+    const inspection = await inspectTransaction(connection, drain, makeQuote());
+    assert.equal(inspection.ok, false);
+    assert.equal(inspection.outflows.length, 1);
+    assert.equal(inspection.outflows[0].destination, 'external');
+    assert.deepEqual(inspection.findings.map(finding => finding.message), [
+        'Transaction sends 2.000000000 SOL to outside accounts, more than the quote allows (0.000005000 SOL)'
+    ]);
+});
+
+test('handing over the wallet\'s token account or paying from another account is refused', async () => {
+    const takeover = compile([
+        ...swapInstructions(),
+        createSetAuthorityInstruction(usdcAccount, wallet, AuthorityType.AccountOwner, stranger)
+    ]);
+    const inspection = await inspectTransaction(connection, takeover, makeQuote());
+    assert.equal(inspection.ok, false);
+    assert.match(inspection.findings[0].message, new RegExp(`^Unexpected setAuthority on the wallet's account ${usdcAccount.toBase58()}`));
+
+    const otherPayer = await inspectTransaction(connection, compile(swapInstructions(), stranger), makeQuote());
+    const levels = Object.fromEntries(otherPayer.findings.map(finding => [finding.level, finding.message]));
+    assert.equal(levels.error, `Fee payer is ${stranger.toBase58()}, not the wallet ${wallet.toBase58()}`);
+    assert.equal(otherPayer.ok, false);
+});
+
+test('unknown programs are warnings until they are allowed', async () => {
+    const program = Keypair.generate().publicKey;
+    const custom = new TransactionInstruction({ programId: program, keys: [{ pubkey: wallet, isSigner: true, isWritable: true }], data: Buffer.alloc(0) });
+    const transaction = compile([...swapInstructions(), custom]);
+
+    const warned = await inspectTransaction(connection, transaction, makeQuote());
+    assert.equal(warned.ok, true);
+    assert.deepEqual(warned.findings, [{
+        level: 'warning',
+        message: `Unknown program ${program.toBase58()}; add it to ALLOWED_PROGRAMS if it is expected`
+    }]);
+
+    const allowed = await inspectTransaction(connection, transaction, makeQuote(), { allowedPrograms: loadAllowedPrograms(program.toBase58()) });
+    assert.deepEqual(allowed.findings, []);
+});
+
+test('assertTransactionInspection logs the inspection and throws UNEXPECTED_TRANSACTION on errors', async () => {
+    const lines = [];
+    const events = [];
+    const log = Object.assign(line => lines.push(line), { event: (type, data) => events.push({ type, ...data }) });
+
+    const clean = makeQuote(compile(swapInstructions()));
+    await assertTransactionInspection(connection, clean, { wallet, log });
+    assert.equal(lines.at(-1), '✅ No unexpected outflows');
+    assert.equal(events[0].type, 'transaction_inspected');
+    assert.equal(events[0].transfers[0].amount, '10000000');
+
+    const drain = makeQuote(compile([SystemProgram.transfer({ fromPubkey: wallet, toPubkey: stranger, lamports: 1000000000 })]));
+    await assert.rejects(assertTransactionInspection(connection, drain, { wallet, log }), error => {
+        assert.equal(error.code, 'UNEXPECTED_TRANSACTION');
+        assert.match(error.message, /^Transaction refused by the inspector:\n- Transaction sends 1\.000000000 SOL/);
+        assert.equal(error.findings.length, 1);
+        return true;
+    });
+    assert.equal(events.at(-1).ok, false);
+});
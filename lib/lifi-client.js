@@ -0,0 +1,153 @@
+import fetch from 'node-fetch';
+
+export const DEFAULT_API_URL = 'https://li.quest/v1';
+export const DEFAULT_TIMEOUT = 30000;
+export const SOLANA_CHAIN_ID = 1151111081099710;
+
+// Build a query string, skipping empty values and joining arrays with commas
+function buildQuery(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        query.append(key, Array.isArray(value) ? value.join(',') : String(value));
+    });
+    const queryString = query.toString();
+    return queryString ? `?${queryString}` : '';
+}
+
+// Create a Li.Fi API client sharing one base URL, API key and timeout
+export function createLifiClient(options = {}) {
+    const baseUrl = (options.baseUrl || process.env.LI_FI_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+    const apiKey = options.apiKey !== undefined ? options.apiKey : process.env.LI_FI_API;
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    async function request(method, endpoint, { query, body } = {}) {
+        const headers = { 'Accept': 'application/json' };
+        if (apiKey) headers['x-api-key'] = apiKey;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${endpoint}${buildQuery(query)}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Li.Fi request to ${endpoint} timed out after ${timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            let details;
+            try {
+                details = JSON.parse(errorText);
+            } catch {
+                details = undefined;
+            }
+
+            const error = new Error(`HTTP error! status: ${response.status}\nDetails: ${errorText}`);
+            error.status = response.status;
+            error.code = details?.code;
+            error.details = details;
+            throw error;
+        }
+
+        return await response.json();
+    }
+
+    return {
+        baseUrl,
+
+        // Get a single quote for a transfer
+        getQuote(params) {
+            return request('GET', '/quote', { query: params });
+        },
+
+        // Check the status of a cross-chain transfer
+        getStatus(params) {
+            return request('GET', '/status', { query: params });
+        },
+
+        // List possible connections between chains and tokens
+        getConnections(params) {
+            return request('GET', '/connections', { query: params });
+        },
+
+        // List all chains supported by Li.Fi
+        getChains(params) {
+            return request('GET', '/chains', { query: params });
+        },
+
+        // List known tokens, optionally filtered by chain
+        getTokens(params) {
+            return request('GET', '/tokens', { query: params });
+        },
+
+        // Get metadata (symbol, decimals, price) for a single token
+        getToken(params) {
+            return request('GET', '/token', { query: params });
+        },
+
+        // List available bridges and exchanges
+        getTools(params) {
+            return request('GET', '/tools', { query: params });
+        },
+
+        // Request every available route for a transfer
+        getRoutes(routesRequest) {
+            return request('POST', '/advanced/routes', { body: routesRequest });
+        },
+
+        // Populate the transactionRequest of a single route step
+        getStepTransaction(step) {
+            return request('POST', '/advanced/stepTransaction', { body: step });
+        }
+    };
+}
+
+// Explain well-known Li.Fi error responses in human-readable lines
+export function describeLifiError(error) {
+    const lines = [];
+    const details = error.details;
+
+    if (error.code === 1003) {
+        lines.push('\n⚠️ Token not supported by Li.Fi');
+        lines.push('Please verify if the token is supported and the address is correct');
+    } else if (error.code === 1011) {
+        lines.push('\n⚠️ Invalid address format for target chain');
+        lines.push('Please provide a valid address for the target chain');
+    } else if (error.code === 1002) {
+        lines.push('\n⚠️ No available quotes');
+        if (details?.errors?.filteredOut) {
+            lines.push('\nFiltered out paths:');
+            details.errors.filteredOut.forEach(path => {
+                lines.push(`- ${path.reason}`);
+            });
+        }
+        if (details?.errors?.failed) {
+            lines.push('\nFailed paths:');
+            details.errors.failed.forEach(path => {
+                Object.values(path.subpaths || {}).forEach(subpaths => {
+                    subpaths.forEach(subpath => {
+                        lines.push(`- ${subpath.message}`);
+                    });
+                });
+            });
+        }
+    } else if (error.status === 429) {
+        lines.push('\n⚠️ Rate limit exceeded');
+        lines.push('Please wait a moment before trying again');
+    }
+
+    return lines;
+}
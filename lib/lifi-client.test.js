@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createLifiClient, describeLifiError } from './lifi-client.js';
+
+// Answer every request with the handler's status and body, recording what arrived
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : undefined };
+            requests.push(request);
+            const { status = 200, json, delay = 0 } = handler(request);
+            setTimeout(() => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(typeof json === 'string' ? json : JSON.stringify(json));
+            }, delay);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/v1/`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('GET endpoints send the query without empty values and with the API key', async () => {
+    const server = await startServer(() => ({ json: { ok: true } }));
+    try {
+        const lifi = createLifiClient({ baseUrl: server.url, apiKey: 'secret' });
+        assert.equal(lifi.baseUrl, server.url.replace(/\/$/, ''));
+
+        assert.deepEqual(await lifi.getQuote({ fromChain: 'sol', fromAmount: 100, toAddress: '', slippage: undefined }), { ok: true });
+        await lifi.getTokens({ chains: ['sol', 'eth'] });
+        await lifi.getTools();
+
+        const [quote, tokens, tools] = server.requests;
+        assert.equal(quote.url, '/v1/quote?fromChain=sol&fromAmount=100');
+        assert.equal(quote.headers['x-api-key'], 'secret');
+        assert.equal(tokens.url, '/v1/tokens?chains=sol%2Ceth');
+        assert.equal(tools.url, '/v1/tools');
+    } finally {
+        await server.close();
+    }
+});
+
+test('POST endpoints send a JSON body and no key when none is configured', async () => {
+    const server = await startServer(() => ({ json: { routes: [] } }));
+    try {
+        const lifi = createLifiClient({ baseUrl: server.url, apiKey: '' });
+        await lifi.getRoutes({ fromChainId: 1, toChainId: 10 });
+        await lifi.getStepTransaction({ id: 'step' });
+
+        assert.deepEqual(server.requests.map(request => [request.method, request.url]), [
+            ['POST', '/v1/advanced/routes'],
+            ['POST', '/v1/advanced/stepTransaction']
+        ]);
+        assert.deepEqual(server.requests[0].body, { fromChainId: 1, toChainId: 10 });
+        assert.equal(server.requests[0].headers['content-type'], 'application/json');
+        assert.equal(server.requests[0].headers['x-api-key'], undefined);
+    } finally {
+        await server.close();
+    }
+});
+
+test('error responses carry the status, the Li.Fi code and the parsed details', async () => {
+    const server = await startServer(request => (request.url.startsWith('/v1/quote')
+        ? { status: 404, json: { code: 1002, message: 'No available quotes for the requested transfer' } }
+        : { status: 502, json: '<html>Bad gateway</html>' }));
+    try {
+        const lifi = createLifiClient({ baseUrl: server.url });
+        await assert.rejects(lifi.getQuote({}), error => {
+            assert.equal(error.status, 404);
+            assert.equal(error.code, 1002);
+            assert.match(error.message, /^HTTP error! status: 404\nDetails: /);
+            return true;
+        });
+        await assert.rejects(lifi.getChains(), error => error.status === 502 && error.details === undefined);
+    } finally {
+        await server.close();
+    }
+});
+
+test('slow requests are aborted after the timeout', async () => {
+    const server = await startServer(() => ({ json: {}, delay: 500 }));
+    try {
+        const lifi = createLifiClient({ baseUrl: server.url, timeout: 50 });
+        await assert.rejects(lifi.getStatus({ txHash: '0x1' }), /Li.Fi request to \/status timed out after 50ms/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('describeLifiError explains known error codes and rate limits', () => {
+    const noQuotes = {
+        code: 1002,
+        details: {
+            errors: {
+                filteredOut: [{ reason: 'Slippage too high' }],
+                failed: [{ subpaths: { a: [{ message: 'Insufficient liquidity' }] } }]
+            }
+        }
+    };
+    assert.deepEqual(describeLifiError(noQuotes), [
+        '\n⚠️ No available quotes',
+        '\nFiltered out paths:',
+        '- Slippage too high',
+        '\nFailed paths:',
+        '- Insufficient liquidity'
+    ]);
+    assert.match(describeLifiError({ code: 1011 })[0], /Invalid address format/);
+    assert.match(describeLifiError({ status: 429 })[0], /Rate limit exceeded/);
+    assert.deepEqual(describeLifiError({ status: 500 }), []);
+});
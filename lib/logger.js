@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+export const DEFAULT_EVENTS_FILE = 'events.jsonl';
+
+export const EVENT_TYPES = [
+    'run_started',
+    'quote_requested',
+    'quote_received',
+    'simulation_done',
+    'transaction_inspected',
+    'balance_checked',
+    'tx_sent',
+    'tx_confirmed',
+    'analysis_done',
+    'swap_reconciled',
+    'watch_observed',
+    'error'
+];
+
+// Resolve the events file, which EVENTS_FILE can move
+export function getEventsFile() {
+    return path.resolve(process.env.EVENTS_FILE || DEFAULT_EVENTS_FILE);
+}
+
+// Create a logger: calling it prints a readable line, logger.event() appends a JSON event
+export function createLogger({ script, runId = randomUUID(), file = getEventsFile(), print = console.log } = {}) {
+    function log(message) {
+        print(message);
+    }
+
+    log.runId = runId;
+    log.script = script;
+
+    log.event = (type, fields = {}) => {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const event = { ts: new Date().toISOString(), runId, script, type, ...fields };
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, JSON.stringify(event) + '\n');
+        } catch (error) {
+            print(`⚠️ Could not write event log ${file}: ${error.message}`);
+        }
+        return event;
+    };
+
+    log.error = (error, fields = {}) => log.event('error', { ...errorFields(error), ...fields });
+
+    return log;
+}
+
+// Record an event if the log function is an event logger; plain functions such as console.log are left alone
+export function emitEvent(log, type, fields) {
+    if (typeof log?.event === 'function') {
+        log.event(type, fields);
+    }
+}
+
+// Fields describing an error, including Li.Fi status and code when present
+export function errorFields(error) {
+    return { message: error.message, status: error.status, code: error.code };
+}
+
+// Shared fields describing a quote, used by several event types
+export function quoteFields(quote) {
+    const { action, estimate } = quote;
+    const sumUSD = costs => (costs || []).reduce((sum, cost) => sum + Number(cost.amountUSD || 0), 0);
+
+    return {
+        quoteId: quote.id,
+        tool: quote.tool,
+        fromChainId: action.fromChainId,
+        toChainId: action.toChainId,
+        fromToken: action.fromToken.address,
+        fromSymbol: action.fromToken.symbol,
+        fromDecimals: action.fromToken.decimals,
+        toToken: action.toToken.address,
+        toSymbol: action.toToken.symbol,
+        toDecimals: action.toToken.decimals,
+        fromAmount: action.fromAmount,
+        toAmount: estimate.toAmount,
+        toAmountMin: estimate.toAmountMin,
+        fromAmountUSD: estimate.fromAmountUSD,
+        toAmountUSD: estimate.toAmountUSD,
+        gasUSD: sumUSD(estimate.gasCosts),
+        feeUSD: sumUSD(estimate.feeCosts),
+        slippage: action.slippage
+    };
+}
+
+// Read every event from a JSONL file, skipping lines that are not valid JSON
+export function readEvents(file = getEventsFile()) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return [];
+            }
+        });
+}
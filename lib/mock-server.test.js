@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { createLifiClient } from './lifi-client.js';
+import { readEvents } from './logger.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-server-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A port nothing listens on right now
+function freePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start mock-server.js from the repository root and wait until it listens
+async function startMock(args = [], env = {}) {
+    const port = await freePort();
+    const eventsFile = path.join(dir, `events-${port}.jsonl`);
+    const child = spawn(process.execPath, ['mock-server.js', ...args], {
+        cwd: ROOT,
+        env: { ...process.env, MOCK_PORT: String(port), EVENTS_FILE: eventsFile, ...env },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    const output = [];
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => output.push(...chunk.split('\n').filter(Boolean)));
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('mock server did not start')), 10000);
+        child.stdout.on('data', () => {
+            if (output.some(line => line.includes('listening'))) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => reject(new Error(`mock server exited with ${code}`)));
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        output,
+        events: () => readEvents(eventsFile),
+        stop: () => new Promise(resolve => {
+            child.once('close', resolve);
+            child.kill();
+        })
+    };
+}
+
+test('replay serves the recorded fixture of a request, ignoring addresses, and the default otherwise', async () => {
+    const mock = await startMock();
+    try {
+        const lifi = createLifiClient({ baseUrl: `${mock.url}/v1`, apiKey: '' });
+
+        const quote = await lifi.getQuote({ fromChain: 'sol', toChain: 'sol', fromToken: 'So11111111111111111111111111111111111111112', toToken: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', fromAmount: '10000000' });
+        assert.equal(quote.id, 'fixture-quote-sol-usdt');
+
+        // Recorded as a rejected quote for an unsupported token; the sender address is not part of the key
+        await assert.rejects(lifi.getQuote({
+            allowBridges: 'all',
+            allowExchanges: 'all',
+            order: 'RECOMMENDED',
+            fromChain: 'sol',
+            toChain: 'sol',
+            fromToken: 'So11111111111111111111111111111111111111112',
+            toToken: '11111111111111111111111111111112',
+            fromAmount: '10000000',
+            fromAddress: 'AnyWallet1111111111111111111111111111111111'
+        }), error => error.status === 400);
+
+        const unknown = await fetch(`${mock.url}/v2/quote`);
+        assert.equal(unknown.status, 404);
+        assert.deepEqual(await unknown.json(), { message: 'No mocked service for /v2/quote' });
+    } finally {
+        await mock.stop();
+    }
+
+    // Output is complete once the server's streams have closed
+    assert.deepEqual(mock.output.filter(line => line.startsWith('lifi GET /quote')), [
+        `lifi GET /quote -> ${path.join('fixtures', 'lifi', 'quote', 'default.json')}`,
+        `lifi GET /quote -> ${path.join('fixtures', 'lifi', 'quote', '4d0dbcb18363.json')}`
+    ]);
+    assert.deepEqual(mock.events().map(event => [event.script, event.type, event.mode]), [['mock-server', 'run_started', 'replay']]);
+});
+
+test('strict replay refuses requests without their own fixture and logs the key to record', async () => {
+    const fixtures = path.join(dir, 'fixtures');
+    fs.mkdirSync(path.join(fixtures, 'shyft', 'transaction-parsed'), { recursive: true });
+    fs.writeFileSync(path.join(fixtures, 'shyft', 'transaction-parsed', 'default.json'), JSON.stringify({ status: 200, body: { success: true } }));
+
+    const mock = await startMock(['--strict'], { MOCK_FIXTURES_DIR: fixtures });
+    try {
+        const response = await fetch(`${mock.url}/sol/v1/transaction/parsed?network=mainnet-beta&txn_signature=abc`);
+        assert.equal(response.status, 404);
+        const body = await response.json();
+        assert.equal(body.message, 'No fixture recorded for GET /transaction/parsed');
+        assert.match(body.key, /^[0-9a-f]{12}$/);
+
+        // Once recorded under that key it is served, whatever the signature
+        fs.writeFileSync(path.join(fixtures, 'shyft', 'transaction-parsed', `${body.key}.json`), JSON.stringify({ status: 200, body: { success: true, result: 'exact' } }));
+        const again = await fetch(`${mock.url}/sol/v1/transaction/parsed?network=mainnet-beta&txn_signature=def`);
+        assert.deepEqual(await again.json(), { success: true, result: 'exact' });
+    } finally {
+        await mock.stop();
+    }
+
+    const events = mock.events();
+    assert.deepEqual(events.map(event => event.type), ['run_started', 'error']);
+    assert.equal(events[0].strict, true);
+    assert.equal(events[1].stage, 'mock');
+    assert.equal(events[1].endpoint, '/transaction/parsed');
+});
@@ -0,0 +1,131 @@
+import { describeLifiError } from './lifi-client.js';
+import { formatAmount, formatRate, formatUSD } from './format.js';
+import { emitEvent, errorFields, quoteFields } from './logger.js';
+import { describeTransactionRequest } from './solana-transaction.js';
+
+// Tell whether a Li.Fi fee is already taken from the amounts; without an explicit included flag it is paid on top
+export function isCostIncluded(cost) {
+    return cost?.included === true;
+}
+
+// Log the details of one side of a connection
+function logTokenInfo(title, tokenInfo, log) {
+    log(`\n${title}:`);
+    log(`Symbol: ${tokenInfo.symbol}`);
+    log(`Name: ${tokenInfo.name}`);
+    log(`Decimals: ${tokenInfo.decimals}`);
+    log(`Price USD: ${formatUSD(tokenInfo.priceUSD)}`);
+}
+
+// Check if connection exists between tokens
+export async function checkConnection(lifi, { fromChain, toChain, fromToken, toToken }, { log = console.log } = {}) {
+    try {
+        log('\n=== Checking Li.Fi Connection ===');
+        const data = await lifi.getConnections({
+            fromChain,
+            toChain,
+            fromToken,
+            toToken,
+            allowSwitchChain: 'true',
+            allowDestinationCall: 'true'
+        });
+
+        if (data.connections && data.connections.length > 0) {
+            const connection = data.connections[0];
+            log('\n✅ Connection found:');
+            log(`From Chain ID: ${connection.fromChainId}`);
+            log(`To Chain ID: ${connection.toChainId}`);
+
+            if (connection.fromTokens && connection.fromTokens.length > 0) {
+                logTokenInfo('From Token Details', connection.fromTokens[0], log);
+            }
+            if (connection.toTokens && connection.toTokens.length > 0) {
+                logTokenInfo('To Token Details', connection.toTokens[0], log);
+            }
+
+            return true;
+        }
+
+        log('\n❌ No connection found between tokens');
+        return false;
+    } catch (error) {
+        emitEvent(log, 'error', { ...errorFields(error), stage: 'connection' });
+        log('\n❌ Error checking connection: ' + error.message);
+        describeLifiError(error).forEach(line => log(line));
+        return false;
+    }
+}
+
+// Get a quote for your desired transfer and log its details
+export async function requestQuote(lifi, params, { log = console.log, title } = {}) {
+    try {
+        log('\n=== Requesting Li.Fi Quote ===');
+        const query = {
+            allowBridges: 'all',
+            allowExchanges: 'all',
+            order: 'RECOMMENDED',
+            ...params
+        };
+        emitEvent(log, 'quote_requested', { title, ...query });
+        const quote = await lifi.getQuote(query);
+        emitEvent(log, 'quote_received', { title, ...quoteFields(quote) });
+        logQuoteDetails(quote, { log, title });
+        return quote;
+    } catch (error) {
+        log('\n❌ Error fetching quote: ' + error.message);
+        describeLifiError(error).forEach(line => log(line));
+        log('\nFailed Quote Parameters:');
+        log(`From Chain: ${params.fromChain}`);
+        log(`To Chain: ${params.toChain}`);
+        log(`From Token: ${params.fromToken}`);
+        log(`To Token: ${params.toToken}`);
+        log(`Amount: ${params.fromAmount}`);
+        log(`From Address: ${params.fromAddress}`);
+        log(`To Address: ${params.toAddress || params.fromAddress}`);
+        throw error;
+    }
+}
+
+// Log quote details
+export function logQuoteDetails(quote, { log = console.log, title } = {}) {
+    const logLines = [
+        title ? `\n=== Li.Fi Quote Details for ${title} ===` : '\n=== Li.Fi Quote Details ===',
+
+        '\n1. Pre-Execution Quote:',
+        `From: ${formatAmount(quote.action.fromAmount, quote.action.fromToken.decimals)} ${quote.action.fromToken.symbol}`,
+        `To: ${formatAmount(quote.estimate.toAmount, quote.action.toToken.decimals)} ${quote.action.toToken.symbol}`,
+        `Rate: 1 ${quote.action.fromToken.symbol} = ${formatRate(quote.action.fromAmount, quote.action.fromToken.decimals, quote.estimate.toAmount, quote.action.toToken.decimals)} ${quote.action.toToken.symbol}`,
+
+        '\nUSD Values:',
+        `From: ${formatUSD(quote.estimate.fromAmountUSD)}`,
+        `To: ${formatUSD(quote.estimate.toAmountUSD)}`,
+
+        '\n2. Estimated Fees:'
+    ];
+
+    if (quote.estimate.gasCosts && quote.estimate.gasCosts.length > 0) {
+        quote.estimate.gasCosts.forEach(cost => {
+            logLines.push(`Gas: ${formatAmount(cost.amount, cost.token.decimals)} ${cost.token.symbol} (${formatUSD(cost.amountUSD)})`);
+        });
+    }
+
+    if (quote.estimate.feeCosts && quote.estimate.feeCosts.length > 0) {
+        quote.estimate.feeCosts.forEach(cost => {
+            logLines.push(`Fee: ${formatAmount(cost.amount, cost.token.decimals)} ${cost.token.symbol} (${formatUSD(cost.amountUSD)})`);
+        });
+    }
+
+    logLines.push(
+        '\nSwap Details:',
+        `DEX: ${quote.toolDetails.name}`,
+        `Slippage: ${(quote.action.slippage * 100).toFixed(2)}%`,
+        `Minimum Received: ${formatAmount(quote.estimate.toAmountMin, quote.action.toToken.decimals)} ${quote.action.toToken.symbol}`,
+
+        '\nTransaction Request Details:',
+        `Format: ${describeTransactionRequest(quote.transactionRequest)}`,
+        '\n' + '='.repeat(50)
+    );
+
+    logLines.forEach(line => log(line));
+    return quote;
+}
@@ -0,0 +1,220 @@
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { formatAmount, formatRatio, formatTokenAmount, formatUSD } from './format.js';
+import { emitEvent } from './logger.js';
+import { isCostIncluded } from './quote.js';
+import { toSolanaMint } from './solana-transaction.js';
+
+// USD value of a base-unit amount at the token's quote-time price, undefined when either is unknown
+function valueUSD(amount, token) {
+    if (amount === undefined || !token?.priceUSD) return undefined;
+    return Number(formatAmount(amount, token.decimals)) * Number(token.priceUSD);
+}
+
+// Add up USD values, treating unknown ones as zero
+function sumUSD(values) {
+    return values.reduce((sum, value) => sum + (value || 0), 0);
+}
+
+// Amount of the output token that arrived: the bridge's receiving leg, or the wallet's balance change on Solana
+function findReceived(quote, analysis, transfer) {
+    const { toToken } = quote.action;
+
+    if (transfer?.receiving?.amount) {
+        const token = transfer.receiving.token;
+        if (token?.address && token.address.toLowerCase() !== toToken.address.toLowerCase()) {
+            return { amount: undefined, source: `bridge delivered ${token.symbol || token.address} instead of ${toToken.symbol}` };
+        }
+        return { amount: String(transfer.receiving.amount), source: 'bridge receiving transaction' };
+    }
+
+    const output = analysis?.output;
+    if (output && output.mint === toSolanaMint(toToken.address)) {
+        return { amount: String(output.amount), source: `${analysis.backend} analysis` };
+    }
+
+    return { amount: undefined, source: 'not found' };
+}
+
+// Estimated and actual gas of the source transaction, in the gas token of the source chain
+function reconcileGas(quote, analysis, transfer) {
+    const gasCosts = quote.estimate.gasCosts || [];
+    const token = gasCosts[0]?.token || transfer?.sending?.gasToken
+        || (Number(quote.action.fromChainId) === SOLANA_CHAIN_ID ? { symbol: 'SOL', decimals: 9 } : undefined);
+    const estimated = gasCosts.reduce((sum, cost) => sum + BigInt(cost.amount || 0), 0n).toString();
+
+    let actual;
+    if (analysis?.fee !== undefined) {
+        actual = String(analysis.fee);
+    } else if (transfer?.sending?.gasAmount) {
+        actual = String(transfer.sending.gasAmount);
+    }
+
+    return {
+        token,
+        estimated,
+        actual,
+        estimatedUSD: sumUSD(gasCosts.map(cost => Number(cost.amountUSD || 0))),
+        actualUSD: valueUSD(actual, token) ?? (transfer?.sending?.gasAmountUSD !== undefined ? Number(transfer.sending.gasAmountUSD) : undefined)
+    };
+}
+
+// Compare a quote with what the swap delivered and attribute its total cost to price impact, slippage, fees, gas and rent
+export function buildReconciliation(quote, { signature, analysis = null, transfer = null } = {}) {
+    const { action, estimate } = quote;
+    const { toToken } = action;
+    const toAmount = BigInt(estimate.toAmount);
+    const toAmountMin = BigInt(estimate.toAmountMin);
+
+    const received = findReceived(quote, analysis, transfer);
+    const receivedAmount = received.amount !== undefined ? BigInt(received.amount) : undefined;
+
+    // Positive slippage means less than quoted arrived
+    const realizedSlippage = receivedAmount !== undefined && toAmount > 0n
+        ? Number(formatRatio((toAmount - receivedAmount) * 100n, toAmount, 4))
+        : undefined;
+    const allowedSlippage = Number(action.slippage) * 100;
+
+    const gas = reconcileGas(quote, analysis, transfer);
+
+    // Deposits for accounts the swap left open; temporary accounts are refunded in the same transaction
+    const lamports = analysis?.lamports;
+    const rent = lamports ? BigInt(lamports.rentPaid) - BigInt(lamports.rentRefunded) : 0n;
+    const rentUSD = Number(action.fromChainId) === SOLANA_CHAIN_ID ? valueUSD(rent, gas.token) : undefined;
+
+    const fees = (estimate.feeCosts || []).map(cost => ({
+        name: cost.name || 'Fee',
+        amount: cost.amount,
+        symbol: cost.token?.symbol,
+        decimals: cost.token?.decimals,
+        amountUSD: Number(cost.amountUSD || 0),
+        included: isCostIncluded(cost)
+    }));
+    const feesUSD = sumUSD(fees.map(fee => fee.amountUSD));
+    const extraFeesUSD = sumUSD(fees.filter(fee => !fee.included).map(fee => fee.amountUSD));
+
+    // Everything at quote-time prices: what went in, minus what came out, plus what was paid on top
+    const fromUSD = Number(estimate.fromAmountUSD) || valueUSD(action.fromAmount, action.fromToken);
+    const receivedUSD = valueUSD(receivedAmount, toToken);
+    const slippageUSD = receivedAmount !== undefined ? valueUSD(toAmount - receivedAmount, toToken) : undefined;
+    let costs = null;
+    if (fromUSD !== undefined && receivedUSD !== undefined) {
+        const totalUSD = fromUSD - receivedUSD + extraFeesUSD + (gas.actualUSD || 0) + (rentUSD || 0);
+        costs = {
+            totalUSD,
+            feesUSD,
+            gasUSD: gas.actualUSD,
+            rentUSD,
+            slippageUSD,
+            // What remains is the gap between market prices and the quoted amount
+            priceImpactUSD: totalUSD - feesUSD - (gas.actualUSD || 0) - (rentUSD || 0) - (slippageUSD || 0)
+        };
+    }
+
+    return {
+        signature,
+        tool: quote.tool,
+        toToken: { symbol: toToken.symbol, decimals: toToken.decimals },
+        toAmount: toAmount.toString(),
+        toAmountMin: toAmountMin.toString(),
+        received: received.amount,
+        receivedSource: received.source,
+        aboveMinimum: receivedAmount !== undefined ? receivedAmount >= toAmountMin : undefined,
+        realizedSlippage,
+        allowedSlippage,
+        withinSlippage: realizedSlippage !== undefined ? realizedSlippage <= allowedSlippage : undefined,
+        gas,
+        rent: rent.toString(),
+        fees,
+        fromUSD,
+        receivedUSD,
+        costs
+    };
+}
+
+// Mark a check as passed, failed or unknown
+function mark(ok) {
+    if (ok === undefined) return '❔';
+    return ok ? '✅' : '❌';
+}
+
+// Format an optional USD value
+function usd(value) {
+    return value === undefined ? 'n/a' : formatUSD(value);
+}
+
+// Readable lines describing a reconciliation
+export function formatReconciliation(reconciliation) {
+    const { toToken, gas } = reconciliation;
+    const amount = value => `${formatTokenAmount(value, toToken.decimals)} ${toToken.symbol}`;
+    const gasAmount = value => (value !== undefined && gas.token ? `${formatTokenAmount(value, gas.token.decimals)} ${gas.token.symbol}` : 'n/a');
+
+    const lines = [
+        `Quoted: ${amount(reconciliation.toAmount)}`,
+        `Minimum: ${amount(reconciliation.toAmountMin)}`,
+        reconciliation.received !== undefined
+            ? `${mark(reconciliation.aboveMinimum)} Received: ${amount(reconciliation.received)} (${reconciliation.receivedSource})`
+            : `❔ Received: unknown (${reconciliation.receivedSource})`,
+        `${mark(reconciliation.withinSlippage)} Slippage: ` +
+            `${reconciliation.realizedSlippage !== undefined ? `${reconciliation.realizedSlippage.toFixed(2)}%` : 'n/a'} realized, ` +
+            `${reconciliation.allowedSlippage.toFixed(2)}% allowed`,
+        `Gas: estimated ${gasAmount(gas.estimated)} (${usd(gas.estimatedUSD)}), actual ${gasAmount(gas.actual)} (${usd(gas.actualUSD)})`
+    ];
+    if (reconciliation.rent !== '0') {
+        lines.push(`Rent deposits: ${formatTokenAmount(reconciliation.rent, 9)} SOL (${usd(reconciliation.costs?.rentUSD)})`);
+    }
+
+    lines.push('Fees at quote-time prices:');
+    reconciliation.fees.forEach(fee => {
+        lines.push(`  ${fee.name}: ${fee.decimals !== undefined && fee.amount !== undefined ? `${formatTokenAmount(fee.amount, fee.decimals)} ${fee.symbol} ` : ''}` +
+            `(${formatUSD(fee.amountUSD)}${fee.included ? ', taken from the amount' : ', paid on top'})`);
+    });
+    if (reconciliation.fees.length === 0) lines.push('  none');
+
+    const { costs } = reconciliation;
+    if (costs) {
+        lines.push(
+            `Total cost: ${formatUSD(costs.totalUSD)} of ${formatUSD(reconciliation.fromUSD)}`,
+            `  Price impact: ${usd(costs.priceImpactUSD)}`,
+            `  Slippage: ${usd(costs.slippageUSD)}`,
+            `  Fees: ${usd(costs.feesUSD)}`,
+            `  Gas: ${usd(costs.gasUSD)}`,
+            `  Rent: ${usd(costs.rentUSD)}`
+        );
+    } else {
+        lines.push('Total cost: n/a (received amount or token prices unknown)');
+    }
+    return lines;
+}
+
+// Reconcile a finished swap with its quote, log the report and record it as a swap_reconciled event
+export function reconcileSwap(quote, results, { log = console.log } = {}) {
+    log('\n=== Swap Reconciliation ===');
+
+    const reconciliation = buildReconciliation(quote, results);
+    formatReconciliation(reconciliation).forEach(line => log(line));
+
+    const { gas, costs } = reconciliation;
+    emitEvent(log, 'swap_reconciled', {
+        txHash: reconciliation.signature,
+        tool: reconciliation.tool,
+        toAmount: reconciliation.toAmount,
+        toAmountMin: reconciliation.toAmountMin,
+        receivedAmount: reconciliation.received,
+        receivedSource: reconciliation.receivedSource,
+        realizedSlippage: reconciliation.realizedSlippage,
+        allowedSlippage: reconciliation.allowedSlippage,
+        gasToken: gas.token?.symbol,
+        estimatedGas: gas.estimated,
+        actualGas: gas.actual,
+        estimatedGasUSD: gas.estimatedUSD,
+        actualGasUSD: gas.actualUSD,
+        rent: reconciliation.rent,
+        totalCostUSD: costs?.totalUSD,
+        priceImpactUSD: costs?.priceImpactUSD,
+        slippageUSD: costs?.slippageUSD,
+        feesUSD: costs?.feesUSD,
+        rentUSD: costs?.rentUSD
+    });
+
+    return reconciliation;
+}
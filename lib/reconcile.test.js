@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { isCostIncluded } from './quote.js';
+import { buildReconciliation, formatReconciliation } from './reconcile.js';
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const SOL_TOKEN = { symbol: 'SOL', decimals: 9, priceUSD: '150' };
+const USDC_TOKEN = { address: USDC, symbol: 'USDC', decimals: 6, priceUSD: '1' };
+
+// 1 SOL ($150) quoted at 149 USDC with 1% slippage, a fee taken from the amount and one paid on top
+function makeQuote() {
+    return {
+        tool: 'jupiter',
+        action: {
+            fromChainId: SOLANA_CHAIN_ID,
+            slippage: 0.01,
+            fromAmount: '1000000000',
+            fromToken: { address: '11111111111111111111111111111111', ...SOL_TOKEN },
+            toToken: USDC_TOKEN
+        },
+        estimate: {
+            toAmount: '149000000',
+            toAmountMin: '147510000',
+            fromAmountUSD: '150',
+            gasCosts: [{ amount: '5000', amountUSD: '0.00075', token: SOL_TOKEN }],
+            feeCosts: [
+                { name: 'Integrator fee', amount: '375000', amountUSD: '0.375', token: USDC_TOKEN, included: true },
+                { name: 'Bridge fee', amountUSD: '0.5' }
+            ]
+        }
+    };
+}
+
+// Compare USD values, which are computed in floating point
+function assertUSD(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('isCostIncluded only counts costs flagged as included', () => {
+    assert.equal(isCostIncluded({ included: true }), true);
+    assert.equal(isCostIncluded({ included: false }), false);
+    assert.equal(isCostIncluded({}), false);
+    assert.equal(isCostIncluded(undefined), false);
+});
+
+test('buildReconciliation attributes the cost of a Solana swap from an RPC analysis', () => {
+    const analysis = {
+        backend: 'rpc',
+        fee: 10000,
+        output: { mint: USDC, amount: '148255000' },
+        lamports: { rentPaid: '2039280', rentRefunded: '0' }
+    };
+    const reconciliation = buildReconciliation(makeQuote(), { signature: 'sig', analysis });
+
+    assert.equal(reconciliation.received, '148255000');
+    assert.equal(reconciliation.receivedSource, 'rpc analysis');
+    assert.equal(reconciliation.aboveMinimum, true);
+    assert.equal(reconciliation.realizedSlippage, 0.5);
+    assert.equal(reconciliation.allowedSlippage, 1);
+    assert.equal(reconciliation.withinSlippage, true);
+
+    assert.equal(reconciliation.gas.estimated, '5000');
+    assert.equal(reconciliation.gas.actual, '10000');
+    assertUSD(reconciliation.gas.actualUSD, 0.0015);
+    assert.equal(reconciliation.rent, '2039280');
+
+    assert.deepEqual(reconciliation.fees.map(fee => fee.included), [true, false]);
+    const { costs } = reconciliation;
+    // $150 in, $148.255 out, plus the $0.50 fee on top, gas and rent
+    assertUSD(costs.totalUSD, 150 - 148.255 + 0.5 + 0.0015 + 0.305892);
+    assertUSD(costs.feesUSD, 0.875);
+    assertUSD(costs.rentUSD, 0.305892);
+    assertUSD(costs.slippageUSD, 0.745);
+    assertUSD(costs.priceImpactUSD, 0.625);
+});
+
+test('buildReconciliation reads base-unit amounts from a Shyft analysis like any other', () => {
+    const analysis = { backend: 'shyft', fee: '5000', output: { mint: USDC, amount: '147500000', decimals: 6 } };
+    const reconciliation = buildReconciliation(makeQuote(), { analysis });
+
+    assert.equal(reconciliation.received, '147500000');
+    assert.equal(reconciliation.receivedSource, 'shyft analysis');
+    assert.equal(reconciliation.aboveMinimum, false);
+    assert.equal(reconciliation.withinSlippage, false);
+    assert.equal(reconciliation.rent, '0');
+});
+
+test('buildReconciliation takes the received amount and gas of a bridge from its transfer', () => {
+    const quote = makeQuote();
+    quote.action.fromChainId = 1;
+    quote.estimate.gasCosts = [];
+    const transfer = {
+        sending: { gasAmount: '21000000000000', gasAmountUSD: '0.05', gasToken: { symbol: 'ETH', decimals: 18 } },
+        receiving: { amount: '149000000', token: { address: USDC.toLowerCase(), symbol: 'USDC' } }
+    };
+    const reconciliation = buildReconciliation(quote, { transfer });
+
+    assert.equal(reconciliation.receivedSource, 'bridge receiving transaction');
+    assert.equal(reconciliation.realizedSlippage, 0);
+    assert.equal(reconciliation.gas.token.symbol, 'ETH');
+    assert.equal(reconciliation.gas.actual, '21000000000000');
+    assert.equal(reconciliation.gas.actualUSD, 0.05);
+    assert.equal(reconciliation.costs.rentUSD, undefined);
+});
+
+test('buildReconciliation leaves the outcome unknown when the output cannot be found', () => {
+    const transfer = { receiving: { amount: '149000000', token: { address: '0xdead', symbol: 'USDT' } } };
+    const bridged = buildReconciliation(makeQuote(), { transfer });
+    assert.equal(bridged.received, undefined);
+    assert.equal(bridged.receivedSource, 'bridge delivered USDT instead of USDC');
+    assert.equal(bridged.costs, null);
+
+    const missing = buildReconciliation(makeQuote(), {});
+    assert.equal(missing.receivedSource, 'not found');
+    assert.equal(missing.realizedSlippage, undefined);
+    assert.equal(missing.withinSlippage, undefined);
+    assert.ok(formatReconciliation(missing).includes('Total cost: n/a (received amount or token prices unknown)'));
+});
@@ -0,0 +1,115 @@
+import { formatCsv, formatTokenAmount, formatUSD } from './format.js';
+
+const CSV_COLUMNS = [
+    'runId', 'script', 'startedAt', 'endedAt', 'status', 'quotes', 'tool',
+    'fromSymbol', 'fromAmount', 'toSymbol', 'toAmount', 'toAmountMin', 'receivedAmount',
+    'realizedSlippage', 'gasUSD', 'actualGasUSD', 'feeUSD', 'totalCostUSD', 'txHash', 'error'
+];
+
+// Format a base-unit amount when its decimals are known
+function tokenAmount(amount, decimals) {
+    if (amount === undefined || amount === null || decimals === undefined) return '';
+    return formatTokenAmount(String(amount), decimals);
+}
+
+// Pick the most advanced state a run reached
+function runStatus(events) {
+    const types = events.map(event => event.type);
+    if (types.includes('error')) return 'failed';
+    if (events.some(event => event.type === 'tx_confirmed' && event.kind !== 'approval')) return 'confirmed';
+    if (types.includes('tx_sent')) return 'sent';
+    if (types.includes('analysis_done')) return 'analyzed';
+    if (types.includes('quote_received')) return 'quoted';
+    return 'started';
+}
+
+// Group events by run and summarize each run in one flat record
+export function summarizeRuns(events) {
+    const runs = new Map();
+    events.forEach(event => {
+        if (!runs.has(event.runId)) runs.set(event.runId, []);
+        runs.get(event.runId).push(event);
+    });
+
+    return [...runs.entries()].map(([runId, runEvents]) => {
+        const quotes = runEvents.filter(event => event.type === 'quote_received');
+        const quote = quotes[quotes.length - 1] || {};
+        const swapTx = runEvents.find(event => event.type === 'tx_sent' && event.kind !== 'approval');
+        const analysis = runEvents.find(event => event.type === 'analysis_done');
+        const reconciliation = runEvents.find(event => event.type === 'swap_reconciled');
+        const error = runEvents.find(event => event.type === 'error');
+        const received = reconciliation?.receivedAmount
+            ?? (analysis && analysis.outputToken === quote.toToken ? analysis.outputAmount : undefined);
+        const optionalUSD = value => (value !== undefined && value !== null ? formatUSD(value) : '');
+
+        return {
+            runId,
+            script: runEvents[0].script,
+            startedAt: runEvents[0].ts,
+            endedAt: runEvents[runEvents.length - 1].ts,
+            status: runStatus(runEvents),
+            quotes: quotes.length,
+            tool: quote.tool || '',
+            fromSymbol: quote.fromSymbol || '',
+            fromAmount: tokenAmount(quote.fromAmount, quote.fromDecimals),
+            toSymbol: quote.toSymbol || '',
+            toAmount: tokenAmount(quote.toAmount, quote.toDecimals),
+            toAmountMin: tokenAmount(quote.toAmountMin, quote.toDecimals),
+            receivedAmount: tokenAmount(received, quote.toDecimals),
+            realizedSlippage: reconciliation?.realizedSlippage !== undefined && reconciliation?.realizedSlippage !== null
+                ? `${Number(reconciliation.realizedSlippage).toFixed(2)}%`
+                : '',
+            gasUSD: optionalUSD(quote.gasUSD),
+            actualGasUSD: optionalUSD(reconciliation?.actualGasUSD),
+            feeUSD: optionalUSD(quote.feeUSD),
+            totalCostUSD: optionalUSD(reconciliation?.totalCostUSD),
+            txHash: swapTx?.txHash || analysis?.txHash || '',
+            error: error?.message?.split('\n')[0] || ''
+        };
+    });
+}
+
+// Render run summaries as a Markdown report
+export function formatMarkdownReport(runs) {
+    const count = status => runs.filter(run => run.status === status).length;
+    const escape = value => String(value).replace(/\|/g, '\\|');
+
+    const lines = [
+        '# Li.Fi Run Report',
+        '',
+        `Generated: ${new Date().toISOString()}`,
+        '',
+        `Runs: ${runs.length} | Confirmed: ${count('confirmed')} | Failed: ${count('failed')} | Quoted only: ${count('quoted')}`,
+        '',
+        '| Started | Script | Status | Tool | From | Quoted To | Min Received | Received | Slippage | Quoted Gas | Actual Gas | Fees | Total Cost | Transaction | Error |',
+        '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |'
+    ];
+
+    runs.forEach(run => {
+        const cells = [
+            run.startedAt,
+            run.script,
+            run.status,
+            run.tool,
+            run.fromAmount && `${run.fromAmount} ${run.fromSymbol}`,
+            run.toAmount && `${run.toAmount} ${run.toSymbol}`,
+            run.toAmountMin && `${run.toAmountMin} ${run.toSymbol}`,
+            run.receivedAmount && `${run.receivedAmount} ${run.toSymbol}`,
+            run.realizedSlippage,
+            run.gasUSD,
+            run.actualGasUSD,
+            run.feeUSD,
+            run.totalCostUSD,
+            run.txHash,
+            run.error
+        ];
+        lines.push(`| ${cells.map(cell => escape(cell || '')).join(' | ')} |`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Render run summaries as CSV
+export function formatCsvReport(runs) {
+    return formatCsv(CSV_COLUMNS, runs);
+}
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger, emitEvent, readEvents } from './logger.js';
+import { formatCsvReport, formatMarkdownReport, summarizeRuns } from './report.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const QUOTE = {
+    quoteId: 'q1',
+    tool: 'jupiter',
+    fromToken: 'So11111111111111111111111111111111111111112',
+    fromSymbol: 'SOL',
+    fromDecimals: 9,
+    toToken: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    toSymbol: 'USDC',
+    toDecimals: 6,
+    fromAmount: '10000000',
+    toAmount: '1590000',
+    toAmountMin: '1582050',
+    gasUSD: 0.002,
+    feeUSD: 0.01
+};
+
+test('the logger prints lines and appends typed events to the events file', () => {
+    const file = path.join(dir, 'nested', 'events.jsonl');
+    const printed = [];
+    const log = createLogger({ script: 'swap', runId: 'run-1', file, print: line => printed.push(line) });
+
+    log('hello');
+    emitEvent(log, 'quote_received', QUOTE);
+    log.error(Object.assign(new Error('HTTP error! status: 429\nDetails: {}'), { status: 429 }), { stage: 'quote' });
+    // A plain function has no events to record
+    emitEvent(console.log, 'quote_received', QUOTE);
+
+    assert.deepEqual(printed, ['hello']);
+    const events = readEvents(file);
+    assert.deepEqual(events.map(event => [event.runId, event.script, event.type]), [['run-1', 'swap', 'quote_received'], ['run-1', 'swap', 'error']]);
+    assert.equal(events[1].status, 429);
+    assert.equal(events[1].stage, 'quote');
+    assert.ok(!Number.isNaN(Date.parse(events[0].ts)));
+
+    assert.throws(() => log.event('quote_ignored'), /Unknown event type: quote_ignored/);
+});
+
+test('an unwritable events file is reported without stopping the run', () => {
+    const printed = [];
+    // A directory cannot be appended to
+    const log = createLogger({ script: 'swap', file: dir, print: line => printed.push(line) });
+    const event = log.event('run_started', {});
+    assert.equal(event.type, 'run_started');
+    assert.match(printed[0], new RegExp(`^⚠️ Could not write event log ${dir}: `));
+});
+
+test('readEvents skips torn lines and a missing file reads as empty', () => {
+    const file = path.join(dir, 'torn.jsonl');
+    fs.writeFileSync(file, '{"runId":"a","type":"run_started"}\n{"runId":"a","ty\n\n{"runId":"b","type":"run_started"}\n');
+    assert.deepEqual(readEvents(file).map(event => event.runId), ['a', 'b']);
+    assert.deepEqual(readEvents(path.join(dir, 'missing.jsonl')), []);
+});
+
+// Events of three runs: a confirmed swap behind an approval, a failed quote and a quote that was never sent
+const events = [
+    { ts: '2026-10-19T10:00:00.000Z', runId: 'ok', script: 'swap', type: 'run_started' },
+    { ts: '2026-10-19T10:00:01.000Z', runId: 'ok', script: 'swap', type: 'quote_received', ...QUOTE, toAmount: '1500000' },
+    { ts: '2026-10-19T10:00:02.000Z', runId: 'ok', script: 'swap', type: 'quote_received', ...QUOTE },
+    { ts: '2026-10-19T10:00:03.000Z', runId: 'ok', script: 'swap', type: 'tx_sent', kind: 'approval', txHash: '0xapprove' },
+    { ts: '2026-10-19T10:00:04.000Z', runId: 'ok', script: 'swap', type: 'tx_confirmed', kind: 'approval' },
+    { ts: '2026-10-19T10:00:05.000Z', runId: 'ok', script: 'swap', type: 'tx_sent', kind: 'swap', txHash: '5wap' },
+    { ts: '2026-10-19T10:00:06.000Z', runId: 'ok', script: 'swap', type: 'tx_confirmed', kind: 'swap' },
+    { ts: '2026-10-19T10:00:07.000Z', runId: 'ok', script: 'swap', type: 'swap_reconciled', receivedAmount: '1585000', realizedSlippage: 0.3145, actualGasUSD: 0.0011, totalCostUSD: 0.0161 },
+    { ts: '2026-10-19T11:00:00.000Z', runId: 'bad', script: 'quote', type: 'error', message: 'No route | try later\nDetails: {}' },
+    { ts: '2026-10-19T12:00:00.000Z', runId: 'idle', script: 'quote', type: 'quote_received', ...QUOTE }
+];
+
+test('summarizeRuns reduces each run to its last quote, swap transaction and outcome', () => {
+    const [ok, bad, idle] = summarizeRuns(events);
+
+    assert.deepEqual(
+        { status: ok.status, quotes: ok.quotes, toAmount: ok.toAmount, receivedAmount: ok.receivedAmount, txHash: ok.txHash, realizedSlippage: ok.realizedSlippage },
+        { status: 'confirmed', quotes: 2, toAmount: '1.59', receivedAmount: '1.585', txHash: '5wap', realizedSlippage: '0.31%' }
+    );
+    assert.equal(ok.startedAt, '2026-10-19T10:00:00.000Z');
+    assert.equal(ok.endedAt, '2026-10-19T10:00:07.000Z');
+    assert.equal(ok.totalCostUSD, '$0.02');
+
+    assert.equal(bad.status, 'failed');
+    assert.equal(bad.error, 'No route | try later');
+    assert.equal(bad.fromAmount, '');
+    assert.equal(idle.status, 'quoted');
+    assert.equal(idle.receivedAmount, '');
+});
+
+test('reports render the runs as Markdown and CSV', () => {
+    const runs = summarizeRuns(events);
+
+    const markdown = formatMarkdownReport(runs).split('\n');
+    assert.equal(markdown[4], 'Runs: 3 | Confirmed: 1 | Failed: 1 | Quoted only: 1');
+    assert.ok(markdown[8].includes('| confirmed | jupiter | 0.01 SOL | 1.59 USDC | 1.58205 USDC | 1.585 USDC | 0.31% |'));
+    assert.ok(markdown[9].endsWith('| No route \\| try later |'));
+
+    const csv = formatCsvReport(runs).trimEnd().split('\n');
+    assert.equal(csv.length, 4);
+    assert.ok(csv[0].startsWith('runId,script,startedAt,endedAt,status,quotes,tool'));
+    assert.ok(csv[1].startsWith('ok,swap,2026-10-19T10:00:00.000Z,2026-10-19T10:00:07.000Z,confirmed,2,jupiter,SOL,0.01,USDC,1.59,1.58205,1.585,'));
+});
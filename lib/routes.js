@@ -0,0 +1,133 @@
+import { formatAmount, formatUSD, formatDuration } from './format.js';
+import { resolveChain } from './chains.js';
+import { isCostIncluded } from './quote.js';
+
+export const ROUTE_ORDERS = ['CHEAPEST', 'FASTEST', 'SAFEST'];
+
+// Sum the USD value of a list of gas or fee costs
+function sumUSD(costs = []) {
+    return costs.reduce((sum, cost) => sum + Number(cost.amountUSD || 0), 0);
+}
+
+// Reduce a route to the numbers we compare routes on
+export function summarizeRoute(route) {
+    const steps = route.steps || [];
+    const gasUSD = route.gasCostUSD !== undefined
+        ? Number(route.gasCostUSD)
+        : steps.reduce((sum, step) => sum + sumUSD(step.estimate?.gasCosts), 0);
+    const feeUSD = steps.reduce((sum, step) => sum + sumUSD(step.estimate?.feeCosts), 0);
+
+    // Fees marked as included are already taken out of toAmount
+    const extraFeeUSD = steps.reduce((sum, step) => {
+        return sum + sumUSD((step.estimate?.feeCosts || []).filter(cost => !isCostIncluded(cost)));
+    }, 0);
+
+    return {
+        id: route.id,
+        route,
+        toToken: route.toToken,
+        toAmount: route.toAmount,
+        toAmountMin: route.toAmountMin,
+        toAmountUSD: Number(route.toAmountUSD || 0),
+        gasUSD,
+        feeUSD,
+        netUSD: Number(route.toAmountUSD || 0) - gasUSD - extraFeeUSD,
+        duration: steps.reduce((sum, step) => sum + Number(step.estimate?.executionDuration || 0), 0),
+        tools: steps.map(step => step.toolDetails?.name || step.tool),
+        stepCount: steps.length,
+        tags: route.tags || []
+    };
+}
+
+// Rank summaries under each ordering, best first
+export function rankRoutes(summaries) {
+    const byNetValue = [...summaries].sort((a, b) => b.netUSD - a.netUSD);
+    const byDuration = [...summaries].sort((a, b) => a.duration - b.duration || b.netUSD - a.netUSD);
+    const bySafety = [...summaries].sort((a, b) => a.stepCount - b.stepCount || a.duration - b.duration || b.netUSD - a.netUSD);
+
+    return {
+        CHEAPEST: byNetValue.map(summary => summary.id),
+        FASTEST: byDuration.map(summary => summary.id),
+        SAFEST: bySafety.map(summary => summary.id)
+    };
+}
+
+// Request every available route for a transfer and rank them side by side
+export async function compareRoutes(lifi, params) {
+    const routesRequest = {
+        fromChainId: (await resolveChain(lifi, params.fromChain)).id,
+        toChainId: (await resolveChain(lifi, params.toChain)).id,
+        fromTokenAddress: params.fromToken,
+        toTokenAddress: params.toToken,
+        fromAmount: String(params.fromAmount),
+        fromAddress: params.fromAddress,
+        toAddress: params.toAddress,
+        options: {
+            order: 'RECOMMENDED',
+            slippage: params.slippage,
+            allowSwitchChain: false
+        }
+    };
+
+    const data = await lifi.getRoutes(routesRequest);
+    const summaries = (data.routes || []).map(summarizeRoute);
+
+    return {
+        summaries,
+        rankings: rankRoutes(summaries),
+        unavailableRoutes: data.unavailableRoutes
+    };
+}
+
+// Render a comparison as table lines for the log
+export function formatRouteComparison({ summaries, rankings }) {
+    if (summaries.length === 0) {
+        return ['\n❌ No routes available'];
+    }
+
+    const rankOf = (order, id) => rankings[order].indexOf(id) + 1;
+    const header = ['#', 'Output', 'Min Output', 'Gas', 'Fees', 'Duration', 'Steps', 'Cheap', 'Fast', 'Safe', 'Tools'];
+    const rows = summaries.map((summary, index) => [
+        String(index + 1),
+        `${formatAmount(summary.toAmount, summary.toToken.decimals)} ${summary.toToken.symbol}`,
+        formatAmount(summary.toAmountMin, summary.toToken.decimals),
+        formatUSD(summary.gasUSD),
+        formatUSD(summary.feeUSD),
+        formatDuration(summary.duration),
+        String(summary.stepCount),
+        String(rankOf('CHEAPEST', summary.id)),
+        String(rankOf('FASTEST', summary.id)),
+        String(rankOf('SAFEST', summary.id)),
+        summary.tools.join(' → ')
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    const lines = [
+        `\n=== Available Routes (${summaries.length}) ===`,
+        formatRow(header),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.map(formatRow)
+    ];
+
+    ROUTE_ORDERS.forEach(order => {
+        const best = summaries.find(summary => summary.id === rankings[order][0]);
+        lines.push(`Best ${order}: #${summaries.indexOf(best) + 1} (${best.tools.join(' → ')})`);
+    });
+
+    return lines;
+}
+
+// Turn a chosen single-step route into an executable quote
+export async function prepareRouteForExecution(lifi, route) {
+    if (route.steps.length !== 1) {
+        throw new Error(`Route has ${route.steps.length} steps; only single-step routes can be executed`);
+    }
+
+    const step = await lifi.getStepTransaction(route.steps[0]);
+    if (!step.transactionRequest) {
+        throw new Error('Li.Fi did not return a transaction for the selected route');
+    }
+    return step;
+}
@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    compareRoutes,
+    formatRouteComparison,
+    prepareRouteForExecution,
+    rankRoutes,
+    summarizeRoute
+} from './routes.js';
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-test-'));
+process.env.CHAIN_CACHE_FILE = path.join(cacheDir, 'chains.json');
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const USDC = { symbol: 'USDC', decimals: 6 };
+
+// Three SOL → USDC routes: a cheap slow bridge, a fast one-step swap and a two-step route that pays the most
+const bridge = {
+    id: 'bridge',
+    toToken: USDC,
+    toAmount: '150000000',
+    toAmountMin: '149000000',
+    toAmountUSD: '150.00',
+    steps: [{
+        tool: 'mayan',
+        toolDetails: { name: 'Mayan' },
+        estimate: {
+            executionDuration: 600,
+            gasCosts: [{ amountUSD: '0.50' }],
+            feeCosts: [{ amountUSD: '0.30', included: true }]
+        }
+    }]
+};
+const swap = {
+    id: 'swap',
+    toToken: USDC,
+    toAmount: '149500000',
+    toAmountMin: '149400000',
+    toAmountUSD: '149.50',
+    gasCostUSD: '0.05',
+    steps: [{ tool: 'jupiter', estimate: { executionDuration: 30, feeCosts: [{ amountUSD: '0.20' }] } }]
+};
+const twoStep = {
+    id: 'two-step',
+    toToken: USDC,
+    toAmount: '151000000',
+    toAmountMin: '150000000',
+    toAmountUSD: '151.00',
+    steps: [
+        { tool: 'jupiter', estimate: { executionDuration: 30, gasCosts: [{ amountUSD: '0.05' }] } },
+        { tool: 'allbridge', estimate: { executionDuration: 300, gasCosts: [{ amountUSD: '0.40' }], feeCosts: [{ amountUSD: '1.00' }] } }
+    ]
+};
+
+test('summarizeRoute totals gas, fees and duration across steps', () => {
+    const summary = summarizeRoute(twoStep);
+    assert.equal(summary.gasUSD.toFixed(2), '0.45');
+    assert.equal(summary.feeUSD, 1);
+    assert.equal(summary.netUSD.toFixed(2), '149.55');
+    assert.equal(summary.duration, 330);
+    assert.deepEqual(summary.tools, ['jupiter', 'allbridge']);
+    assert.equal(summary.stepCount, 2);
+});
+
+test('summarizeRoute prefers the route gas total and leaves included fees in the net value', () => {
+    assert.equal(summarizeRoute(swap).gasUSD, 0.05);
+    assert.equal(summarizeRoute(swap).netUSD.toFixed(2), '149.25');
+
+    const summary = summarizeRoute(bridge);
+    assert.equal(summary.feeUSD, 0.3);
+    assert.equal(summary.netUSD.toFixed(2), '149.50');
+    assert.deepEqual(summary.tools, ['Mayan']);
+});
+
+test('rankRoutes orders by net value, duration and step count', () => {
+    const rankings = rankRoutes([bridge, swap, twoStep].map(summarizeRoute));
+    assert.deepEqual(rankings, {
+        CHEAPEST: ['two-step', 'bridge', 'swap'],
+        FASTEST: ['swap', 'two-step', 'bridge'],
+        SAFEST: ['swap', 'bridge', 'two-step']
+    });
+});
+
+test('compareRoutes requests routes by chain ID and ranks what comes back', async () => {
+    const requests = [];
+    const lifi = {
+        getChains: async () => ({ chains: [{ id: 1151111081099710, key: 'sol', name: 'Solana' }, { id: 1, key: 'eth', name: 'Ethereum' }] }),
+        getRoutes: async request => {
+            requests.push(request);
+            return { routes: [bridge, swap], unavailableRoutes: { failed: [] } };
+        }
+    };
+
+    const comparison = await compareRoutes(lifi, {
+        fromChain: 'solana',
+        toChain: 'eth',
+        fromToken: 'So11111111111111111111111111111111111111112',
+        toToken: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+        fromAmount: 1000000000,
+        fromAddress: 'sender',
+        toAddress: '0xreceiver',
+        slippage: 0.005
+    });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].fromChainId, 1151111081099710);
+    assert.equal(requests[0].toChainId, 1);
+    assert.equal(requests[0].fromAmount, '1000000000');
+    assert.deepEqual(requests[0].options, { order: 'RECOMMENDED', slippage: 0.005, allowSwitchChain: false });
+    assert.deepEqual(comparison.summaries.map(summary => summary.id), ['bridge', 'swap']);
+    assert.deepEqual(comparison.rankings.FASTEST, ['swap', 'bridge']);
+    assert.deepEqual(comparison.unavailableRoutes, { failed: [] });
+});
+
+test('formatRouteComparison lays out one aligned row per route and names the best of each order', () => {
+    const summaries = [bridge, swap, twoStep].map(summarizeRoute);
+    const lines = formatRouteComparison({ summaries, rankings: rankRoutes(summaries) });
+
+    assert.equal(lines[0], '\n=== Available Routes (3) ===');
+    assert.match(lines[1], /^#\s+Output\s+Min Output\s+Gas\s+Fees\s+Duration\s+Steps\s+Cheap\s+Fast\s+Safe\s+Tools$/);
+    assert.match(lines[3], /^1\s+150\.000000 USDC\s+149\.000000\s+\$0\.50\s+\$0\.30\s+10m 0s\s+1\s+2\s+3\s+2\s+Mayan$/);
+    assert.match(lines[5], /jupiter → allbridge$/);
+    assert.equal(lines[3].indexOf('Mayan'), lines[1].indexOf('Tools'));
+    assert.equal(lines[5].indexOf('jupiter'), lines[1].indexOf('Tools'));
+    assert.deepEqual(lines.slice(-3), [
+        'Best CHEAPEST: #3 (jupiter → allbridge)',
+        'Best FASTEST: #2 (jupiter)',
+        'Best SAFEST: #2 (jupiter)'
+    ]);
+
+    assert.deepEqual(formatRouteComparison({ summaries: [], rankings: rankRoutes([]) }), ['\n❌ No routes available']);
+});
+
+test('prepareRouteForExecution only executes single-step routes that come back with a transaction', async () => {
+    const lifi = { getStepTransaction: async step => ({ ...step, transactionRequest: { data: 'AQID' } }) };
+    const step = await prepareRouteForExecution(lifi, swap);
+    assert.equal(step.tool, 'jupiter');
+    assert.deepEqual(step.transactionRequest, { data: 'AQID' });
+
+    await assert.rejects(prepareRouteForExecution(lifi, twoStep), /Route has 2 steps; only single-step routes can be executed/);
+    await assert.rejects(
+        prepareRouteForExecution({ getStepTransaction: async step => step }, bridge),
+        /Li.Fi did not return a transaction for the selected route/
+    );
+});
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { requestQuote } from './quote.js';
+import { resolveAmount, resolveTokenAddress } from './tokens.js';
+import { resolveTokenChain } from './chains.js';
+import { validateAddresses } from './validation.js';
+import { formatRate, formatUSD, sleep } from './format.js';
+import { emitEvent, errorFields } from './logger.js';
+
+export const DEFAULT_SCENARIO_FILE = path.join('scenarios', 'default.yaml');
+
+const REQUIRED_FIELDS = ['name', 'fromToken', 'toToken', 'amount'];
+
+// Load scenarios from a JSON or YAML file, applying the file's defaults to each one
+export function loadScenarioFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+
+    const list = Array.isArray(data) ? data : data?.scenarios;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Scenario file ${file} has no scenarios`);
+    }
+
+    const defaults = Array.isArray(data) ? {} : data.defaults || {};
+    return list.map((entry, index) => {
+        const scenario = { ...defaults, ...entry };
+        const missing = REQUIRED_FIELDS.filter(field => scenario[field] === undefined || scenario[field] === '');
+        if (missing.length > 0) {
+            throw new Error(`Scenario file ${file}: scenario #${index + 1} is missing ${missing.join(', ')}`);
+        }
+        scenario.amount = String(scenario.amount);
+        return scenario;
+    });
+}
+
+// Every tool a quote would use, including the tools of its included steps
+function quoteTools(quote) {
+    const tools = [quote.tool, ...(quote.includedSteps || []).map(step => step.tool)];
+    return [...new Set(tools.filter(Boolean))];
+}
+
+// Compare a scenario's outcome with its expectations
+export function evaluateExpectations(scenario, { quote, error }) {
+    const expect = scenario.expect || {};
+    const checks = [];
+
+    if (expect.errorCode !== undefined) {
+        checks.push({
+            name: 'Error code',
+            ok: error?.code === expect.errorCode,
+            detail: error
+                ? `got ${error.code ?? error.message.split('\n')[0]} (expected ${expect.errorCode})`
+                : `quote succeeded (expected error ${expect.errorCode})`
+        });
+        return checks;
+    }
+
+    const routeExpected = expect.route !== false;
+    checks.push({
+        name: 'Route',
+        ok: routeExpected === Boolean(quote),
+        detail: quote
+            ? `found via ${quote.tool}${routeExpected ? '' : ' (expected none)'}`
+            : `none: ${error?.message.split('\n')[0]}${routeExpected ? '' : ' (as expected)'}`
+    });
+    if (!quote) {
+        return checks;
+    }
+
+    const { fromToken, toToken } = quote.action;
+
+    if (expect.maxRateDeviation !== undefined) {
+        // Compare against an explicit reference price, or the ratio of the tokens' USD prices
+        const reference = expect.referencePrice !== undefined
+            ? Number(expect.referencePrice)
+            : Number(fromToken.priceUSD) / Number(toToken.priceUSD);
+        const rate = Number(formatRate(quote.action.fromAmount, fromToken.decimals, quote.estimate.toAmount, toToken.decimals));
+        const deviation = Math.abs(rate - reference) / reference * 100;
+
+        checks.push({
+            name: 'Rate',
+            ok: Number.isFinite(deviation) && deviation <= expect.maxRateDeviation,
+            detail: `1 ${fromToken.symbol} = ${rate} ${toToken.symbol}, ${deviation.toFixed(2)}% from reference ${reference} (max ${expect.maxRateDeviation}%)`
+        });
+    }
+
+    if (expect.maxFeesUSD !== undefined) {
+        const feesUSD = [...(quote.estimate.gasCosts || []), ...(quote.estimate.feeCosts || [])]
+            .reduce((sum, cost) => sum + Number(cost.amountUSD || 0), 0);
+        checks.push({
+            name: 'Fees',
+            ok: feesUSD <= expect.maxFeesUSD,
+            detail: `${formatUSD(feesUSD)} (max ${formatUSD(expect.maxFeesUSD)})`
+        });
+    }
+
+    const tools = quoteTools(quote);
+    if (expect.allowedTools) {
+        const disallowed = tools.filter(tool => !expect.allowedTools.includes(tool));
+        checks.push({
+            name: 'Allowed tools',
+            ok: disallowed.length === 0,
+            detail: `uses ${tools.join(', ')} (allowed: ${expect.allowedTools.join(', ')})`
+        });
+    }
+    if (expect.forbiddenTools) {
+        const forbidden = tools.filter(tool => expect.forbiddenTools.includes(tool));
+        checks.push({
+            name: 'Forbidden tools',
+            ok: forbidden.length === 0,
+            detail: forbidden.length > 0 ? `uses forbidden ${forbidden.join(', ')}` : `uses ${tools.join(', ')}`
+        });
+    }
+
+    return checks;
+}
+
+// Quote each scenario in turn and check its expectations, pausing between requests to avoid rate limiting
+export async function runScenarios(lifi, scenarios, { log = console.log, defaultAddress, delay = 2000 } = {}) {
+    const results = [];
+
+    for (const [index, scenario] of scenarios.entries()) {
+        log(`\nTesting scenario: ${scenario.name}`);
+
+        let quote;
+        let error;
+        try {
+            // Chains default to the one named in the token, like WETH@arb, or to Solana
+            const from = await resolveTokenChain(lifi, scenario.fromChain, scenario.fromToken, { log });
+            const to = await resolveTokenChain(lifi, scenario.toChain, scenario.toToken, { log });
+            const fromAddress = scenario.fromAddress || defaultAddress;
+            const toAddress = scenario.toAddress || defaultAddress;
+
+            const addressErrors = validateAddresses({ fromAddress, toAddress }, { fromChain: from.chain, toChain: to.chain });
+            if (addressErrors.length > 0) {
+                const addressError = new Error(addressErrors.join('\n'));
+                addressError.code = 'INVALID_ADDRESS';
+                throw addressError;
+            }
+
+            const { fromAmount, token } = await resolveAmount(lifi, {
+                chain: from.chain.key,
+                token: from.token,
+                amount: scenario.amount
+            }, { log });
+
+            quote = await requestQuote(lifi, {
+                fromChain: from.chain.key,
+                toChain: to.chain.key,
+                fromToken: token.address,
+                toToken: await resolveTokenAddress(lifi, to.chain.key, to.token, { log }),
+                fromAmount,
+                fromAddress,
+                toAddress
+            }, { log, title: scenario.name });
+        } catch (caught) {
+            error = caught;
+            log(`\n❌ Failed to test scenario: ${scenario.name}`);
+            log(`Error: ${error.message}`);
+        }
+
+        const checks = evaluateExpectations(scenario, { quote, error });
+        const ok = checks.every(check => check.ok);
+        if (!ok) {
+            emitEvent(log, 'error', {
+                ...(error ? errorFields(error) : { message: 'Expectations not met' }),
+                stage: 'scenario',
+                scenario: scenario.name,
+                failedChecks: checks.filter(check => !check.ok).map(check => check.name)
+            });
+        }
+
+        log(`\nExpectations for ${scenario.name}:`);
+        checks.forEach(check => log(`${check.ok ? '✅' : '❌'} ${check.name}: ${check.detail}`));
+
+        results.push({ name: scenario.name, ok, checks, quote, error });
+
+        if (index < scenarios.length - 1) {
+            await sleep(delay);
+        }
+    }
+
+    return results;
+}
+
+// Log a pass/fail line per scenario and the overall count
+export function logScenarioSummary(results, { log = console.log } = {}) {
+    const passed = results.filter(result => result.ok).length;
+
+    log('\n=== Scenario Summary ===');
+    results.forEach(result => {
+        log(`${result.ok ? '✅ PASS' : '❌ FAIL'} ${result.name}`);
+        result.checks
+            .filter(check => !check.ok)
+            .forEach(check => log(`   - ${check.name}: ${check.detail}`));
+    });
+    log(`\n${passed}/${results.length} scenarios passed`);
+
+    return passed === results.length;
+}
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { evaluateExpectations, loadScenarioFile, logScenarioSummary, runScenarios } from './scenarios.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-test-'));
+process.env.CHAIN_CACHE_FILE = path.join(dir, 'chains.json');
+process.env.TOKEN_CACHE_FILE = path.join(dir, 'tokens.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const WSOL = { address: 'So11111111111111111111111111111111111111112', symbol: 'wSOL', decimals: 9, priceUSD: '160', chainId: SOLANA_CHAIN_ID };
+const USDT = { address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', decimals: 6, priceUSD: '1', chainId: SOLANA_CHAIN_ID };
+const WALLET = '7WduLbRfYhTJktjLw5FDEyrqoEv61aTTCuGAetgLjzN5';
+
+// A 0.01 SOL → USDT quote by a tool at a rate, with fees in USD
+function quote({ tool = 'jupiter', rate = 160, feesUSD = 0.01, includedSteps = [] } = {}) {
+    return {
+        id: 'quote',
+        tool,
+        toolDetails: { name: tool },
+        includedSteps,
+        action: { fromChainId: SOLANA_CHAIN_ID, toChainId: SOLANA_CHAIN_ID, slippage: 0.005, fromAmount: '10000000', fromToken: WSOL, toToken: USDT },
+        estimate: { toAmount: String(rate * 10000), toAmountMin: '0', gasCosts: [], feeCosts: [{ amountUSD: String(feesUSD), amount: '1', token: USDT }] },
+        transactionRequest: { data: 'AQID' }
+    };
+}
+
+test('the bundled scenario files load', () => {
+    const yaml = loadScenarioFile(new URL('../scenarios/default.yaml', import.meta.url).pathname);
+    assert.ok(yaml.length > 0);
+    // Defaults fill in what a scenario leaves out
+    assert.ok(yaml.every(scenario => scenario.fromChain === 'sol'));
+    assert.equal(yaml.find(scenario => scenario.name === 'Farcion to ETH').toChain, 'eth');
+
+    const json = loadScenarioFile(new URL('../scenarios/sol-usdt.json', import.meta.url).pathname);
+    assert.deepEqual(json.map(scenario => scenario.expect.errorCode), [undefined, 1003]);
+});
+
+test('scenario files without scenarios or with incomplete ones are refused', () => {
+    const empty = path.join(dir, 'empty.json');
+    fs.writeFileSync(empty, '{"scenarios": []}');
+    assert.throws(() => loadScenarioFile(empty), /has no scenarios/);
+
+    const incomplete = path.join(dir, 'incomplete.yaml');
+    fs.writeFileSync(incomplete, '- name: ok\n  fromToken: SOL\n  toToken: USDT\n  amount: 1\n- name: broken\n  fromToken: SOL\n');
+    assert.throws(() => loadScenarioFile(incomplete), /scenario #2 is missing toToken, amount/);
+});
+
+test('expectations compare the quote with the reference rate, fee cap and tool lists', () => {
+    const strict = { expect: { maxRateDeviation: 1, maxFeesUSD: 0.05, allowedTools: ['jupiter'], forbiddenTools: ['sketchy'] } };
+    const result = checks => Object.fromEntries(checks.map(check => [check.name, check.ok]));
+
+    assert.deepEqual(result(evaluateExpectations(strict, { quote: quote() })),
+        { Route: true, Rate: true, Fees: true, 'Allowed tools': true, 'Forbidden tools': true });
+    assert.deepEqual(result(evaluateExpectations(strict, { quote: quote({ rate: 150, feesUSD: 0.2, includedSteps: [{ tool: 'sketchy' }] }) })),
+        { Route: true, Rate: false, Fees: false, 'Allowed tools': false, 'Forbidden tools': false });
+
+    const [rate] = evaluateExpectations({ expect: { maxRateDeviation: 5, referencePrice: 150 } }, { quote: quote() }).slice(1);
+    assert.equal(rate.detail, '1 wSOL = 160 USDT, 6.67% from reference 150 (max 5%)');
+});
+
+test('expected failures pass only with the expected outcome', () => {
+    const noRoute = new Error('No available quotes for the requested transfer');
+    noRoute.code = 1002;
+
+    assert.deepEqual(evaluateExpectations({ expect: { route: false } }, { error: noRoute }).map(check => check.ok), [true]);
+    assert.deepEqual(evaluateExpectations({ expect: { route: false } }, { quote: quote() }).map(check => check.detail), ['found via jupiter (expected none)']);
+    assert.equal(evaluateExpectations({ expect: { errorCode: 1002 } }, { error: noRoute })[0].ok, true);
+    assert.equal(evaluateExpectations({ expect: { errorCode: 1003 } }, { error: noRoute })[0].detail, 'got 1002 (expected 1003)');
+    assert.equal(evaluateExpectations({ expect: { errorCode: 1003 } }, { quote: quote() })[0].detail, 'quote succeeded (expected error 1003)');
+});
+
+test('runScenarios quotes each scenario and records failures without stopping', async () => {
+    const queries = [];
+    const lifi = {
+        getChains: async () => ({ chains: [{ id: SOLANA_CHAIN_ID, key: 'sol', name: 'Solana', chainType: 'SVM' }] }),
+        getToken: async ({ token }) => [WSOL, USDT].find(entry => entry.address === token),
+        getQuote: async query => {
+            queries.push(query);
+            if (query.fromAmount === '1000000000') {
+                throw Object.assign(new Error('No available quotes for the requested transfer'), { status: 404, code: 1002 });
+            }
+            return quote();
+        }
+    };
+    const events = [];
+    const lines = [];
+    const log = Object.assign(line => lines.push(line), { event: (type, data) => events.push({ type, ...data }) });
+    const base = { fromChain: 'sol', toChain: 'sol', fromToken: WSOL.address, toToken: USDT.address };
+
+    const results = await runScenarios(lifi, [
+        { ...base, name: 'small', amount: '0.01', expect: { maxFeesUSD: 0.05 } },
+        { ...base, name: 'large', amount: '1' },
+        { ...base, name: 'bad recipient', amount: '0.01', toAddress: '0xnot-solana', expect: { errorCode: 'INVALID_ADDRESS' } }
+    ], { log, defaultAddress: WALLET, delay: 0 });
+
+    assert.deepEqual(results.map(result => [result.name, result.ok]), [['small', true], ['large', false], ['bad recipient', true]]);
+    assert.equal(queries.length, 2);
+    assert.equal(queries[0].fromAddress, WALLET);
+    assert.equal(queries[0].fromAmount, '10000000');
+    assert.deepEqual(events.filter(event => event.type === 'error').map(event => [event.scenario, event.failedChecks]), [['large', ['Route']]]);
+
+    lines.length = 0;
+    assert.equal(logScenarioSummary(results, { log }), false);
+    assert.deepEqual(lines.slice(-5), [
+        '✅ PASS small',
+        '❌ FAIL large',
+        '   - Route: none: No available quotes for the requested transfer',
+        '✅ PASS bad recipient',
+        '\n2/3 scenarios passed'
+    ]);
+});
@@ -0,0 +1,109 @@
+import { PublicKey, SystemProgram } from '@solana/web3.js';
+import { AccountLayout, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { buildSignedTransaction } from './solana-transaction.js';
+import { formatAmount } from './format.js';
+import { emitEvent } from './logger.js';
+
+// Work out which accounts of the wallet the swap should touch: its SOL balance and the token accounts of both mints
+async function getWatchedAccounts(connection, owner, quote) {
+    const accounts = [{ address: owner, symbol: 'SOL', decimals: 9 }];
+
+    for (const token of [quote.action.fromToken, quote.action.toToken]) {
+        if (Number(token.chainId) !== SOLANA_CHAIN_ID) continue;
+
+        let mint;
+        try {
+            mint = new PublicKey(token.address);
+        } catch {
+            continue;
+        }
+        if (mint.equals(SystemProgram.programId)) continue;
+
+        // The mint's owner tells whether this is a Token or Token-2022 mint
+        const mintInfo = await connection.getAccountInfo(mint);
+        if (!mintInfo) continue;
+
+        const address = getAssociatedTokenAddressSync(mint, owner, true, mintInfo.owner);
+        if (accounts.some(account => account.address.equals(address))) continue;
+        accounts.push({ address, mint, symbol: token.symbol, decimals: token.decimals });
+    }
+
+    return accounts;
+}
+
+// Read the balance held by an account: lamports for the wallet, token amount for token accounts
+function readBalance(account, { lamports, data }) {
+    if (!account.mint) {
+        return BigInt(lamports);
+    }
+    return data.length >= AccountLayout.span ? AccountLayout.decode(data).amount : 0n;
+}
+
+// Sign the quote's transaction and simulate it without broadcasting
+export async function simulateSwap(connection, wallet, quote, { log = console.log } = {}) {
+    log('\n=== Simulating Swap Transaction ===');
+
+    const transaction = await buildSignedTransaction(connection, quote, wallet);
+
+    const accounts = await getWatchedAccounts(connection, wallet.publicKey, quote);
+    const preAccounts = await connection.getMultipleAccountsInfo(accounts.map(account => account.address));
+
+    // Quotes can outlive their blockhash, so let the node swap in a fresh one; that skips signature checks
+    const { value } = await connection.simulateTransaction(transaction, {
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        commitment: 'confirmed',
+        accounts: {
+            encoding: 'base64',
+            addresses: accounts.map(account => account.address.toBase58())
+        }
+    });
+
+    const balanceChanges = accounts.map((account, index) => {
+        const pre = preAccounts[index] ? readBalance(account, preAccounts[index]) : 0n;
+        const postAccount = value.accounts?.[index];
+        const post = postAccount
+            ? readBalance(account, { lamports: postAccount.lamports, data: Buffer.from(postAccount.data[0], 'base64') })
+            : 0n;
+
+        return {
+            address: account.address.toBase58(),
+            mint: account.mint?.toBase58(),
+            symbol: account.symbol,
+            decimals: account.decimals,
+            pre: pre.toString(),
+            post: post.toString(),
+            delta: (post - pre).toString()
+        };
+    });
+
+    const simulation = {
+        err: value.err,
+        unitsConsumed: value.unitsConsumed,
+        logs: value.logs || [],
+        balanceChanges
+    };
+
+    log(value.err ? `❌ Simulation failed: ${JSON.stringify(value.err)}` : '✅ Simulation succeeded');
+    log(`Compute units consumed: ${value.unitsConsumed ?? 'unknown'}`);
+
+    log(`\nBalance changes for ${wallet.publicKey.toString()}:`);
+    balanceChanges.forEach(change => {
+        const sign = BigInt(change.delta) > 0n ? '+' : '';
+        log(`${change.symbol}: ${sign}${formatAmount(change.delta, change.decimals)} ` +
+            `(${formatAmount(change.pre, change.decimals)} → ${formatAmount(change.post, change.decimals)})`);
+    });
+
+    log(`\nProgram logs (${simulation.logs.length} lines):`);
+    simulation.logs.forEach(line => log(`  ${line}`));
+
+    emitEvent(log, 'simulation_done', {
+        ok: !value.err,
+        err: value.err,
+        unitsConsumed: value.unitsConsumed,
+        balanceChanges
+    });
+
+    return simulation;
+}
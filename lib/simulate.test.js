@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { ACCOUNT_SIZE, AccountLayout, getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { simulateSwap } from './simulate.js';
+
+const USDC = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+const wallet = Keypair.generate();
+const usdcAccount = getAssociatedTokenAddressSync(USDC, wallet.publicKey);
+
+const message = new TransactionMessage({
+    payerKey: wallet.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 })]
+}).compileToV0Message();
+
+const quote = {
+    action: {
+        fromAddress: wallet.publicKey.toBase58(),
+        fromToken: { address: SystemProgram.programId.toBase58(), symbol: 'SOL', decimals: 9, chainId: SOLANA_CHAIN_ID },
+        toToken: { address: USDC.toBase58(), symbol: 'USDC', decimals: 6, chainId: SOLANA_CHAIN_ID }
+    },
+    transactionRequest: { data: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64') }
+};
+
+// Raw data of a USDC token account of the wallet holding the amount
+function usdcAccountData(amount) {
+    const data = Buffer.alloc(ACCOUNT_SIZE);
+    AccountLayout.encode({
+        mint: USDC,
+        owner: wallet.publicKey,
+        amount,
+        delegateOption: 0,
+        delegate: PublicKey.default,
+        state: 1,
+        isNativeOption: 0,
+        isNative: 0n,
+        delegatedAmount: 0n,
+        closeAuthorityOption: 0,
+        closeAuthority: PublicKey.default
+    }, data);
+    return data;
+}
+
+// RPC stub for a wallet without a USDC account that ends up with one after the swap
+function makeConnection(result) {
+    const connection = {
+        simulated: [],
+        getAccountInfo: async address => (address.equals(USDC) ? { owner: TOKEN_PROGRAM_ID, data: Buffer.alloc(82), lamports: 1 } : null),
+        getMultipleAccountsInfo: async addresses => addresses.map(address => (address.equals(wallet.publicKey) ? { lamports: 1000000000, data: Buffer.alloc(0) } : null)),
+        simulateTransaction: async (transaction, options) => {
+            connection.simulated.push({ transaction, options });
+            return { value: result };
+        }
+    };
+    return connection;
+}
+
+test('simulateSwap reports the wallet\'s SOL and token balance changes', async () => {
+    const connection = makeConnection({
+        err: null,
+        unitsConsumed: 48211,
+        logs: ['Program 11111111111111111111111111111111 invoke [1]', 'Program 11111111111111111111111111111111 success'],
+        accounts: [
+            { lamports: 987955720, data: ['', 'base64'] },
+            { lamports: 2039280, data: [usdcAccountData(1590000n).toString('base64'), 'base64'] }
+        ]
+    });
+    const lines = [];
+
+    const simulation = await simulateSwap(connection, wallet, quote, { log: line => lines.push(line) });
+
+    const [{ transaction, options }] = connection.simulated;
+    assert.ok(transaction.signatures[0].some(byte => byte !== 0));
+    assert.equal(options.sigVerify, false);
+    assert.equal(options.replaceRecentBlockhash, true);
+    assert.deepEqual(options.accounts.addresses, [wallet.publicKey.toBase58(), usdcAccount.toBase58()]);
+
+    assert.equal(simulation.err, null);
+    assert.deepEqual(simulation.balanceChanges.map(change => [change.symbol, change.pre, change.post, change.delta]), [
+        ['SOL', '1000000000', '987955720', '-12044280'],
+        ['USDC', '0', '1590000', '1590000']
+    ]);
+    assert.ok(lines.includes('✅ Simulation succeeded'));
+    assert.ok(lines.includes('Compute units consumed: 48211'));
+    assert.ok(lines.includes('SOL: -0.012044280 (1.000000000 → 0.987955720)'));
+    assert.ok(lines.includes('USDC: +1.590000 (0.000000 → 1.590000)'));
+    assert.ok(lines.includes('\nProgram logs (2 lines):'));
+});
+
+test('simulateSwap returns a failed simulation with its error and event', async () => {
+    const connection = makeConnection({ err: { InstructionError: [0, { Custom: 1 }] }, logs: null, accounts: null });
+    const lines = [];
+    const events = [];
+    const log = Object.assign(line => lines.push(line), { event: (type, data) => events.push({ type, ...data }) });
+
+    const simulation = await simulateSwap(connection, wallet, quote, { log });
+
+    assert.deepEqual(simulation.err, { InstructionError: [0, { Custom: 1 }] });
+    assert.deepEqual(simulation.logs, []);
+    assert.ok(lines.includes('❌ Simulation failed: {"InstructionError":[0,{"Custom":1}]}'));
+    assert.ok(lines.includes('Compute units consumed: unknown'));
+    assert.deepEqual(events.map(event => [event.type, event.ok]), [['simulation_done', false]]);
+    assert.equal(events[0].balanceChanges[0].delta, '-1000000000');
+});
@@ -0,0 +1,176 @@
+import { VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { emitEvent } from './logger.js';
+import { sleep } from './format.js';
+import { COMMITMENTS } from './config.js';
+import { buildSignedTransaction, describeTransactionRequest } from './solana-transaction.js';
+
+export const BLOCKHASH_EXPIRED = 'BLOCKHASH_EXPIRED';
+
+// How often an unconfirmed transaction is checked and rebroadcast
+const REBROADCAST_INTERVAL = 2000;
+
+// Consecutive failed RPC polls tolerated before giving up on confirmation
+const MAX_POLL_ERRORS = 5;
+
+// Add connection health check
+export async function checkConnectionHealth(connection, { log = console.log } = {}) {
+    try {
+        await connection.getVersion();
+        log('✅ Solana connection is healthy');
+        return true;
+    } catch (error) {
+        log('❌ Solana connection error: ' + error.message);
+        return false;
+    }
+}
+
+// Blockhash a transaction was built with; the transaction can only land while it is valid
+export function getTransactionBlockhash(transaction) {
+    return transaction instanceof VersionedTransaction ? transaction.message.recentBlockhash : transaction.recentBlockhash;
+}
+
+// Signature of a signed transaction, known before it is sent
+function getTransactionSignature(transaction) {
+    return bs58.encode(transaction instanceof VersionedTransaction ? transaction.signatures[0] : transaction.signature);
+}
+
+// Error for a transaction whose blockhash expired before it landed; it can never be processed after that
+function blockhashExpiredError(signature, blockhash) {
+    const error = new Error(`Blockhash ${blockhash} expired before transaction ${signature} landed`);
+    error.code = BLOCKHASH_EXPIRED;
+    error.signature = signature;
+    return error;
+}
+
+// Check whether a blockhash can still be used, as seen by the most recent slot
+async function isBlockhashValid(connection, blockhash) {
+    const { value } = await connection.isBlockhashValid(blockhash, { commitment: 'processed' });
+    return value;
+}
+
+// Send a signed transaction once, with preflight checks; an expired blockhash fails with code BLOCKHASH_EXPIRED
+export async function sendTransaction(connection, transaction) {
+    const signature = getTransactionSignature(transaction);
+    const blockhash = getTransactionBlockhash(transaction);
+
+    if (!(await isBlockhashValid(connection, blockhash))) {
+        throw blockhashExpiredError(signature, blockhash);
+    }
+
+    try {
+        await connection.sendRawTransaction(transaction.serialize(), { skipPreflight: false, maxRetries: 0 });
+    } catch (error) {
+        // Preflight failures are never forwarded, so an expired blockhash here means nothing was sent
+        if (/blockhash not found/i.test(error.message) && !(await isBlockhashValid(connection, blockhash))) {
+            throw blockhashExpiredError(signature, blockhash);
+        }
+        throw error;
+    }
+    return signature;
+}
+
+// Rebroadcast a sent transaction until it reaches the commitment or its own blockhash expires
+export async function confirmTransactionByBlockhash(connection, transaction, signature, options = {}) {
+    const {
+        log = console.log,
+        commitment = connection.commitment || 'confirmed',
+        interval = REBROADCAST_INTERVAL
+    } = options;
+    const blockhash = getTransactionBlockhash(transaction);
+    const raw = transaction.serialize();
+    let broadcasts = 1;
+    let pollErrors = 0;
+
+    for (;;) {
+        await sleep(interval);
+
+        let status;
+        let blockhashValid;
+        try {
+            [status] = (await connection.getSignatureStatuses([signature])).value;
+            blockhashValid = status ? true : await isBlockhashValid(connection, blockhash);
+            if (!blockhashValid) {
+                // Once the blockhash is invalid the transaction cannot land any more, so one last look settles it
+                [status] = (await connection.getSignatureStatuses([signature], { searchTransactionHistory: true })).value;
+            }
+            pollErrors = 0;
+        } catch (error) {
+            if (++pollErrors >= MAX_POLL_ERRORS) throw error;
+            log(`⚠️ Could not check transaction status (${error.message}), retrying...`);
+            continue;
+        }
+
+        if (status) {
+            if (status.err) {
+                log('\n⚠️ Transaction failed with error:');
+                log(JSON.stringify(status.err, null, 2));
+                throw new Error(`Transaction failed: ${JSON.stringify(status.err)}`);
+            }
+            if (COMMITMENTS.indexOf(status.confirmationStatus) >= COMMITMENTS.indexOf(commitment)) {
+                return { slot: status.slot, broadcasts };
+            }
+            continue;
+        }
+        if (!blockhashValid) {
+            throw blockhashExpiredError(signature, blockhash);
+        }
+
+        try {
+            await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+            broadcasts++;
+        } catch (error) {
+            log(`⚠️ Rebroadcast failed: ${error.message}`);
+        }
+    }
+}
+
+// Execute the swap transaction with the blockhash Li.Fi built it with; expiry fails with code BLOCKHASH_EXPIRED
+export async function executeSwap(connection, wallet, quote, { log = console.log, computeBudget = null } = {}) {
+    try {
+        log('\n=== Executing Swap Transaction ===');
+
+        // Check connection health before proceeding
+        const isHealthy = await checkConnectionHealth(connection, { log });
+        if (!isHealthy) {
+            throw new Error('Solana connection is not healthy');
+        }
+
+        // Build the transaction from whatever shape the quote carries and sign it
+        log('Transaction request: ' + describeTransactionRequest(quote.transactionRequest));
+        const transaction = await buildSignedTransaction(connection, quote, wallet);
+        log('Blockhash: ' + getTransactionBlockhash(transaction));
+
+        log('\nSending transaction...');
+        const signature = await sendTransaction(connection, transaction);
+
+        log('Transaction sent: ' + signature);
+        emitEvent(log, 'tx_sent', {
+            kind: 'swap',
+            chain: 'sol',
+            txHash: signature,
+            computeUnitLimit: computeBudget?.computeUnitLimit,
+            computeUnitPrice: computeBudget?.computeUnitPrice,
+            priorityFee: computeBudget?.priorityFee
+        });
+
+        // Rebroadcast until confirmed or the blockhash expires
+        log('Waiting for transaction confirmation...');
+        const { slot, broadcasts } = await confirmTransactionByBlockhash(connection, transaction, signature, { log });
+
+        emitEvent(log, 'tx_confirmed', { kind: 'swap', chain: 'sol', txHash: signature, slot, broadcasts });
+        log('\n✅ Transaction completed successfully!');
+        log('Transaction signature: ' + signature);
+        log(`Broadcasts: ${broadcasts}`);
+        log('Solscan link: https://solscan.io/tx/' + signature);
+
+        return signature;
+    } catch (error) {
+        log('\n❌ Error executing swap: ' + error.message);
+        if (error.stack && error.code !== BLOCKHASH_EXPIRED) {
+            log('\nStack trace:');
+            log(error.stack);
+        }
+        throw error;
+    }
+}
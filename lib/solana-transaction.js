@@ -0,0 +1,152 @@
+import { PublicKey, SystemProgram, TransactionInstruction, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { NATIVE_MINT } from '@solana/spl-token';
+import { isEvmTransactionRequest } from './evm.js';
+
+export const UNSUPPORTED_TRANSACTION = 'UNSUPPORTED_TRANSACTION';
+
+// Check whether a Li.Fi token address means native SOL: the System Program address, or the wrapped mint that stands for it
+export function isNativeSol(address) {
+    return address === SystemProgram.programId.toBase58() || address === NATIVE_MINT.toBase58();
+}
+
+// Mint that holds a Li.Fi token on chain; native SOL is held as the wrapped mint
+export function toSolanaMint(address) {
+    return isNativeSol(address) ? NATIVE_MINT.toBase58() : address;
+}
+
+// Error for a transaction request this builder cannot turn into a Solana transaction
+function unsupportedTransactionError(message) {
+    const error = new Error(message);
+    error.code = UNSUPPORTED_TRANSACTION;
+    return error;
+}
+
+// Base64 wire-format transaction of a request: Li.Fi uses data, some tools serializedTransaction
+function getSerializedTransaction(transactionRequest) {
+    const serialized = transactionRequest.data || transactionRequest.serializedTransaction;
+    return typeof serialized === 'string' && serialized.length > 0 ? serialized : undefined;
+}
+
+// Lookup table addresses sent along with an instruction list
+function getLookupTableAddresses(transactionRequest) {
+    return transactionRequest.addressLookupTableAddresses || transactionRequest.addressLookupTables || [];
+}
+
+// Tell which shape a transaction request has: serialized, instructions, evm, or undefined when unknown
+export function getTransactionFormat(transactionRequest) {
+    if (!transactionRequest) return undefined;
+    if (isEvmTransactionRequest(transactionRequest)) return 'evm';
+    if (getSerializedTransaction(transactionRequest)) return 'serialized';
+    if (Array.isArray(transactionRequest.instructions) && transactionRequest.instructions.length > 0) return 'instructions';
+    return undefined;
+}
+
+// Describe a transaction request for logs, e.g. "serialized versioned transaction (v0)" or "4 instructions, 2 lookup tables"
+export function describeTransactionRequest(transactionRequest) {
+    const format = getTransactionFormat(transactionRequest);
+    if (format === 'serialized') {
+        try {
+            const { version } = deserializeTransaction(getSerializedTransaction(transactionRequest)).message;
+            return version === 'legacy' ? 'serialized legacy transaction' : `serialized versioned transaction (v${version})`;
+        } catch (error) {
+            return error.message;
+        }
+    }
+    if (format === 'instructions') {
+        const tables = getLookupTableAddresses(transactionRequest).length;
+        return `${transactionRequest.instructions.length} instructions` + (tables > 0 ? `, ${tables} lookup tables` : '');
+    }
+    if (format === 'evm') return 'EVM transaction';
+    return 'none';
+}
+
+// Deserialize a base64 transaction; legacy and versioned wire formats both come back as a VersionedTransaction
+export function deserializeTransaction(data) {
+    try {
+        return VersionedTransaction.deserialize(Buffer.from(data, 'base64'));
+    } catch (error) {
+        throw new Error(`Invalid transaction data: ${error.message}`);
+    }
+}
+
+// Convert one instruction of a request; accounts may be called keys or accounts, data may be base64 or bytes
+function toInstruction(instruction, index) {
+    const accounts = instruction.keys || instruction.accounts;
+    if (!instruction.programId || !Array.isArray(accounts)) {
+        throw unsupportedTransactionError(`Instruction ${index} has no programId or account list`);
+    }
+
+    return new TransactionInstruction({
+        programId: new PublicKey(instruction.programId),
+        keys: accounts.map(account => ({
+            pubkey: new PublicKey(account.pubkey),
+            isSigner: Boolean(account.isSigner),
+            isWritable: Boolean(account.isWritable)
+        })),
+        data: typeof instruction.data === 'string'
+            ? Buffer.from(instruction.data, 'base64')
+            : Buffer.from(instruction.data || [])
+    });
+}
+
+// Fetch the address lookup tables an instruction list refers to
+export async function loadLookupTables(connection, addresses) {
+    return Promise.all(addresses.map(async (address) => {
+        const { value } = await connection.getAddressLookupTable(new PublicKey(address));
+        if (!value) {
+            throw new Error(`Address lookup table ${address} not found`);
+        }
+        return value;
+    }));
+}
+
+// Compile an instruction list into a v0 transaction with a fresh blockhash and the given fee payer
+async function compileInstructions(connection, transactionRequest, payer) {
+    if (!payer) {
+        throw unsupportedTransactionError('Cannot build a transaction from instructions without a fee payer');
+    }
+
+    const instructions = transactionRequest.instructions.map(toInstruction);
+    const lookupTables = await loadLookupTables(connection, getLookupTableAddresses(transactionRequest));
+    const { blockhash } = await connection.getLatestBlockhash();
+
+    const message = new TransactionMessage({
+        payerKey: new PublicKey(transactionRequest.feePayer || payer),
+        recentBlockhash: blockhash,
+        instructions
+    }).compileToV0Message(lookupTables);
+    return new VersionedTransaction(message);
+}
+
+// Build the unsigned Solana transaction of a quote from any shape Li.Fi returns; the fee payer defaults to the quote's sender
+export async function buildQuoteTransaction(connection, quote, { payer = quote.action?.fromAddress } = {}) {
+    const { transactionRequest } = quote;
+    const format = getTransactionFormat(transactionRequest);
+
+    if (format === 'serialized') {
+        return deserializeTransaction(getSerializedTransaction(transactionRequest));
+    }
+    if (format === 'instructions') {
+        return compileInstructions(connection, transactionRequest, payer);
+    }
+    if (format === 'evm') {
+        throw unsupportedTransactionError('Quote carries an EVM transaction request, which needs an EVM signer');
+    }
+
+    const fields = transactionRequest ? Object.keys(transactionRequest).join(', ') || 'none' : 'none';
+    throw unsupportedTransactionError('Unsupported transaction request: expected base64 data or serializedTransaction, ' +
+        `or an instructions list (fields received: ${fields})`);
+}
+
+// Build the Solana transaction of a quote and sign it with the wallet, which also pays the fee
+export async function buildSignedTransaction(connection, quote, wallet) {
+    const transaction = await buildQuoteTransaction(connection, quote, { payer: wallet.publicKey });
+    transaction.sign([wallet]);
+    return transaction;
+}
+
+// Replace a quote's transaction request with a serialized transaction, e.g. after changing its instructions
+export function withSerializedTransaction(quote, transaction) {
+    const data = Buffer.from(transaction.serialize()).toString('base64');
+    return { ...quote, transactionRequest: { data } };
+}
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AddressLookupTableAccount,
+    Keypair,
+    SystemProgram,
+    Transaction,
+    TransactionMessage,
+    VersionedTransaction
+} from '@solana/web3.js';
+import {
+    buildQuoteTransaction,
+    buildSignedTransaction,
+    describeTransactionRequest,
+    getTransactionFormat,
+    UNSUPPORTED_TRANSACTION
+} from './solana-transaction.js';
+
+const wallet = Keypair.generate();
+const recipient = Keypair.generate().publicKey;
+const blockhash = Keypair.generate().publicKey.toBase58();
+const transfer = SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: recipient, lamports: 1000 });
+
+const legacyData = new Transaction({ feePayer: wallet.publicKey, recentBlockhash: blockhash })
+    .add(transfer)
+    .serialize({ requireAllSignatures: false })
+    .toString('base64');
+const versionedData = Buffer.from(new VersionedTransaction(new TransactionMessage({
+    payerKey: wallet.publicKey,
+    recentBlockhash: blockhash,
+    instructions: [transfer]
+}).compileToV0Message()).serialize()).toString('base64');
+
+// The transfer as an instruction list, the way some tools return it
+const instructionRequest = {
+    instructions: [{
+        programId: SystemProgram.programId.toBase58(),
+        accounts: transfer.keys.map(key => ({ ...key, pubkey: key.pubkey.toBase58() })),
+        data: transfer.data.toString('base64')
+    }]
+};
+
+test('transaction requests are told apart by shape', () => {
+    const cases = [
+        [{ data: legacyData }, 'serialized', 'serialized legacy transaction'],
+        [{ serializedTransaction: versionedData }, 'serialized', 'serialized versioned transaction (v0)'],
+        [instructionRequest, 'instructions', '1 instructions'],
+        [{ ...instructionRequest, addressLookupTableAddresses: ['a', 'b'] }, 'instructions', '1 instructions, 2 lookup tables'],
+        [{ to: '0x1111111111111111111111111111111111111111', data: '0xabcdef' }, 'evm', 'EVM transaction'],
+        [{ instructions: [] }, undefined, 'none'],
+        [undefined, undefined, 'none']
+    ];
+    cases.forEach(([request, format, description]) => {
+        assert.equal(getTransactionFormat(request), format);
+        assert.equal(describeTransactionRequest(request), description);
+    });
+    assert.match(describeTransactionRequest({ data: 'bm90IGEgdHJhbnNhY3Rpb24=' }), /^Invalid transaction data/);
+});
+
+test('legacy and versioned serialized transactions both come back as a VersionedTransaction', async () => {
+    const legacy = await buildQuoteTransaction(null, { transactionRequest: { data: legacyData } });
+    const versioned = await buildQuoteTransaction(null, { transactionRequest: { data: versionedData } });
+
+    assert.ok(legacy instanceof VersionedTransaction);
+    assert.equal(legacy.message.version, 'legacy');
+    assert.equal(versioned.message.version, 0);
+    [legacy, versioned].forEach(transaction => {
+        assert.equal(transaction.message.recentBlockhash, blockhash);
+        assert.ok(transaction.message.staticAccountKeys[0].equals(wallet.publicKey));
+    });
+});
+
+test('an instruction list is compiled with a fresh blockhash, its lookup tables and the fee payer', async () => {
+    const table = new AddressLookupTableAccount({
+        key: Keypair.generate().publicKey,
+        state: { deactivationSlot: BigInt('18446744073709551615'), lastExtendedSlot: 0, lastExtendedSlotStartIndex: 0, addresses: [recipient] }
+    });
+    const fresh = Keypair.generate().publicKey.toBase58();
+    const requested = [];
+    const connection = {
+        getLatestBlockhash: async () => ({ blockhash: fresh, lastValidBlockHeight: 100 }),
+        getAddressLookupTable: async key => {
+            requested.push(key.toBase58());
+            return { value: key.equals(table.key) ? table : null };
+        }
+    };
+    const quote = {
+        action: { fromAddress: wallet.publicKey.toBase58() },
+        transactionRequest: { ...instructionRequest, addressLookupTableAddresses: [table.key.toBase58()] }
+    };
+
+    const transaction = await buildQuoteTransaction(connection, quote);
+    assert.equal(transaction.message.version, 0);
+    assert.equal(transaction.message.recentBlockhash, fresh);
+    assert.ok(transaction.message.staticAccountKeys[0].equals(wallet.publicKey));
+    assert.deepEqual(requested, [table.key.toBase58()]);
+    // The recipient is loaded through the table instead of the static keys
+    assert.equal(transaction.message.addressTableLookups.length, 1);
+    assert.ok(!transaction.message.staticAccountKeys.some(key => key.equals(recipient)));
+
+    const missing = { ...quote, transactionRequest: { ...instructionRequest, addressLookupTables: [recipient.toBase58()] } };
+    await assert.rejects(buildQuoteTransaction(connection, missing), new RegExp(`Address lookup table ${recipient.toBase58()} not found`));
+});
+
+test('requests that cannot become a Solana transaction are refused as UNSUPPORTED_TRANSACTION', async () => {
+    const unsupported = error => error.code === UNSUPPORTED_TRANSACTION;
+    await assert.rejects(buildQuoteTransaction(null, { transactionRequest: { to: '0x11', data: '0x' } }), unsupported);
+    await assert.rejects(buildQuoteTransaction(null, { transactionRequest: instructionRequest }), /without a fee payer/);
+    await assert.rejects(buildQuoteTransaction(null, { transactionRequest: { gasLimit: '1' } }), error => {
+        return unsupported(error) && /fields received: gasLimit/.test(error.message);
+    });
+    await assert.rejects(
+        buildQuoteTransaction(null, { action: { fromAddress: wallet.publicKey.toBase58() }, transactionRequest: { instructions: [{ data: '' }] } }),
+        /Instruction 0 has no programId or account list/
+    );
+});
+
+test('buildSignedTransaction signs as the wallet', async () => {
+    const transaction = await buildSignedTransaction(null, { transactionRequest: { data: versionedData } }, wallet);
+    assert.ok(transaction.signatures[0].some(byte => byte !== 0));
+    assert.doesNotThrow(() => transaction.serialize());
+});
@@ -0,0 +1,110 @@
+import { emitEvent } from './logger.js';
+import { sleep } from './format.js';
+
+export const FINAL_STATUSES = ['DONE', 'FAILED', 'INVALID'];
+
+export const SUBSTATUS_DESCRIPTIONS = {
+    WAIT_SOURCE_CONFIRMATIONS: 'Waiting for confirmations on the source chain',
+    WAIT_DESTINATION_TRANSACTION: 'Waiting for the bridge to send the destination transaction',
+    BRIDGE_NOT_AVAILABLE: 'Bridge API is temporarily unavailable',
+    CHAIN_NOT_AVAILABLE: 'RPC for the source or destination chain is unavailable',
+    REFUND_IN_PROGRESS: 'Refund has been requested and is being processed',
+    UNKNOWN_ERROR: 'Status cannot be determined right now',
+    COMPLETED: 'Transfer completed and the requested tokens were received',
+    PARTIAL: 'Transfer completed but a different token than requested was received',
+    REFUNDED: 'Transfer was not completed and the tokens were refunded',
+    NOT_PROCESSABLE_REFUND_NEEDED: 'Transfer cannot be completed and needs a refund',
+    OUT_OF_GAS: 'Transaction ran out of gas',
+    SLIPPAGE_EXCEEDED: 'Received amount was below the minimum allowed',
+    INSUFFICIENT_ALLOWANCE: 'Token allowance was too low',
+    INSUFFICIENT_BALANCE: 'Token balance was too low',
+    EXPIRED: 'Transfer expired before it was executed'
+};
+
+// Poll /status until a cross-chain transfer settles, backing off between requests
+export async function trackTransfer(lifi, { bridge, fromChain, toChain, txHash }, options = {}) {
+    const {
+        log = console.log,
+        initialDelay = 5000,
+        maxDelay = 60000,
+        factor = 2,
+        timeout = 30 * 60 * 1000
+    } = options;
+
+    const startedAt = Date.now();
+    let delay = initialDelay;
+    let lastState;
+    let receivingTxHash;
+    let result;
+
+    log(`\n=== Tracking Transfer: ${txHash} ===`);
+
+    while (true) {
+        try {
+            result = await lifi.getStatus({ bridge, fromChain, toChain, txHash });
+        } catch (error) {
+            // Freshly sent transactions are not indexed yet and come back as 404
+            if (error.status === 404) {
+                result = { status: 'NOT_FOUND' };
+            } else if (error.status === 429 || error.status >= 500 || !error.status) {
+                log(`⚠️ Status check failed, retrying: ${error.message.split('\n')[0]}`);
+                result = result || { status: 'UNKNOWN' };
+            } else {
+                throw error;
+            }
+        }
+
+        const state = result.substatus ? `${result.status} (${result.substatus})` : result.status;
+        if (state !== lastState) {
+            const elapsed = Math.round((Date.now() - startedAt) / 1000);
+            log(`[${elapsed}s] Transfer status: ${state}`);
+            if (result.substatus && SUBSTATUS_DESCRIPTIONS[result.substatus]) {
+                log(`  ${SUBSTATUS_DESCRIPTIONS[result.substatus]}`);
+            }
+            if (result.substatusMessage) {
+                log(`  ${result.substatusMessage}`);
+            }
+            lastState = state;
+        }
+
+        if (result.receiving?.txHash && result.receiving.txHash !== receivingTxHash) {
+            receivingTxHash = result.receiving.txHash;
+            log(`Receiving transaction: ${receivingTxHash}`);
+            if (result.receiving.txLink) {
+                log(`Receiving explorer link: ${result.receiving.txLink}`);
+            }
+        }
+
+        if (FINAL_STATUSES.includes(result.status)) {
+            if (result.status === 'DONE' && result.substatus === 'PARTIAL') {
+                log('⚠️ Transfer finished with a different token than requested');
+            } else if (result.status === 'DONE' && result.substatus === 'REFUNDED') {
+                log('⚠️ Transfer was refunded on the source chain');
+            } else if (result.status === 'DONE') {
+                log('✅ Transfer completed');
+            } else {
+                log(`❌ Transfer ended with status ${result.status}`);
+            }
+            if (result.status === 'DONE') {
+                emitEvent(log, 'tx_confirmed', {
+                    kind: 'bridge',
+                    chain: toChain,
+                    txHash: receivingTxHash,
+                    sendingTxHash: txHash,
+                    bridge,
+                    substatus: result.substatus
+                });
+            }
+            return { ...result, receivingTxHash };
+        }
+
+        if (Date.now() - startedAt + delay > timeout) {
+            const error = new Error(`Timed out after ${Math.round(timeout / 1000)}s waiting for transfer ${txHash} (last status: ${state})`);
+            error.lastStatus = result;
+            throw error;
+        }
+
+        await sleep(delay);
+        delay = Math.min(delay * factor, maxDelay);
+    }
+}
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { trackTransfer } from './status-tracker.js';
+
+const TRANSFER = { bridge: 'mayan', fromChain: 'sol', toChain: 'eth', txHash: 'sendingTx' };
+
+// A Li.Fi stub answering /status from a script of results and errors, one per poll
+function scriptedLifi(script) {
+    const queries = [];
+    return {
+        queries,
+        getStatus: async query => {
+            queries.push(query);
+            const next = script[Math.min(queries.length, script.length) - 1];
+            if (next instanceof Error) throw next;
+            return next;
+        }
+    };
+}
+
+// An HTTP error as the Li.Fi client raises it
+function httpError(status) {
+    const error = new Error(`HTTP error! status: ${status}\nDetails: {}`);
+    error.status = status;
+    return error;
+}
+
+const fast = { initialDelay: 1, maxDelay: 4, factor: 2 };
+
+test('trackTransfer polls through pending substatuses until the transfer is done', async () => {
+    const lines = [];
+    const lifi = scriptedLifi([
+        httpError(404),
+        { status: 'PENDING', substatus: 'WAIT_SOURCE_CONFIRMATIONS' },
+        { status: 'PENDING', substatus: 'WAIT_SOURCE_CONFIRMATIONS' },
+        { status: 'PENDING', substatus: 'WAIT_DESTINATION_TRANSACTION', receiving: { txHash: '0xreceiving', txLink: 'https://etherscan.io/tx/0xreceiving' } },
+        { status: 'DONE', substatus: 'COMPLETED', receiving: { txHash: '0xreceiving' } }
+    ]);
+
+    const result = await trackTransfer(lifi, TRANSFER, { ...fast, log: line => lines.push(line) });
+
+    assert.equal(result.status, 'DONE');
+    assert.equal(result.receivingTxHash, '0xreceiving');
+    assert.equal(lifi.queries.length, 5);
+    assert.deepEqual(lifi.queries[0], TRANSFER);
+
+    const states = lines.filter(line => line.includes('Transfer status:')).map(line => line.replace(/^\[\d+s\] /, ''));
+    assert.deepEqual(states, [
+        'Transfer status: NOT_FOUND',
+        'Transfer status: PENDING (WAIT_SOURCE_CONFIRMATIONS)',
+        'Transfer status: PENDING (WAIT_DESTINATION_TRANSACTION)',
+        'Transfer status: DONE (COMPLETED)'
+    ]);
+    assert.equal(lines.filter(line => line === 'Receiving transaction: 0xreceiving').length, 1);
+    assert.ok(lines.includes('  Waiting for the bridge to send the destination transaction'));
+    assert.ok(lines.includes('✅ Transfer completed'));
+});
+
+test('trackTransfer retries rate limits and server errors but not client errors', async () => {
+    const lines = [];
+    const lifi = scriptedLifi([httpError(429), httpError(503), new Error('socket hang up'), { status: 'FAILED' }]);
+    const result = await trackTransfer(lifi, TRANSFER, { ...fast, log: line => lines.push(line) });
+    assert.equal(result.status, 'FAILED');
+    assert.equal(lines.filter(line => line.startsWith('⚠️ Status check failed, retrying')).length, 3);
+    assert.ok(lines.includes('❌ Transfer ended with status FAILED'));
+
+    await assert.rejects(trackTransfer(scriptedLifi([httpError(400)]), TRANSFER, { ...fast, log: () => {} }), /status: 400/);
+});
+
+test('trackTransfer flags partial and refunded transfers', async () => {
+    const partial = [];
+    await trackTransfer(scriptedLifi([{ status: 'DONE', substatus: 'PARTIAL' }]), TRANSFER, { ...fast, log: line => partial.push(line) });
+    assert.ok(partial.includes('⚠️ Transfer finished with a different token than requested'));
+
+    const refunded = [];
+    await trackTransfer(scriptedLifi([{ status: 'DONE', substatus: 'REFUNDED' }]), TRANSFER, { ...fast, log: line => refunded.push(line) });
+    assert.ok(refunded.includes('⚠️ Transfer was refunded on the source chain'));
+});
+
+test('trackTransfer gives up after the timeout with the last status attached', async () => {
+    const lifi = scriptedLifi([{ status: 'PENDING', substatus: 'BRIDGE_NOT_AVAILABLE' }]);
+    await assert.rejects(
+        trackTransfer(lifi, TRANSFER, { initialDelay: 20, maxDelay: 20, timeout: 50, log: () => {} }),
+        error => {
+            assert.match(error.message, /Timed out after 0s waiting for transfer sendingTx \(last status: PENDING \(BRIDGE_NOT_AVAILABLE\)\)/);
+            assert.equal(error.lastStatus.substatus, 'BRIDGE_NOT_AVAILABLE');
+            return true;
+        }
+    );
+    assert.ok(lifi.queries.length >= 2);
+});
@@ -0,0 +1,220 @@
+import { checkConnection, requestQuote, logQuoteDetails } from './quote.js';
+import { compareRoutes, formatRouteComparison, prepareRouteForExecution } from './routes.js';
+import { executeSwap, BLOCKHASH_EXPIRED } from './solana-swap.js';
+import { simulateSwap } from './simulate.js';
+import { setQuoteComputeBudget } from './compute-budget.js';
+import { assertTransactionInspection, summarizeInspection } from './inspect.js';
+import { assertBalances } from './balances.js';
+import { assertGuardrails } from './guardrails.js';
+import { executeEvmSwap, isEvmTransactionRequest } from './evm.js';
+import { trackTransfer } from './status-tracker.js';
+import { analyzeTransaction } from './analyze.js';
+import { reconcileSwap } from './reconcile.js';
+import { formatAmount, formatUSD } from './format.js';
+import { emitEvent, errorFields, quoteFields } from './logger.js';
+
+// Quotes to try when Solana transactions keep expiring before they land
+export const DEFAULT_MAX_QUOTE_ATTEMPTS = 3;
+
+// Build the confirmation prompt shown before a swap is signed
+export function buildConfirmationMessage(params, quote, simulation = null, computeBudget = null, inspection = null) {
+    const fromAmount = formatAmount(quote.action.fromAmount, quote.action.fromToken.decimals);
+    const toAmount = formatAmount(quote.estimate.toAmount, quote.action.toToken.decimals);
+    const feesUSD = (quote.estimate.feeCosts || []).reduce((sum, cost) => sum + Number(cost.amountUSD || 0), 0);
+
+    return `\n⚠️  WARNING: You are about to perform a cross-chain swap:\n` +
+        `From: ${fromAmount} ${quote.action.fromToken.symbol} (${params.fromChain})\n` +
+        `To: ${toAmount} ${quote.action.toToken.symbol} (${params.toChain})\n` +
+        `Target Address: ${params.toAddress}\n` +
+        `DEX: ${quote.toolDetails.name}\n` +
+        `Slippage: ${(quote.action.slippage * 100).toFixed(2)}%\n` +
+        `Estimated Fees: ${formatUSD(feesUSD)}\n` +
+        (computeBudget ? `Priority Fee: ${formatAmount(computeBudget.priorityFee, 9)} SOL ` +
+            `(${computeBudget.computeUnitPrice} micro-lamports × ${computeBudget.computeUnitLimit} compute units)\n` : '') +
+        (simulation ? `Simulation: ✅ passed (${simulation.unitsConsumed} compute units)\n` : '') +
+        (inspection ? `${summarizeInspection(inspection)}\n` : '') +
+        `\nDo you want to proceed? (yes/no): `;
+}
+
+// Compare all routes and swap the quote for the one picked, if any
+export async function chooseRoute({ lifi, log = console.log }, params, quote, pickRoute) {
+    log('\n=== Comparing Li.Fi Routes ===');
+    const comparison = await compareRoutes(lifi, { ...params, slippage: quote.action.slippage });
+    formatRouteComparison(comparison).forEach(line => log(line));
+
+    if (comparison.summaries.length === 0) {
+        log('Keeping the recommended quote');
+        return quote;
+    }
+
+    const routeNumber = await pickRoute(comparison);
+    if (!routeNumber) {
+        return quote;
+    }
+
+    const selected = comparison.summaries[Number(routeNumber) - 1];
+    if (!selected) {
+        throw new Error(`Invalid route number: ${routeNumber}`);
+    }
+
+    log(`\nPreparing route #${routeNumber} (${selected.tools.join(' → ')})...`);
+    const step = await prepareRouteForExecution(lifi, selected.route);
+    emitEvent(log, 'quote_received', { ...quoteFields(step), routeNumber: Number(routeNumber) });
+    logQuoteDetails(step, { log });
+    return step;
+}
+
+// Select a route by number from the first comparison; re-quotes compare again and may list routes in another order,
+// so they select the route with the same tools, or keep the recommended quote when it is no longer offered
+export function createRouteSelector(context, params, routeNumber) {
+    const { log = console.log } = context;
+    let tools;
+    return quote => chooseRoute(context, params, quote, comparison => {
+        if (!tools) {
+            tools = comparison.summaries[Number(routeNumber) - 1]?.tools;
+            return routeNumber;
+        }
+
+        const index = comparison.summaries.findIndex(summary => summary.tools.join(' → ') === tools.join(' → '));
+        if (index === -1) {
+            log(`\n⚠️ Route ${tools.join(' → ')} is no longer offered, keeping the recommended quote`);
+            return null;
+        }
+        if (index + 1 !== Number(routeNumber)) {
+            log(`\nRoute ${tools.join(' → ')} is now #${index + 1}`);
+        }
+        return index + 1;
+    });
+}
+
+// Run the swap pipeline: connection check, quote, guardrails, compute budget, inspection, balance check, simulation, confirmation, execution, tracking, analysis and reconciliation
+export async function runSwap(context, params, options = {}) {
+    const { lifi, connection, solanaWallet, evmWallet, config, log = console.log } = context;
+    const {
+        confirm,
+        selectRoute,
+        quoteOptions = {},
+        guardrails,
+        priorityFee = {},
+        simulate = false,
+        dryRun = false,
+        maxQuoteAttempts = DEFAULT_MAX_QUOTE_ATTEMPTS
+    } = options;
+
+    log('\n=== Starting Cross-Chain Swap Process ===');
+    log('Swap Parameters:');
+    log(JSON.stringify(params, null, 2));
+
+    // Step 1: Check connection
+    const hasConnection = await checkConnection(lifi, params, { log });
+    if (!hasConnection) {
+        log('Please verify token addresses and try again');
+        throw new Error('No connection found between tokens');
+    }
+
+    // Steps 2-4 repeat when a Solana transaction expires unsent: it can no longer land, so a fresh quote is safe
+    let quote;
+    let computeBudget;
+    let inspection;
+    let balances;
+    let simulation;
+    let signature;
+    for (let attempt = 1; !signature; attempt++) {
+        // Step 2: Get quote, optionally replacing it with another route
+        quote = await requestQuote(lifi, { ...params, ...quoteOptions }, { log });
+        if (selectRoute) {
+            quote = await selectRoute(quote);
+        }
+
+        // Step 3: Refuse quotes outside the guardrails, set the priority fee, refuse unexpected transfers and unaffordable swaps, then simulate without broadcasting
+        if (guardrails) {
+            assertGuardrails(quote, guardrails, { log });
+        }
+
+        computeBudget = null;
+        inspection = null;
+        balances = null;
+        if (!isEvmTransactionRequest(quote.transactionRequest)) {
+            ({ quote, computeBudget } = await setQuoteComputeBudget(connection, quote, priorityFee, { log }));
+            inspection = await assertTransactionInspection(connection, quote, { wallet: solanaWallet?.publicKey, log });
+            balances = await assertBalances(connection, quote, { wallet: solanaWallet?.publicKey, computeBudget, log });
+        }
+
+        simulation = null;
+        if (simulate || dryRun) {
+            if (isEvmTransactionRequest(quote.transactionRequest)) {
+                log('\nSkipping simulation: only Solana transactions can be simulated');
+            } else {
+                simulation = await simulateSwap(connection, solanaWallet, quote, { log });
+                if (simulation.err) {
+                    throw new Error(`Simulation failed: ${JSON.stringify(simulation.err)}`);
+                }
+            }
+        }
+
+        if (dryRun) {
+            log('\nDry run: transaction was not sent');
+            return { cancelled: false, dryRun: true, quote, simulation, computeBudget, inspection, balances };
+        }
+
+        // Step 4: Confirm and execute
+        const confirmed = await confirm(buildConfirmationMessage(params, quote, simulation, computeBudget, inspection));
+        if (!confirmed) {
+            log('\n❌ Transaction cancelled by user');
+            return { cancelled: true, quote, simulation, computeBudget, inspection, balances };
+        }
+
+        if (isEvmTransactionRequest(quote.transactionRequest)) {
+            if (!evmWallet) {
+                throw new Error('Quote requires an EVM signer but no EVM wallet is loaded');
+            }
+            log('\n=== Executing EVM Swap Transaction ===');
+            signature = await executeEvmSwap(evmWallet, quote, { log });
+            break;
+        }
+
+        if (!solanaWallet) {
+            throw new Error('Quote requires a Solana signer but no Solana wallet is loaded');
+        }
+        try {
+            signature = await executeSwap(connection, solanaWallet, quote, { log, computeBudget });
+        } catch (error) {
+            if (error.code !== BLOCKHASH_EXPIRED || attempt >= maxQuoteAttempts) {
+                throw error;
+            }
+            emitEvent(log, 'error', { ...errorFields(error), stage: 'execution', txHash: error.signature, attempt });
+            log(`\n⚠️ Transaction expired without landing, requesting a fresh quote (attempt ${attempt + 1}/${maxQuoteAttempts})...`);
+        }
+    }
+
+    // Step 5: Follow the bridge until funds arrive on the destination chain
+    let transfer = null;
+    if (params.fromChain !== params.toChain) {
+        transfer = await trackTransfer(lifi, {
+            bridge: quote.tool,
+            fromChain: params.fromChain,
+            toChain: params.toChain,
+            txHash: signature
+        }, { log });
+
+        if (transfer.status !== 'DONE') {
+            throw new Error(`Transfer ended with status ${transfer.status}`);
+        }
+    }
+
+    // Step 6: Analyze transaction
+    let analysis = null;
+    if (isEvmTransactionRequest(quote.transactionRequest)) {
+        log('\nSkipping transaction analysis: only Solana transactions are supported');
+    } else {
+        analysis = await analyzeTransaction(signature, quote, { log, connection, config, wallet: solanaWallet.publicKey });
+    }
+
+    // Step 7: Compare what was quoted with what arrived and what it cost
+    let reconciliation = null;
+    if (analysis || transfer) {
+        reconciliation = reconcileSwap(quote, { signature, analysis, transfer }, { log });
+    }
+
+    return { cancelled: false, quote, simulation, computeBudget, inspection, balances, signature, transfer, analysis, reconciliation };
+}
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { SOLANA_CHAIN_ID } from './lifi-client.js';
+import { createRouteSelector, runSwap } from './swap-flow.js';
+
+const SOL = '11111111111111111111111111111111';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const EXPIRED_BLOCKHASH = Keypair.generate().publicKey.toBase58();
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-flow-test-'));
+process.env.CHAIN_CACHE_FILE = path.join(cacheDir, 'chains.json');
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const wallet = Keypair.generate();
+const params = {
+    fromChain: 'sol',
+    toChain: 'sol',
+    fromToken: SOL,
+    toToken: USDC,
+    fromAmount: '10000000',
+    fromAddress: wallet.publicKey.toBase58(),
+    toAddress: wallet.publicKey.toBase58()
+};
+
+// An executable 0.01 SOL → USDC step from a tool, with an unsigned transaction built on the given blockhash
+function makeStep(tool, blockhash = Keypair.generate().publicKey.toBase58()) {
+    const message = new TransactionMessage({
+        payerKey: wallet.publicKey,
+        recentBlockhash: blockhash,
+        instructions: [SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: wallet.publicKey, lamports: 1 })]
+    }).compileToV0Message();
+    return {
+        id: `${tool}-step`,
+        tool,
+        toolDetails: { name: tool },
+        action: {
+            fromChainId: SOLANA_CHAIN_ID,
+            toChainId: SOLANA_CHAIN_ID,
+            fromAddress: params.fromAddress,
+            slippage: 0.005,
+            fromAmount: params.fromAmount,
+            fromToken: { address: SOL, symbol: 'SOL', decimals: 9, priceUSD: '159' },
+            toToken: { address: USDC, symbol: 'USDC', decimals: 6, priceUSD: '1' }
+        },
+        estimate: { toAmount: '1590000', toAmountMin: '1582050', gasCosts: [], feeCosts: [] },
+        transactionRequest: { data: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64') }
+    };
+}
+
+// Li.Fi stub: each /advanced/routes call answers with the next list of tools, and the first Jupiter step expires unsent
+function makeLifi(routeOrders) {
+    const calls = { routes: 0, steps: [] };
+    const lifi = {
+        calls,
+        getConnections: async () => ({ connections: [{ fromChainId: SOLANA_CHAIN_ID, toChainId: SOLANA_CHAIN_ID }] }),
+        getChains: async () => ({ chains: [{ id: SOLANA_CHAIN_ID, key: 'sol', name: 'Solana', chainType: 'SVM' }] }),
+        getQuote: async () => makeStep('Recommended'),
+        getRoutes: async () => {
+            const tools = routeOrders[Math.min(calls.routes++, routeOrders.length - 1)];
+            return {
+                routes: tools.map(tool => ({
+                    id: `${tool}-${calls.routes}`,
+                    toToken: { symbol: 'USDC', decimals: 6 },
+                    toAmount: '1590000',
+                    toAmountMin: '1582050',
+                    toAmountUSD: '1.59',
+                    steps: [{ tool, toolDetails: { name: tool }, estimate: { gasCosts: [], feeCosts: [] } }]
+                }))
+            };
+        },
+        getStepTransaction: async step => {
+            calls.steps.push(step.tool);
+            const expired = step.tool === 'Jupiter' && !calls.steps.slice(0, -1).includes('Jupiter');
+            return makeStep(step.tool, expired ? EXPIRED_BLOCKHASH : undefined);
+        }
+    };
+    return lifi;
+}
+
+// Solana RPC stub that knows the expired blockhash, confirms whatever is sent and has nothing to analyze
+function makeConnection() {
+    const sent = [];
+    return {
+        sent,
+        commitment: 'confirmed',
+        getVersion: async () => ({ 'solana-core': 'test' }),
+        getBalance: async () => 10 * 1e9,
+        getAccountInfo: async () => null,
+        getMinimumBalanceForRentExemption: async () => 2039280,
+        isBlockhashValid: async blockhash => ({ value: blockhash !== EXPIRED_BLOCKHASH }),
+        sendRawTransaction: async raw => {
+            sent.push(VersionedTransaction.deserialize(raw));
+        },
+        getSignatureStatuses: async () => ({ value: [{ slot: 1, confirmationStatus: 'confirmed', err: null }] }),
+        getParsedTransaction: async () => null
+    };
+}
+
+test('a swap whose transaction expires unsent is quoted again and executes the same route', async () => {
+    const lifi = makeLifi([['Jupiter', 'Raydium'], ['Raydium', 'Jupiter']]);
+    const connection = makeConnection();
+    const lines = [];
+    const context = { lifi, connection, solanaWallet: wallet, config: { analyzer: { backend: 'rpc' } }, log: line => lines.push(line) };
+    let confirmations = 0;
+
+    const result = await runSwap(context, params, {
+        selectRoute: createRouteSelector(context, params, 1),
+        confirm: async () => {
+            confirmations++;
+            return true;
+        }
+    });
+
+    assert.deepEqual(lifi.calls.steps, ['Jupiter', 'Jupiter']);
+    assert.equal(result.quote.tool, 'Jupiter');
+    assert.equal(confirmations, 2);
+    assert.equal(connection.sent.length, 1);
+    assert.notEqual(connection.sent[0].message.recentBlockhash, EXPIRED_BLOCKHASH);
+    assert.ok(lines.some(line => line.includes('requesting a fresh quote (attempt 2/3)')));
+    assert.ok(lines.includes('\nRoute Jupiter is now #2'));
+});
+
+test('a re-quote keeps the recommended quote when the chosen route is no longer offered', async () => {
+    const lifi = makeLifi([['Jupiter', 'Raydium'], ['Raydium']]);
+    const connection = makeConnection();
+    const lines = [];
+    const context = { lifi, connection, solanaWallet: wallet, config: { analyzer: { backend: 'rpc' } }, log: line => lines.push(line) };
+
+    const result = await runSwap(context, params, {
+        selectRoute: createRouteSelector(context, params, 1),
+        confirm: async () => true
+    });
+
+    assert.deepEqual(lifi.calls.steps, ['Jupiter']);
+    assert.equal(result.quote.tool, 'Recommended');
+    assert.ok(lines.includes('\n⚠️ Route Jupiter is no longer offered, keeping the recommended quote'));
+});
+
+test('a swap gives up once every quote has expired', async () => {
+    const lifi = makeLifi([['Jupiter']]);
+    lifi.getStepTransaction = async step => makeStep(step.tool, EXPIRED_BLOCKHASH);
+    const context = { lifi, connection: makeConnection(), solanaWallet: wallet, config: { analyzer: { backend: 'rpc' } }, log: () => {} };
+
+    await assert.rejects(
+        runSwap(context, params, { selectRoute: createRouteSelector(context, params, 1), confirm: async () => true, maxQuoteAttempts: 2 }),
+        error => error.code === 'BLOCKHASH_EXPIRED'
+    );
+});
@@ -0,0 +1,149 @@
+import { resolveToken } from './tokens.js';
+import { quoteMetrics } from './guardrails.js';
+import { formatCsv, formatRate, formatTokenAmount, formatUSD, parseAmount, sleep, sparkline } from './format.js';
+import { emitEvent, errorFields, quoteFields } from './logger.js';
+
+const CSV_COLUMNS = [
+    'amount', 'fromAmount', 'toAmount', 'toAmountMin', 'rate', 'rateChange',
+    'priceImpact', 'feeShare', 'feesUSD', 'fromAmountUSD', 'toAmountUSD', 'tool', 'error'
+];
+
+// Percentages are rounded for display; the CSV keeps full precision
+function formatPercent(value) {
+    return value === undefined ? 'n/a' : `${value.toFixed(2)}%`;
+}
+
+// Log-spaced human amounts from min to max, rounded to three significant digits and the token's decimals
+export function logSpacedAmounts(min, max, steps, decimals) {
+    const low = Number(min);
+    const high = Number(max);
+    if (!(low > 0) || !(high >= low)) {
+        throw new Error(`Invalid amount range: ${min} to ${max}`);
+    }
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${steps}`);
+    }
+
+    const amounts = [];
+    for (let i = 0; i < steps; i++) {
+        const value = steps === 1 ? low : low * Math.pow(high / low, i / (steps - 1));
+        // Trim trailing zeros of the fraction only, so "10" stays 10 for tokens without decimals
+        const text = Number(value.toPrecision(3)).toFixed(decimals).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+        if (BigInt(parseAmount(text, decimals)) > 0n && !amounts.includes(text)) {
+            amounts.push(text);
+        }
+    }
+    return amounts;
+}
+
+// Turn a quote into one row of the sweep
+function sweepPoint(amount, quote) {
+    const { fromToken, toToken } = quote.action;
+    const metrics = quoteMetrics(quote);
+
+    return {
+        amount,
+        fromAmount: quote.action.fromAmount,
+        toAmount: quote.estimate.toAmount,
+        toAmountMin: quote.estimate.toAmountMin,
+        rate: Number(formatRate(quote.action.fromAmount, fromToken.decimals, quote.estimate.toAmount, toToken.decimals)),
+        priceImpact: metrics.priceImpact,
+        feeShare: metrics.feeShare,
+        feesUSD: metrics.costsUSD,
+        fromAmountUSD: metrics.fromUSD,
+        toAmountUSD: metrics.toUSD,
+        tool: quote.toolDetails?.name || quote.tool
+    };
+}
+
+// Quote the pair at each size from min to max, pausing between requests to avoid rate limiting
+export async function runSweep(lifi, params, { min, max, steps = 8, log = console.log, delay = 2000 } = {}) {
+    const fromToken = await resolveToken(lifi, params.fromChain, params.fromToken, { log });
+    const toToken = await resolveToken(lifi, params.toChain, params.toToken, { log });
+    const amounts = logSpacedAmounts(min, max, steps, fromToken.decimals);
+
+    log(`\n=== Sweeping ${fromToken.symbol} → ${toToken.symbol} from ${amounts[0]} to ${amounts[amounts.length - 1]} ${fromToken.symbol} (${amounts.length} sizes) ===`);
+
+    const points = [];
+    for (const [index, amount] of amounts.entries()) {
+        const query = {
+            allowBridges: 'all',
+            allowExchanges: 'all',
+            order: 'RECOMMENDED',
+            ...params,
+            fromToken: fromToken.address,
+            toToken: toToken.address,
+            fromAmount: parseAmount(amount, fromToken.decimals)
+        };
+        const title = `Sweep ${amount} ${fromToken.symbol}`;
+
+        try {
+            emitEvent(log, 'quote_requested', { title, ...query });
+            const quote = await lifi.getQuote(query);
+            emitEvent(log, 'quote_received', { title, ...quoteFields(quote) });
+
+            const point = sweepPoint(amount, quote);
+            points.push(point);
+            log(`✅ ${amount} ${fromToken.symbol}: 1 ${fromToken.symbol} = ${point.rate} ${toToken.symbol} via ${point.tool}`);
+        } catch (error) {
+            emitEvent(log, 'error', { ...errorFields(error), stage: 'sweep', title });
+            points.push({ amount, fromAmount: query.fromAmount, error: error.message.split('\n')[0] });
+            log(`❌ ${amount} ${fromToken.symbol}: ${error.message.split('\n')[0]}`);
+        }
+
+        if (index < amounts.length - 1) {
+            await sleep(delay);
+        }
+    }
+
+    // Rate change is measured against the smallest size that got a quote
+    const reference = points.find(point => point.rate)?.rate;
+    points.forEach(point => {
+        if (point.rate && reference) {
+            point.rateChange = (point.rate - reference) / reference * 100;
+        }
+    });
+
+    return { fromToken, toToken, points };
+}
+
+// Log the sweep as a table with a sparkline per metric
+export function logSweep({ fromToken, toToken, points }, { log = console.log } = {}) {
+    log('\n=== Price Impact Sweep ===');
+    log(['Amount', 'Received', 'Rate', 'Rate Δ', 'Impact', 'Fees', 'Fees USD', 'Tool'].join('\t'));
+    points.forEach(point => {
+        if (point.error) {
+            log(`${point.amount} ${fromToken.symbol}\t❌ ${point.error}`);
+            return;
+        }
+        log([
+            `${point.amount} ${fromToken.symbol}`,
+            `${formatTokenAmount(point.toAmount, toToken.decimals)} ${toToken.symbol}`,
+            point.rate,
+            formatPercent(point.rateChange),
+            formatPercent(point.priceImpact),
+            formatPercent(point.feeShare),
+            formatUSD(point.feesUSD),
+            point.tool
+        ].join('\t'));
+    });
+
+    const first = points[0]?.amount;
+    const last = points[points.length - 1]?.amount;
+    log(`\nSize ${first} → ${last} ${fromToken.symbol}:`);
+    const chart = (label, values) => log(`${label.padEnd(20)}${values}`);
+    chart(`Rate (${toToken.symbol}/${fromToken.symbol})`, sparkline(points.map(point => point.rate)));
+    chart('Price impact', sparkline(points.map(point => point.priceImpact)));
+    chart('Fees % of notional', sparkline(points.map(point => point.feeShare)));
+
+    // Letter per size for the winning tool, with a legend
+    const tools = [...new Set(points.map(point => point.tool).filter(Boolean))];
+    chart('Winning tool', points.map(point => point.tool ? String.fromCharCode(65 + tools.indexOf(point.tool)) : ' ').join(''));
+    tools.forEach((tool, index) => log(`  ${String.fromCharCode(65 + index)} = ${tool}`));
+    log('\n' + '='.repeat(50));
+}
+
+// Render the sweep as CSV
+export function formatSweepCsv({ points }) {
+    return formatCsv(CSV_COLUMNS, points);
+}
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSweepCsv, logSpacedAmounts, logSweep, runSweep } from './sweep.js';
+
+const SOL = { address: 'So11111111111111111111111111111111111111112', symbol: 'SOL', decimals: 9, priceUSD: '160' };
+const USDC = { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', decimals: 6, priceUSD: '1' };
+
+test('logSpacedAmounts spreads sizes evenly on a log scale', () => {
+    assert.deepEqual(logSpacedAmounts('0.01', '10', 4, 9), ['0.01', '0.1', '1', '10']);
+    assert.deepEqual(logSpacedAmounts('1', '100', 3, 6), ['1', '10', '100']);
+    assert.deepEqual(logSpacedAmounts('0.5', '0.5', 1, 9), ['0.5']);
+    // Sizes that round to the same amount, or to nothing, appear once or not at all
+    assert.deepEqual(logSpacedAmounts('1', '2', 5, 0), ['1', '2']);
+    assert.deepEqual(logSpacedAmounts('0.1', '10', 3, 0), ['1', '10']);
+
+    assert.throws(() => logSpacedAmounts('0', '1', 3, 9), /Invalid amount range: 0 to 1/);
+    assert.throws(() => logSpacedAmounts('2', '1', 3, 9), /Invalid amount range/);
+    assert.throws(() => logSpacedAmounts('1', '2', 0, 9), /Invalid number of steps: 0/);
+});
+
+test('runSweep quotes each size and measures the rate against the smallest quoted one', async () => {
+    // A pool that pays 160 USDC per SOL less 1% per SOL traded, and has no route for 10 SOL
+    const lifi = {
+        queries: [],
+        getToken: async ({ token }) => [SOL, USDC].find(entry => entry.address === token),
+        getQuote: async query => {
+            lifi.queries.push(query);
+            const sol = Number(query.fromAmount) / 1e9;
+            if (sol >= 10) throw Object.assign(new Error('No available quotes for the requested transfer\nDetails: {}'), { code: 1002 });
+            const received = Math.round(sol * 160 * (1 - sol / 100) * 1e6);
+            return {
+                tool: 'jupiter',
+                toolDetails: { name: sol < 1 ? 'Jupiter' : 'Raydium' },
+                action: { fromAmount: query.fromAmount, fromToken: SOL, toToken: USDC, slippage: 0.005 },
+                estimate: { toAmount: String(received), toAmountMin: String(received), gasCosts: [{ amountUSD: '0.01' }], feeCosts: [] }
+            };
+        }
+    };
+    const lines = [];
+
+    const sweep = await runSweep(lifi, { fromChain: 'sol', toChain: 'sol', fromToken: SOL.address, toToken: USDC.address },
+        { min: '0.1', max: '10', steps: 3, delay: 0, log: line => lines.push(line) });
+
+    assert.deepEqual(lifi.queries.map(query => query.fromAmount), ['100000000', '1000000000', '10000000000']);
+    assert.equal(lines[0], '\n=== Sweeping SOL → USDC from 0.1 to 10 SOL (3 sizes) ===');
+
+    const [small, large, failed] = sweep.points;
+    assert.equal(small.rate, 159.84);
+    assert.equal(small.rateChange, 0);
+    assert.equal(large.rate, 158.4);
+    assert.equal(large.rateChange.toFixed(2), '-0.90');
+    assert.equal(large.priceImpact.toFixed(2), '1.00');
+    assert.equal(failed.error, 'No available quotes for the requested transfer');
+    assert.equal(failed.rateChange, undefined);
+    assert.ok(lines.includes('❌ 10 SOL: No available quotes for the requested transfer'));
+});
+
+test('logSweep charts the rate and labels the winning tools; the CSV keeps every point', () => {
+    const sweep = {
+        fromToken: SOL,
+        toToken: USDC,
+        points: [
+            { amount: '0.1', toAmount: '15840000', rate: 158.4, rateChange: 0, priceImpact: 0.1, feeShare: 0.06, feesUSD: 0.01, tool: 'Jupiter' },
+            { amount: '1', toAmount: '158400000', rate: 158.4, rateChange: 0, priceImpact: 1, feeShare: 0.006, feesUSD: 0.01, tool: 'Raydium' },
+            { amount: '10', fromAmount: '10000000000', error: 'No route, try later' }
+        ]
+    };
+    const lines = [];
+    logSweep(sweep, { log: line => lines.push(line) });
+
+    assert.ok(lines.includes('0.1 SOL\t15.84 USDC\t158.4\t0.00%\t0.10%\t0.06%\t$0.01\tJupiter'));
+    assert.ok(lines.includes('10 SOL\t❌ No route, try later'));
+    assert.ok(lines.includes('\nSize 0.1 → 10 SOL:'));
+    assert.ok(lines.includes('Rate (USDC/SOL)     ▁▁ '));
+    assert.ok(lines.includes('Price impact        ▁█ '));
+    assert.ok(lines.includes('Winning tool        AB '));
+    assert.deepEqual(lines.filter(line => /^ {2}[A-Z] = /.test(line)), ['  A = Jupiter', '  B = Raydium']);
+
+    const csv = formatSweepCsv(sweep).trimEnd().split('\n');
+    assert.equal(csv[0], 'amount,fromAmount,toAmount,toAmountMin,rate,rateChange,priceImpact,feeShare,feesUSD,fromAmountUSD,toAmountUSD,tool,error');
+    assert.equal(csv[3], '10,10000000000,,,,,,,,,,,"No route, try later"');
+});
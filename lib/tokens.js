@@ -0,0 +1,154 @@
+import path from 'path';
+import { parseAmount, splitAmountInput } from './format.js';
+import { CACHE_DIR, getCacheTtl, loadCachedList, readCacheFile, writeCacheFile } from './cache.js';
+
+export const DEFAULT_TOKEN_CACHE_FILE = path.join(CACHE_DIR, 'tokens.json');
+
+// Token metadata already fetched, keyed by chain and address
+const tokenCache = new Map();
+
+// Token lists already loaded in this process, keyed by chain
+const tokenLists = new Map();
+
+// Cached token lists per chain, from TOKEN_CACHE_FILE
+function readTokenCache() {
+    const file = process.env.TOKEN_CACHE_FILE || DEFAULT_TOKEN_CACHE_FILE;
+    return { file, chains: readCacheFile(file).chains || {} };
+}
+
+// Check whether the input is a token address rather than a symbol
+export function isTokenAddress(input) {
+    return /^0x[0-9a-fA-F]{40}$/.test(input) || /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(input);
+}
+
+// Split token input like "WETH@arb" into the token and its chain
+export function splitTokenInput(input) {
+    const match = String(input).trim().match(/^([^@\s]+)(?:@([^@\s]+))?$/);
+    if (!match) {
+        throw new Error(`Invalid token: "${input}". Use a symbol, an address or SYMBOL@chain`);
+    }
+    return { token: match[1], chain: match[2] };
+}
+
+// Load every token Li.Fi knows on a chain, from the disk cache while it is fresh
+export async function loadTokenList(lifi, chain, { refresh = false, log = console.log } = {}) {
+    const key = String(chain).toLowerCase();
+    if (!refresh && tokenLists.has(key)) {
+        return tokenLists.get(key);
+    }
+
+    const { file, chains } = readTokenCache();
+    const tokens = await loadCachedList(`token list for ${chain}`, {
+        fetchedAt: chains[key]?.fetchedAt,
+        items: chains[key]?.tokens,
+        ttl: getCacheTtl('TOKEN_CACHE_TTL'),
+        refresh,
+        log,
+        fetch: async () => Object.values((await lifi.getTokens({ chains: chain })).tokens || {}).flat(),
+        save: (list, fetchedAt) => writeCacheFile(file, { chains: { ...chains, [key]: { fetchedAt, tokens: list } } })
+    });
+
+    tokenLists.set(key, tokens);
+    return tokens;
+}
+
+// Pick the token a symbol refers to, preferring exact symbols and Li.Fi's canonical coin key
+function findBySymbol(tokens, symbol, chain) {
+    const typed = symbol.toUpperCase();
+    let matches = tokens.filter(token => token.symbol?.toUpperCase() === typed);
+    if (matches.length === 0) {
+        // "SOL" or "ETH" can name the wrapped token when there is no native one
+        matches = tokens.filter(token => token.symbol?.toUpperCase() === `W${typed}`);
+    }
+    if (matches.length > 1) {
+        const canonical = matches.filter(token => token.coinKey?.toUpperCase() === typed);
+        if (canonical.length > 0) matches = canonical;
+    }
+
+    if (matches.length === 0) {
+        const error = new Error(`Unknown token ${symbol} on ${chain}`);
+        error.code = 'UNKNOWN_TOKEN';
+        throw error;
+    }
+    if (matches.length > 1) {
+        const error = new Error(`Token symbol ${symbol} is ambiguous on ${chain}, use one of these addresses:\n` +
+            matches.map(token => `- ${token.address} (${token.name})`).join('\n'));
+        error.code = 'AMBIGUOUS_TOKEN';
+        error.candidates = matches;
+        throw error;
+    }
+    return matches[0];
+}
+
+// Look up a token's address, symbol, decimals and price from a symbol, an address or SYMBOL@chain
+export async function resolveToken(lifi, chain, input, { log = console.log } = {}) {
+    const { token, chain: tokenChain } = splitTokenInput(input);
+    if (tokenChain && chain && tokenChain.toLowerCase() !== String(chain).toLowerCase()) {
+        throw new Error(`Token ${input} is on ${tokenChain} but the chain is ${chain}`);
+    }
+    chain = tokenChain || chain;
+
+    const key = `${chain}:${token}`.toLowerCase();
+    if (tokenCache.has(key)) {
+        return tokenCache.get(key);
+    }
+
+    let info;
+    if (isTokenAddress(token)) {
+        try {
+            info = await lifi.getToken({ chain, token });
+        } catch (error) {
+            // Without a response from Li.Fi, fall back to the cached token list
+            if (error.status) throw error;
+            const cached = readTokenCache().chains[String(chain).toLowerCase()]?.tokens || [];
+            info = cached.find(entry => entry.address.toLowerCase() === token.toLowerCase());
+            if (!info) throw error;
+            log(`⚠️ Li.Fi unreachable, using cached details for ${info.symbol} (${token})`);
+        }
+    } else {
+        info = findBySymbol(await loadTokenList(lifi, chain, { log }), token, chain);
+    }
+
+    if (info.decimals === undefined) {
+        throw new Error(`Li.Fi returned no decimals for token ${token} on ${chain}`);
+    }
+    tokenCache.set(key, info);
+    return info;
+}
+
+// Resolve token input to an address; addresses pass through without a lookup
+export async function resolveTokenAddress(lifi, chain, input, { log = console.log } = {}) {
+    const { token, chain: tokenChain } = splitTokenInput(input);
+    if (isTokenAddress(token) && !tokenChain) {
+        return token;
+    }
+    return (await resolveToken(lifi, chain, input, { log })).address;
+}
+
+// Check whether a typed symbol or SYMBOL@chain names the token, accepting "SOL" for wrapped wSOL
+export function symbolMatches(symbol, info, chain) {
+    const { token, chain: typedChain } = splitTokenInput(symbol);
+    if (typedChain && chain && typedChain.toLowerCase() !== String(chain).toLowerCase()) return false;
+
+    const typed = token.toUpperCase();
+    return [info.symbol, info.coinKey]
+        .filter(Boolean)
+        .some(name => name.toUpperCase() === typed || name.toUpperCase() === `W${typed}`);
+}
+
+// Convert user input like "0.25 SOL" to base units of the given token
+export async function resolveAmount(lifi, { chain, token, amount }, { log = console.log } = {}) {
+    const { amount: value, symbol } = splitAmountInput(amount);
+    const info = await resolveToken(lifi, chain, token, { log });
+
+    if (symbol && !symbolMatches(symbol, info, chain)) {
+        throw new Error(`Amount is given in ${symbol} but the source token is ${info.symbol} on ${chain}`);
+    }
+
+    const fromAmount = parseAmount(value, info.decimals);
+    if (BigInt(fromAmount) === 0n) {
+        throw new Error('Amount must be greater than zero');
+    }
+
+    return { fromAmount, token: info };
+}
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isTokenAddress, loadTokenList, resolveAmount, resolveToken, resolveTokenAddress, splitTokenInput } from './tokens.js';
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-test-'));
+const cacheFile = path.join(cacheDir, 'tokens.json');
+process.env.TOKEN_CACHE_FILE = cacheFile;
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const WSOL = { address: 'So11111111111111111111111111111111111111112', symbol: 'wSOL', coinKey: 'SOL', decimals: 9, name: 'Wrapped SOL' };
+const USDC_SOL = { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', coinKey: 'USDC', decimals: 6, name: 'USD Coin' };
+const USDC_E = { address: 'A9mUU4qviSctJVPJdBJWkb28deg915LYJKrzQ19ji3FM', symbol: 'USDC', coinKey: 'USDCet', decimals: 6, name: 'USD Coin (Wormhole)' };
+const USDT_A = { address: '0x1111111111111111111111111111111111111111', symbol: 'USDT', decimals: 6, name: 'Tether A' };
+const USDT_B = { address: '0x2222222222222222222222222222222222222222', symbol: 'USDT', decimals: 6, name: 'Tether B' };
+
+// Li.Fi stub serving /tokens per chain and counting the requests
+function tokenSource(lists) {
+    const lifi = {
+        requests: [],
+        getTokens: async ({ chains }) => {
+            lifi.requests.push(chains);
+            return { tokens: { [chains]: lists[chains] || [] } };
+        },
+        getToken: async ({ chain, token }) => (lists[chain] || []).find(entry => entry.address === token)
+    };
+    return lifi;
+}
+
+test('token input is split into a symbol or address and an optional chain', () => {
+    assert.deepEqual(splitTokenInput('WETH@arb'), { token: 'WETH', chain: 'arb' });
+    assert.deepEqual(splitTokenInput(' USDC '), { token: 'USDC', chain: undefined });
+    assert.throws(() => splitTokenInput('USDC@sol@eth'), /Invalid token/);
+
+    assert.equal(isTokenAddress(USDC_SOL.address), true);
+    assert.equal(isTokenAddress(USDT_A.address), true);
+    assert.equal(isTokenAddress('USDC'), false);
+});
+
+test('symbols resolve to the canonical token, and SOL finds wSOL', async () => {
+    const lifi = tokenSource({ sol: [WSOL, USDC_SOL, USDC_E] });
+
+    assert.equal((await resolveToken(lifi, 'sol', 'usdc', { log: () => {} })).address, USDC_SOL.address);
+    assert.equal((await resolveToken(lifi, 'sol', 'SOL', { log: () => {} })).address, WSOL.address);
+    assert.equal(await resolveTokenAddress(lifi, 'sol', 'USDC@sol', { log: () => {} }), USDC_SOL.address);
+    // The list was fetched once and saved for the next run
+    assert.deepEqual(lifi.requests, ['sol']);
+    assert.equal(JSON.parse(fs.readFileSync(cacheFile, 'utf8')).chains.sol.tokens.length, 3);
+});
+
+test('unknown and ambiguous symbols are refused with their codes', async () => {
+    const lifi = tokenSource({ bsc: [USDT_A, USDT_B] });
+
+    await assert.rejects(resolveToken(lifi, 'bsc', 'DOGE', { log: () => {} }), { code: 'UNKNOWN_TOKEN', message: 'Unknown token DOGE on bsc' });
+    await assert.rejects(resolveToken(lifi, 'bsc', 'USDT', { log: () => {} }), error => {
+        assert.equal(error.code, 'AMBIGUOUS_TOKEN');
+        assert.deepEqual(error.candidates.map(token => token.name), ['Tether A', 'Tether B']);
+        assert.ok(error.message.includes(`- ${USDT_B.address} (Tether B)`));
+        return true;
+    });
+    await assert.rejects(resolveToken(lifi, 'sol', 'USDC@eth', { log: () => {} }), /Token USDC@eth is on eth but the chain is sol/);
+});
+
+test('an outdated token list is used when Li.Fi cannot be reached', async () => {
+    fs.writeFileSync(cacheFile, JSON.stringify({ chains: { opt: { fetchedAt: 0, tokens: [USDT_A] } } }));
+    const lines = [];
+    const lifi = {
+        getTokens: async () => {
+            throw new Error('fetch failed\ncaused by ECONNREFUSED');
+        }
+    };
+
+    const tokens = await loadTokenList(lifi, 'opt', { log: line => lines.push(line) });
+    assert.deepEqual(tokens, [USDT_A]);
+    assert.deepEqual(lines, ['⚠️ Could not refresh the token list for opt (fetch failed), using the cache from 1970-01-01T00:00:00.000Z']);
+
+    await assert.rejects(loadTokenList(lifi, 'ava', { log: () => {} }), /fetch failed/);
+});
+
+test('addresses are looked up directly, falling back to the cached list only without a response', async () => {
+    fs.writeFileSync(cacheFile, JSON.stringify({ chains: { pol: { fetchedAt: Date.now(), tokens: [USDT_B] } } }));
+    const lines = [];
+    const offline = { getToken: async () => { throw new Error('fetch failed'); } };
+
+    assert.equal((await resolveToken(offline, 'pol', USDT_B.address, { log: line => lines.push(line) })).name, 'Tether B');
+    assert.deepEqual(lines, [`⚠️ Li.Fi unreachable, using cached details for USDT (${USDT_B.address})`]);
+
+    const notFound = Object.assign(new Error('HTTP error! status: 404'), { status: 404 });
+    await assert.rejects(resolveToken({ getToken: async () => { throw notFound; } }, 'pol', USDT_A.address, { log: () => {} }), notFound);
+});
+
+test('resolveAmount converts to base units of the resolved token and checks the typed symbol', async () => {
+    const lifi = tokenSource({ sol: [WSOL, USDC_SOL, USDC_E] });
+
+    assert.deepEqual(await resolveAmount(lifi, { chain: 'sol', token: 'SOL', amount: '0.25 SOL' }, { log: () => {} }),
+        { fromAmount: '250000000', token: WSOL });
+    assert.equal((await resolveAmount(lifi, { chain: 'sol', token: 'USDC', amount: '1.5' }, { log: () => {} })).fromAmount, '1500000');
+
+    await assert.rejects(resolveAmount(lifi, { chain: 'sol', token: 'USDC', amount: '1 SOL' }, { log: () => {} }),
+        /Amount is given in SOL but the source token is USDC on sol/);
+    await assert.rejects(resolveAmount(lifi, { chain: 'sol', token: 'USDC', amount: '0.0000001' }, { log: () => {} }),
+        /more than 6 decimal places/);
+    await assert.rejects(resolveAmount(lifi, { chain: 'sol', token: 'USDC', amount: '0' }, { log: () => {} }),
+        /Amount must be greater than zero/);
+});
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { ethers } from 'ethers';
+import bs58 from 'bs58';
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+// Validate Solana address
+export function isValidSolanaAddress(address) {
+    try {
+        new PublicKey(address);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Validate Ethereum address; mixed-case addresses must carry a valid EIP-55 checksum
+export function isValidEthereumAddress(address) {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) return false;
+    try {
+        ethers.utils.getAddress(address);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Checksum of a bech32 string, as defined in BIP-173
+function bech32Polymod(values) {
+    const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let checksum = 1;
+    values.forEach(value => {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        generators.forEach((generator, i) => {
+            if ((top >>> i) & 1) checksum ^= generator;
+        });
+    });
+    return checksum >>> 0;
+}
+
+// Validate a bc1 SegWit address: bech32 for version 0, bech32m for later versions (BIP-173/BIP-350)
+function isValidSegwitAddress(address) {
+    if (address !== address.toLowerCase() && address !== address.toUpperCase()) return false;
+    const lower = address.toLowerCase();
+    if (!/^bc1[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{8,87}$/.test(lower)) return false;
+
+    const data = [...lower.slice(3)].map(char => BECH32_CHARSET.indexOf(char));
+    const hrp = [...'bc'].map(char => char.charCodeAt(0));
+    const expanded = [...hrp.map(code => code >> 5), 0, ...hrp.map(code => code & 31)];
+    const version = data[0];
+    const expected = version === 0 ? BECH32_CONST : BECH32M_CONST;
+    if (version > 16 || bech32Polymod([...expanded, ...data]) !== expected) return false;
+
+    // Regroup the 5-bit words after the version into bytes to check the program length
+    const words = data.slice(1, -6);
+    const programLength = Math.floor(words.length * 5 / 8);
+    if ((words.length * 5) % 8 >= 5) return false;
+    if (programLength < 2 || programLength > 40) return false;
+    return version !== 0 || programLength === 20 || programLength === 32;
+}
+
+// Validate a mainnet Bitcoin address: legacy P2PKH/P2SH (base58check) or SegWit (bech32/bech32m)
+export function isValidBitcoinAddress(address) {
+    if (/^bc1/i.test(address)) {
+        return isValidSegwitAddress(address);
+    }
+
+    let bytes;
+    try {
+        bytes = Buffer.from(bs58.decode(address));
+    } catch {
+        return false;
+    }
+    if (bytes.length !== 25 || ![0x00, 0x05].includes(bytes[0])) return false;
+
+    const payload = bytes.subarray(0, 21);
+    const hash = crypto.createHash('sha256').update(crypto.createHash('sha256').update(payload).digest()).digest();
+    return hash.subarray(0, 4).equals(bytes.subarray(21));
+}
+
+// Check an address against the rules of its chain, returning a problem or null when valid
+export function validateAddress(chain, address) {
+    if (!address) {
+        return `Missing address for ${chain.name}`;
+    }
+
+    const validators = {
+        SVM: { check: isValidSolanaAddress, hint: 'a base58 public key' },
+        EVM: { check: isValidEthereumAddress, hint: '0x followed by 40 hex characters, with a valid EIP-55 checksum if mixed-case' },
+        UTXO: { check: isValidBitcoinAddress, hint: 'a legacy or bc1 SegWit address' }
+    };
+    const validator = validators[chain.chainType];
+    if (!validator) {
+        return `Cannot validate addresses on ${chain.name} (${chain.chainType} chains are not supported)`;
+    }
+    if (!validator.check(address)) {
+        return `Invalid ${chain.name} address ${address}: expected ${validator.hint}`;
+    }
+    return null;
+}
+
+// Check the sender and recipient addresses against their chains, returning a list of problems (empty when valid)
+export function validateAddresses({ fromAddress, toAddress }, { fromChain, toChain }) {
+    const errors = [];
+
+    const fromError = validateAddress(fromChain, fromAddress);
+    if (fromError) errors.push(`From address: ${fromError}`);
+
+    const toError = validateAddress(toChain, toAddress);
+    if (toError) errors.push(`To address: ${toError}`);
+
+    return errors;
+}
+
+// Check swap parameters against the resolved source and destination chains, returning a list of problems (empty when valid)
+export function validateSwapParams(params, chains) {
+    const errors = validateAddresses(params, chains);
+
+    if (!/^\d+$/.test(String(params.fromAmount)) || BigInt(params.fromAmount) <= 0n) {
+        errors.push('Invalid amount: must be a positive number');
+    }
+
+    return errors;
+}
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isValidBitcoinAddress,
+    isValidEthereumAddress,
+    isValidSolanaAddress,
+    validateAddress,
+    validateAddresses,
+    validateSwapParams
+} from './validation.js';
+
+const SOL = { name: 'Solana', chainType: 'SVM' };
+const ETH = { name: 'Ethereum', chainType: 'EVM' };
+const BTC = { name: 'Bitcoin', chainType: 'UTXO' };
+
+const SOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+const ETH_ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+test('isValidSolanaAddress accepts base58 public keys only', () => {
+    assert.equal(isValidSolanaAddress(SOL_ADDRESS), true);
+    assert.equal(isValidSolanaAddress('11111111111111111111111111111111'), true);
+    assert.equal(isValidSolanaAddress('not-a-key'), false);
+    assert.equal(isValidSolanaAddress('0OIl0OIl0OIl0OIl0OIl0OIl0OIl0OIl'), false);
+});
+
+test('isValidEthereumAddress enforces the EIP-55 checksum on mixed-case addresses', () => {
+    assert.equal(isValidEthereumAddress(ETH_ADDRESS), true);
+    assert.equal(isValidEthereumAddress(ETH_ADDRESS.toLowerCase()), true);
+    assert.equal(isValidEthereumAddress('0x' + ETH_ADDRESS.slice(2).toUpperCase()), true);
+    assert.equal(isValidEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'), false);
+    assert.equal(isValidEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA'), false);
+    assert.equal(isValidEthereumAddress(ETH_ADDRESS.slice(2)), false);
+});
+
+test('isValidBitcoinAddress checks legacy base58check addresses', () => {
+    assert.equal(isValidBitcoinAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa'), true);
+    assert.equal(isValidBitcoinAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'), true);
+    assert.equal(isValidBitcoinAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb'), false);
+    assert.equal(isValidBitcoinAddress('0OIl'), false);
+});
+
+test('isValidBitcoinAddress checks bech32 and bech32m SegWit addresses', () => {
+    assert.equal(isValidBitcoinAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'), true);
+    assert.equal(isValidBitcoinAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4'), true);
+    assert.equal(isValidBitcoinAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'), true);
+    // Wrong checksum, mixed case, and a version 1 program with a bech32 (not bech32m) checksum
+    assert.equal(isValidBitcoinAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'), false);
+    assert.equal(isValidBitcoinAddress('bc1QW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'), false);
+    assert.equal(isValidBitcoinAddress('bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7k7grplx'), false);
+});
+
+test('validateAddress picks the rules of the chain type', () => {
+    assert.equal(validateAddress(SOL, SOL_ADDRESS), null);
+    assert.equal(validateAddress(ETH, ETH_ADDRESS), null);
+    assert.equal(validateAddress(BTC, '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa'), null);
+    assert.match(validateAddress(ETH, SOL_ADDRESS), /^Invalid Ethereum address So1+2: expected 0x/);
+    assert.match(validateAddress(SOL, ETH_ADDRESS), /^Invalid Solana address/);
+    assert.equal(validateAddress(SOL, ''), 'Missing address for Solana');
+    assert.match(validateAddress({ name: 'Sui', chainType: 'MVM' }, '0x1'), /MVM chains are not supported/);
+});
+
+test('validateAddresses and validateSwapParams list every problem', () => {
+    const chains = { fromChain: SOL, toChain: ETH };
+    assert.deepEqual(validateAddresses({ fromAddress: SOL_ADDRESS, toAddress: ETH_ADDRESS }, chains), []);
+    assert.deepEqual(validateAddresses({ fromAddress: ETH_ADDRESS, toAddress: undefined }, chains), [
+        `From address: Invalid Solana address ${ETH_ADDRESS}: expected a base58 public key`,
+        'To address: Missing address for Ethereum'
+    ]);
+    assert.deepEqual(validateSwapParams({ fromAddress: SOL_ADDRESS, toAddress: ETH_ADDRESS, fromAmount: '10000000' }, chains), []);
+    assert.deepEqual(validateSwapParams({ fromAddress: SOL_ADDRESS, toAddress: ETH_ADDRESS, fromAmount: '0' }, chains),
+        ['Invalid amount: must be a positive number']);
+    assert.deepEqual(validateSwapParams({ fromAddress: SOL_ADDRESS, toAddress: ETH_ADDRESS, fromAmount: '0.5' }, chains),
+        ['Invalid amount: must be a positive number']);
+});
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { Keypair } from '@solana/web3.js';
+import { ethers } from 'ethers';
+import bs58 from 'bs58';
+import { createEvmWallet } from './evm.js';
+
+export const DEFAULT_WALLETS_FILE = 'wallets.json';
+
+// scrypt cost for new Solana keystores; 128 * N * r bytes of memory are needed to derive the key
+const KEYSTORE_KDF = { n: 2 ** 17, r: 8, p: 1 };
+
+// Expand a leading ~ to the home directory, as Solana CLI paths usually start with one
+function expandPath(file) {
+    return file.startsWith('~') ? path.join(os.homedir(), file.slice(1)) : file;
+}
+
+// Read a JSON file such as a keypair, keystore or the wallets file
+function readJsonFile(file) {
+    return JSON.parse(fs.readFileSync(expandPath(file), 'utf8'));
+}
+
+// Derive the keystore key from a password with scrypt
+function deriveKey(password, { n, r, p, salt }) {
+    return crypto.scryptSync(password, Buffer.from(salt, 'hex'), 32, { N: n, r, p, maxmem: 256 * n * r });
+}
+
+// Encrypt a Solana secret key into a keystore object protected by the password
+export function encryptSolanaKeystore(secretKey, password) {
+    const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+    const kdfparams = { ...KEYSTORE_KDF, salt: crypto.randomBytes(32).toString('hex') };
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(password, kdfparams), iv);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+    return {
+        version: 1,
+        chainType: 'SVM',
+        publicKey: keypair.publicKey.toBase58(),
+        crypto: {
+            kdf: 'scrypt',
+            kdfparams,
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        }
+    };
+}
+
+// Decrypt a Solana keystore object, failing on a wrong password
+export function decryptSolanaKeystore(keystore, password) {
+    const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(password, kdfparams), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+    let secretKey;
+    try {
+        secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+    } catch {
+        throw new Error('Could not decrypt keystore: wrong password');
+    }
+    return Keypair.fromSecretKey(secretKey);
+}
+
+// Ask for a password on the terminal without echoing it
+export function promptPassword(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    rl._writeToOutput = (text) => {
+        if (text.startsWith(question)) rl.output.write(text);
+    };
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+// Password from WALLET_PASSWORD, or from the terminal when there is one
+export async function defaultGetPassword(question) {
+    if (process.env.WALLET_PASSWORD) return process.env.WALLET_PASSWORD;
+    if (!process.stdin.isTTY) {
+        throw new Error('Encrypted keystore needs a password: set WALLET_PASSWORD or run interactively');
+    }
+    return promptPassword(question);
+}
+
+// Wallets to use when there is no wallets file: SOL_SECRET/ETH_SECRET, or SOL_ADDRESS/ETH_ADDRESS for watch-only use
+function walletsFromEnv() {
+    const solana = process.env.SOL_SECRET ? { env: 'SOL_SECRET' } : process.env.SOL_ADDRESS && { address: process.env.SOL_ADDRESS };
+    const evm = process.env.ETH_SECRET ? { env: 'ETH_SECRET' } : process.env.ETH_ADDRESS && { address: process.env.ETH_ADDRESS };
+    return { default: 'env', wallets: { env: { solana: solana || undefined, evm: evm || undefined } } };
+}
+
+// Load the named wallets from WALLETS_FILE (default wallets.json), falling back to the environment
+export function loadWalletConfig(file = process.env.WALLETS_FILE || DEFAULT_WALLETS_FILE) {
+    if (!fs.existsSync(file)) {
+        return walletsFromEnv();
+    }
+
+    const config = readJsonFile(file);
+    if (!config.wallets || Object.keys(config.wallets).length === 0) {
+        throw new Error(`Wallets file ${file} has no wallets`);
+    }
+    return { default: config.default || Object.keys(config.wallets)[0], wallets: config.wallets };
+}
+
+// Describe where a wallet's key comes from, without reading it
+function describeSource(source) {
+    if (!source) return 'none';
+    if (source.keypair) return `keypair file ${source.keypair}`;
+    if (source.keystore) return `encrypted keystore ${source.keystore}`;
+    if (source.env) return `environment variable ${source.env}`;
+    if (source.address) return 'watch-only';
+    return 'unknown';
+}
+
+// Load the Solana signer of a wallet entry
+async function loadSolanaSigner(name, source, getPassword) {
+    if (source.keypair) {
+        return Keypair.fromSecretKey(Uint8Array.from(readJsonFile(source.keypair)));
+    }
+    if (source.keystore) {
+        const password = await getPassword(`Password for wallet ${name}: `);
+        return decryptSolanaKeystore(readJsonFile(source.keystore), password);
+    }
+    if (source.env) {
+        if (!process.env[source.env]) {
+            throw new Error(`${source.env} is not set in .env file`);
+        }
+        return Keypair.fromSecretKey(bs58.decode(process.env[source.env]));
+    }
+    throw new Error(`Wallet ${name} is watch-only on Solana and cannot sign`);
+}
+
+// Load the EVM signer of a wallet entry, connected to the given RPC
+async function loadEvmSigner(name, source, getPassword, rpcUrl) {
+    if (source.keystore) {
+        const password = await getPassword(`Password for wallet ${name}: `);
+        const decrypted = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(expandPath(source.keystore), 'utf8'), password);
+        return createEvmWallet(decrypted.privateKey, rpcUrl);
+    }
+    if (source.env) {
+        return createEvmWallet(process.env[source.env], rpcUrl);
+    }
+    throw new Error(`Wallet ${name} is watch-only on EVM chains and cannot sign`);
+}
+
+// Public address of a wallet entry; watch-only entries and keystores give it without any secret
+function readAddress(source, chainType) {
+    if (!source) return undefined;
+    if (source.address) return source.address;
+
+    if (chainType === 'SVM') {
+        if (source.keystore) return readJsonFile(source.keystore).publicKey;
+        if (source.keypair) return Keypair.fromSecretKey(Uint8Array.from(readJsonFile(source.keypair))).publicKey.toBase58();
+        if (source.env && process.env[source.env]) return Keypair.fromSecretKey(bs58.decode(process.env[source.env])).publicKey.toBase58();
+    } else {
+        // Standard V3 keystores store the address without the 0x prefix
+        if (source.keystore) return ethers.utils.getAddress(`0x${readJsonFile(source.keystore).address.replace(/^0x/, '')}`);
+        if (source.env && process.env[source.env]) return ethers.utils.computeAddress(`0x${process.env[source.env].replace(/^0x/, '')}`);
+    }
+    return undefined;
+}
+
+// Select a named wallet (default: WALLET, then the file's default); passwords are only asked for when a signer is requested
+export function selectWallet(name = process.env.WALLET, { config = loadWalletConfig(), getPassword = defaultGetPassword } = {}) {
+    const walletName = name || config.default;
+    const entry = config.wallets[walletName];
+    if (!entry) {
+        throw new Error(`Unknown wallet ${walletName}, configured wallets: ${Object.keys(config.wallets).join(', ')}`);
+    }
+
+    const sources = { SVM: entry.solana, EVM: entry.evm };
+    const signers = {};
+
+    return {
+        name: walletName,
+
+        // Where each key comes from, for listing wallets
+        describe() {
+            return { solana: describeSource(entry.solana), evm: describeSource(entry.evm) };
+        },
+
+        // Public address on an SVM or EVM chain, or undefined when the wallet has none
+        getAddress(chainType) {
+            return readAddress(sources[chainType], chainType);
+        },
+
+        // Check whether the wallet can sign on an SVM or EVM chain
+        canSign(chainType) {
+            const source = sources[chainType];
+            return Boolean(source && (source.keypair || source.keystore || source.env));
+        },
+
+        // Solana Keypair, decrypted on first use
+        async getSolanaSigner() {
+            if (!entry.solana) throw new Error(`Wallet ${walletName} has no Solana key`);
+            signers.SVM = signers.SVM || await loadSolanaSigner(walletName, entry.solana, getPassword);
+            if (entry.solana.address && entry.solana.address !== signers.SVM.publicKey.toBase58()) {
+                throw new Error(`Wallet ${walletName}: key ${signers.SVM.publicKey.toBase58()} does not match address ${entry.solana.address}`);
+            }
+            return signers.SVM;
+        },
+
+        // ethers Wallet connected to the given RPC, usually the profile's evm.rpcUrl; decrypted on first use
+        async getEvmSigner(rpcUrl) {
+            if (!entry.evm) throw new Error(`Wallet ${walletName} has no EVM key`);
+            signers.EVM = signers.EVM || await loadEvmSigner(walletName, entry.evm, getPassword, rpcUrl);
+            if (entry.evm.address && ethers.utils.getAddress(entry.evm.address) !== signers.EVM.address) {
+                throw new Error(`Wallet ${walletName}: key ${signers.EVM.address} does not match address ${entry.evm.address}`);
+            }
+            return signers.EVM;
+        }
+    };
+}
+
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import { ethers } from 'ethers';
+import bs58 from 'bs58';
+import { decryptSolanaKeystore, encryptSolanaKeystore, loadWalletConfig, selectWallet } from './wallets.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallets-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const hot = Keypair.generate();
+const cold = Keypair.generate();
+const evm = ethers.Wallet.createRandom();
+// Nothing listens here; signers are only created, never used
+const RPC_URL = 'http://127.0.0.1:9';
+
+// Write a JSON file into the test directory and return its path
+function writeJson(name, data) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+}
+
+test('Solana keystores round-trip with the right password only', () => {
+    const keystore = encryptSolanaKeystore(Array.from(cold.secretKey), 'correct horse');
+    assert.equal(keystore.publicKey, cold.publicKey.toBase58());
+    assert.ok(!JSON.stringify(keystore).includes(Buffer.from(cold.secretKey).toString('hex')));
+
+    assert.ok(decryptSolanaKeystore(keystore, 'correct horse').publicKey.equals(cold.publicKey));
+    assert.throws(() => decryptSolanaKeystore(keystore, 'wrong'), /Could not decrypt keystore: wrong password/);
+});
+
+test('named wallets load from keypair files, keystores and the environment', async () => {
+    const keystoreFile = writeJson('cold.keystore.json', encryptSolanaKeystore(Array.from(cold.secretKey), 'pw'));
+    const evmKeystoreFile = path.join(dir, 'evm.keystore.json');
+    fs.writeFileSync(evmKeystoreFile, await evm.encrypt('pw', { scrypt: { N: 1024 } }));
+    process.env.TEST_WALLET_ETH = evm.privateKey.slice(2);
+
+    const config = loadWalletConfig(writeJson('wallets.json', {
+        default: 'hot',
+        wallets: {
+            hot: { solana: { keypair: writeJson('hot.json', Array.from(hot.secretKey)) }, evm: { env: 'TEST_WALLET_ETH' } },
+            cold: { solana: { keystore: keystoreFile }, evm: { keystore: evmKeystoreFile } },
+            watcher: { solana: { address: hot.publicKey.toBase58() } }
+        }
+    }));
+    const prompts = [];
+    const getPassword = async question => {
+        prompts.push(question);
+        return 'pw';
+    };
+
+    const hotWallet = selectWallet(undefined, { config, getPassword });
+    assert.equal(hotWallet.name, 'hot');
+    assert.ok((await hotWallet.getSolanaSigner()).publicKey.equals(hot.publicKey));
+    assert.equal(hotWallet.getAddress('EVM'), evm.address);
+    assert.equal((await hotWallet.getEvmSigner(RPC_URL)).address, evm.address);
+
+    const coldWallet = selectWallet('cold', { config, getPassword });
+    // Keystore addresses are read without a password
+    assert.equal(coldWallet.getAddress('SVM'), cold.publicKey.toBase58());
+    assert.equal(coldWallet.getAddress('EVM'), evm.address);
+    assert.deepEqual(prompts, []);
+    assert.ok((await coldWallet.getSolanaSigner()).publicKey.equals(cold.publicKey));
+    await coldWallet.getSolanaSigner();
+    assert.equal((await coldWallet.getEvmSigner(RPC_URL)).address, evm.address);
+    assert.deepEqual(prompts, ['Password for wallet cold: ', 'Password for wallet cold: ']);
+    assert.deepEqual(coldWallet.describe(), { solana: `encrypted keystore ${keystoreFile}`, evm: `encrypted keystore ${evmKeystoreFile}` });
+
+    const watcher = selectWallet('watcher', { config, getPassword });
+    assert.equal(watcher.canSign('SVM'), false);
+    assert.equal(watcher.getAddress('EVM'), undefined);
+    await assert.rejects(watcher.getSolanaSigner(), /Wallet watcher is watch-only on Solana and cannot sign/);
+    await assert.rejects(watcher.getEvmSigner(RPC_URL), /Wallet watcher has no EVM key/);
+
+    assert.throws(() => selectWallet('nope', { config }), /Unknown wallet nope, configured wallets: hot, cold, watcher/);
+    delete process.env.TEST_WALLET_ETH;
+});
+
+test('a key that does not match the configured address is refused', async () => {
+    const config = {
+        default: 'mixed',
+        wallets: { mixed: { solana: { keypair: writeJson('mixed.json', Array.from(hot.secretKey)), address: cold.publicKey.toBase58() } } }
+    };
+    await assert.rejects(selectWallet(undefined, { config }).getSolanaSigner(),
+        new RegExp(`key ${hot.publicKey.toBase58()} does not match address ${cold.publicKey.toBase58()}`));
+});
+
+test('without a wallets file the environment provides one wallet', () => {
+    const saved = { SOL_SECRET: process.env.SOL_SECRET, SOL_ADDRESS: process.env.SOL_ADDRESS, ETH_SECRET: process.env.ETH_SECRET, ETH_ADDRESS: process.env.ETH_ADDRESS };
+    try {
+        process.env.SOL_SECRET = bs58.encode(hot.secretKey);
+        delete process.env.ETH_SECRET;
+        process.env.ETH_ADDRESS = evm.address;
+
+        const config = loadWalletConfig(path.join(dir, 'missing.json'));
+        assert.deepEqual(config, { default: 'env', wallets: { env: { solana: { env: 'SOL_SECRET' }, evm: { address: evm.address } } } });
+
+        const wallet = selectWallet('', { config });
+        assert.equal(wallet.getAddress('SVM'), hot.publicKey.toBase58());
+        assert.equal(wallet.canSign('SVM'), true);
+        assert.equal(wallet.canSign('EVM'), false);
+    } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+    }
+
+    assert.throws(() => loadWalletConfig(writeJson('empty.json', { wallets: {} })), /has no wallets/);
+});
@@ -0,0 +1,165 @@
+import { runSwap } from './swap-flow.js';
+import { checkGuardrails } from './guardrails.js';
+import { resolveToken } from './tokens.js';
+import { formatRate, formatTokenAmount, parseInterval, sleep } from './format.js';
+import { emitEvent, errorFields, quoteFields } from './logger.js';
+
+export const DEFAULT_WATCH_INTERVAL = '60s';
+export const DEFAULT_MAX_POLLS = 60;
+
+// Guardrail checks that stand for the target rate rather than the quote's quality
+const RATE_CHECKS = ['Minimum rate', 'Maximum rate'];
+
+// Parse an expiry given as a duration from now ("2h") or a date and time ("2026-10-20T08:00:00Z") into a timestamp
+export function parseExpiry(value, now = Date.now()) {
+    if (value === undefined || value === '') return undefined;
+    if (/^\d+(?:\.\d+)?\s*[smhd]$/i.test(String(value).trim())) {
+        return now + parseInterval(value);
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid expiry: ${value} (expected e.g. 2h or 2026-10-20T08:00:00Z)`);
+    }
+    return time;
+}
+
+// Describe the target, e.g. "≥ 160 USDT per SOL"
+function describeTarget(guardrails, fromToken, toToken) {
+    const bounds = [];
+    if (guardrails.minRate !== undefined) bounds.push(`≥ ${guardrails.minRate}`);
+    if (guardrails.maxRate !== undefined) bounds.push(`≤ ${guardrails.maxRate}`);
+    return `${bounds.join(' and ')} ${toToken.symbol} per ${fromToken.symbol}`;
+}
+
+// Quote the pair once and measure it against the target rate and the other guardrails
+async function observe(lifi, query, guardrails, poll, { log = console.log } = {}) {
+    const observation = { poll, at: new Date().toISOString() };
+    try {
+        emitEvent(log, 'quote_requested', { title: `Watch poll ${poll}`, ...query });
+        const quote = await lifi.getQuote(query);
+        emitEvent(log, 'quote_received', { title: `Watch poll ${poll}`, ...quoteFields(quote) });
+
+        const { fromToken, toToken, fromAmount } = quote.action;
+        const { checks } = checkGuardrails(quote, guardrails);
+        const failed = checks.filter(check => !check.ok);
+        Object.assign(observation, {
+            quoteId: quote.id,
+            tool: quote.toolDetails?.name || quote.tool,
+            toAmount: quote.estimate.toAmount,
+            rate: formatRate(fromAmount, fromToken.decimals, quote.estimate.toAmount, toToken.decimals),
+            rateMet: failed.every(check => !RATE_CHECKS.includes(check.name)),
+            breaches: failed.map(check => check.name)
+        });
+        observation.met = failed.length === 0;
+    } catch (error) {
+        Object.assign(observation, { met: false, error: error.message.split('\n')[0], errorCode: error.code });
+    }
+    return observation;
+}
+
+// One line per poll, e.g. "Poll 3/60: 1 SOL = 158.94 USDT via Jupiter, waiting for the rate"
+function formatObservation(observation, maxPolls, fromToken, toToken) {
+    const prefix = `[${observation.at}] Poll ${observation.poll}/${maxPolls}:`;
+    if (observation.error) {
+        return `❌ ${prefix} ${observation.error}`;
+    }
+
+    const rate = `1 ${fromToken.symbol} = ${observation.rate} ${toToken.symbol} ` +
+        `(${formatTokenAmount(observation.toAmount, toToken.decimals)} ${toToken.symbol}) via ${observation.tool}`;
+    if (observation.met) return `🎯 ${prefix} ${rate}, target met`;
+    if (!observation.rateMet) return `⏳ ${prefix} ${rate}, waiting for the rate`;
+    return `⚠️ ${prefix} ${rate}, rate met but guardrails breached: ${observation.breaches.join(', ')}`;
+}
+
+// Poll quotes for a pair until the rate meets the target and the guardrails pass, then run the swap;
+// stops at the expiry time or after maxPolls quotes
+export async function runWatch(context, params, options = {}) {
+    const { lifi, log = console.log } = context;
+    const {
+        guardrails,
+        priorityFee,
+        confirm,
+        dryRun = false,
+        interval = DEFAULT_WATCH_INTERVAL,
+        maxPolls = DEFAULT_MAX_POLLS,
+        expires
+    } = options;
+
+    if (guardrails?.minRate === undefined && guardrails?.maxRate === undefined) {
+        throw new Error('A target rate is required: set a minimum rate, a maximum rate or both');
+    }
+    if (!Number.isInteger(maxPolls) || maxPolls < 1) {
+        throw new Error(`Invalid number of polls: ${maxPolls}`);
+    }
+    const intervalMs = parseInterval(interval);
+    const expiresAt = parseExpiry(expires);
+
+    const fromToken = await resolveToken(lifi, params.fromChain, params.fromToken, { log });
+    const toToken = await resolveToken(lifi, params.toChain, params.toToken, { log });
+    const query = {
+        allowBridges: 'all',
+        allowExchanges: 'all',
+        order: 'RECOMMENDED',
+        ...params,
+        fromToken: fromToken.address,
+        toToken: toToken.address
+    };
+
+    log(`\n=== Watching ${formatTokenAmount(params.fromAmount, fromToken.decimals)} ${fromToken.symbol} → ${toToken.symbol} ===`);
+    log(`Target: ${describeTarget(guardrails, fromToken, toToken)}`);
+    log(`Polling every ${interval}, at most ${maxPolls} times` +
+        (expiresAt !== undefined ? `, until ${new Date(expiresAt).toISOString()}` : ''));
+
+    const observations = [];
+    let status = 'max-polls';
+    for (let poll = 1; poll <= maxPolls; poll++) {
+        if (expiresAt !== undefined && Date.now() >= expiresAt) {
+            status = 'expired';
+            break;
+        }
+
+        const observation = await observe(lifi, query, guardrails, poll, { log });
+        observations.push(observation);
+        log(formatObservation(observation, maxPolls, fromToken, toToken));
+        emitEvent(log, 'watch_observed', {
+            poll,
+            maxPolls,
+            quoteId: observation.quoteId,
+            tool: observation.tool,
+            fromSymbol: fromToken.symbol,
+            toSymbol: toToken.symbol,
+            toAmount: observation.toAmount,
+            rate: observation.rate,
+            minRate: guardrails.minRate,
+            maxRate: guardrails.maxRate,
+            rateMet: observation.rateMet,
+            met: observation.met,
+            breaches: observation.breaches,
+            error: observation.error
+        });
+
+        if (observation.met) {
+            log('\nTarget met, executing the swap');
+            try {
+                // The swap is quoted again, and that quote has to meet the target and guardrails too
+                const result = await runSwap(context, params, { guardrails, priorityFee, confirm, simulate: true, dryRun });
+                status = result.cancelled ? 'cancelled' : dryRun ? 'dry-run' : 'executed';
+                return { status, polls: poll, observations, result };
+            } catch (error) {
+                if (error.code !== 'GUARDRAIL_BREACH') throw error;
+                emitEvent(log, 'error', { ...errorFields(error), stage: 'watch', poll });
+                log('⚠️ The quote to execute no longer meets the target, watching on');
+            }
+        }
+
+        if (poll === maxPolls) break;
+        const wait = expiresAt !== undefined ? Math.min(intervalMs, expiresAt - Date.now()) : intervalMs;
+        if (wait > 0) await sleep(wait);
+    }
+
+    if (status === 'max-polls' && expiresAt !== undefined && Date.now() >= expiresAt) {
+        status = 'expired';
+    }
+    log(`\n${status === 'expired' ? 'Watch expired' : `Stopped after ${maxPolls} polls`} without meeting the target`);
+    return { status, polls: observations.length, observations };
+}
@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadGuardrails } from './guardrails.js';
+import { parseExpiry, runWatch } from './watch.js';
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+process.env.CHAIN_CACHE_FILE = path.join(cacheDir, 'chains.json');
+process.env.TOKEN_CACHE_FILE = path.join(cacheDir, 'tokens.json');
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const ETH = { address: '0x0000000000000000000000000000000000000000', symbol: 'ETH', decimals: 18, chainId: 1 };
+const USDC = { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', decimals: 6, chainId: 1 };
+const params = {
+    fromChain: 'eth',
+    toChain: 'eth',
+    fromToken: ETH.address,
+    toToken: USDC.address,
+    fromAmount: '1000000000000000000',
+    fromAddress: '0x1111111111111111111111111111111111111111'
+};
+
+// A 1 ETH → USDC quote at the given rate, with an EVM transaction so a dry run skips the Solana checks
+function quoteAt(rate) {
+    return {
+        id: `quote-${rate}`,
+        tool: 'uniswap',
+        toolDetails: { name: 'Uniswap V3' },
+        action: { fromChainId: 1, toChainId: 1, slippage: 0.005, fromAmount: params.fromAmount, fromToken: ETH, toToken: USDC },
+        estimate: {
+            toAmount: String(rate * 1e6),
+            toAmountMin: String(rate * 995000),
+            fromAmountUSD: String(rate),
+            toAmountUSD: String(rate),
+            gasCosts: [],
+            feeCosts: []
+        },
+        transactionRequest: { to: '0x2222222222222222222222222222222222222222', data: '0x', value: '0xde0b6b3a7640000' }
+    };
+}
+
+// Li.Fi stub whose quotes follow a list of rates, the last one repeating; an Error in the list fails that request
+function quoteSource(rates) {
+    const lifi = {
+        quotes: 0,
+        getToken: async ({ token }) => [ETH, USDC].find(entry => entry.address === token),
+        getConnections: async () => ({ connections: [{ fromChainId: 1, toChainId: 1 }] }),
+        getQuote: async () => {
+            const next = rates[Math.min(lifi.quotes++, rates.length - 1)];
+            if (next instanceof Error) throw next;
+            return quoteAt(next);
+        }
+    };
+    return lifi;
+}
+
+test('parseExpiry accepts a duration from now or a date and time', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    assert.equal(parseExpiry('2h', now), Date.parse('2026-10-19T14:00:00Z'));
+    assert.equal(parseExpiry('90s', now), now + 90000);
+    assert.equal(parseExpiry('2026-10-20T08:00:00Z', now), Date.parse('2026-10-20T08:00:00Z'));
+    assert.equal(parseExpiry(undefined, now), undefined);
+    assert.equal(parseExpiry('', now), undefined);
+    assert.throws(() => parseExpiry('tomorrow', now), /Invalid expiry: tomorrow/);
+});
+
+test('runWatch refuses to start without a target rate or with an invalid number of polls', async () => {
+    const context = { lifi: {}, log: () => {} };
+    await assert.rejects(runWatch(context, {}, { guardrails: { maxSlippage: 1 } }), /A target rate is required/);
+    await assert.rejects(runWatch(context, {}, { guardrails: { minRate: '160' }, maxPolls: 0 }), /Invalid number of polls: 0/);
+    await assert.rejects(runWatch(context, {}, { guardrails: { minRate: '160' }, interval: 'often' }), /Invalid interval/);
+});
+
+test('runWatch keeps polling until the rate reaches the target, then runs the swap', async () => {
+    const lifi = quoteSource([2400, new Error('Li.Fi is down'), 2450, 2510]);
+    const lines = [];
+    const result = await runWatch({ lifi, log: line => lines.push(line) }, params, {
+        guardrails: loadGuardrails({ minRate: '2500' }),
+        interval: '0.01s',
+        maxPolls: 10,
+        dryRun: true
+    });
+
+    assert.equal(result.status, 'dry-run');
+    assert.equal(result.polls, 4);
+    assert.deepEqual(result.observations.map(observation => observation.met), [false, false, false, true]);
+    assert.equal(result.observations[1].error, 'Li.Fi is down');
+    assert.equal(result.observations[3].rate, '2510.000000');
+    // One quote per poll, and a fresh one for the swap itself
+    assert.equal(lifi.quotes, 5);
+    assert.equal(result.result.quote.id, 'quote-2510');
+
+    assert.equal(lines[1], 'Target: ≥ 2500 USDC per ETH');
+    assert.ok(lines.some(line => /^⏳ \[.+\] Poll 1\/10: 1 ETH = 2400\.000000 USDC \(2400 USDC\) via Uniswap V3, waiting for the rate$/.test(line)));
+    assert.ok(lines.some(line => /^🎯 .* Poll 4\/10: .*, target met$/.test(line)));
+    assert.ok(lines.includes('\nDry run: transaction was not sent'));
+});
+
+test('runWatch watches on when the quote to execute falls short of the target again', async () => {
+    const lifi = quoteSource([2510, 2490, 2400]);
+    const lines = [];
+    const result = await runWatch({ lifi, log: line => lines.push(line) }, params, {
+        guardrails: loadGuardrails({ minRate: '2500' }),
+        interval: '0.01s',
+        maxPolls: 3,
+        dryRun: true
+    });
+
+    assert.equal(result.status, 'max-polls');
+    assert.equal(result.polls, 3);
+    assert.equal(result.result, undefined);
+    assert.ok(lines.includes('⚠️ The quote to execute no longer meets the target, watching on'));
+    assert.equal(lines.at(-1), '\nStopped after 3 polls without meeting the target');
+});
+
+test('runWatch stops when the watch expires', async () => {
+    const lifi = quoteSource([2400]);
+    const lines = [];
+    const started = Date.now();
+    const result = await runWatch({ lifi, log: line => lines.push(line) }, params, {
+        guardrails: loadGuardrails({ minRate: '2500', maxRate: '3000' }),
+        interval: '0.02s',
+        maxPolls: 1000,
+        expires: '0.1s'
+    });
+
+    assert.equal(result.status, 'expired');
+    assert.ok(result.polls >= 2 && result.polls < 1000);
+    assert.equal(lifi.quotes, result.polls);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(lines[1], 'Target: ≥ 2500 and ≤ 3000 USDC per ETH');
+    assert.equal(lines.at(-1), '\nWatch expired without meeting the target');
+});
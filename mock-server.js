@@ -0,0 +1,158 @@
+import fetch from 'node-fetch';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './lib/logger.js';
+
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(process.cwd(), 'fixtures');
+const PORT = Number(process.env.MOCK_PORT || 8787);
+const RECORD = process.argv.includes('--record');
+const STRICT = process.argv.includes('--strict');
+
+// Each mocked service is served under its own path prefix
+const SERVICES = [
+    { name: 'lifi', prefix: '/v1', upstream: 'https://li.quest/v1' },
+    { name: 'shyft', prefix: '/sol/v1', upstream: 'https://api.shyft.to/sol/v1' }
+];
+
+// Query parameters that must not change which fixture is served
+const IGNORED_PARAMS = ['fromAddress', 'toAddress', 'txn_signature', 'txHash'];
+
+const log = createLogger({ script: 'mock-server' });
+
+// Find which service a request path belongs to
+function matchService(pathname) {
+    return SERVICES
+        .filter(service => pathname === service.prefix || pathname.startsWith(service.prefix + '/'))
+        .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+}
+
+// Build a stable fixture key from the method, query and body of a request
+function fixtureKey(method, searchParams, body) {
+    const query = [...searchParams.entries()]
+        .filter(([key]) => !IGNORED_PARAMS.includes(key))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+
+    return crypto.createHash('sha1').update(`${method} ${query} ${body || ''}`).digest('hex').slice(0, 12);
+}
+
+// Resolve the exact and default fixture paths for a request
+function fixturePaths(service, endpoint, key) {
+    const dir = path.join(FIXTURES_DIR, service.name, endpoint.replace(/^\/+/, '').replace(/\//g, '-') || 'root');
+    return {
+        exact: path.join(dir, `${key}.json`),
+        fallback: path.join(dir, 'default.json')
+    };
+}
+
+// Read the full request body
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+// Forward a request upstream and save the response as a fixture
+async function recordFixture(service, endpoint, url, req, body, file) {
+    const headers = { 'Accept': 'application/json' };
+    if (req.headers['x-api-key']) headers['x-api-key'] = req.headers['x-api-key'];
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${service.upstream}${endpoint}${url.search}`, {
+        method: req.method,
+        headers,
+        body: body || undefined
+    });
+    const text = await response.text();
+
+    let responseBody;
+    try {
+        responseBody = JSON.parse(text);
+    } catch {
+        responseBody = text;
+    }
+
+    const fixture = {
+        request: {
+            method: req.method,
+            endpoint,
+            query: Object.fromEntries(url.searchParams),
+            body: body ? JSON.parse(body) : undefined
+        },
+        status: response.status,
+        body: responseBody
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    log(`Recorded ${service.name} ${req.method} ${endpoint} -> ${path.relative(process.cwd(), file)}`);
+    return fixture;
+}
+
+// Load a recorded fixture, falling back to the endpoint default
+function loadFixture({ exact, fallback }) {
+    if (fs.existsSync(exact)) return { file: exact, fixture: JSON.parse(fs.readFileSync(exact, 'utf8')) };
+    if (!STRICT && fs.existsSync(fallback)) return { file: fallback, fixture: JSON.parse(fs.readFileSync(fallback, 'utf8')) };
+    return null;
+}
+
+// Send a JSON response
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const service = matchService(url.pathname);
+
+    if (!service) {
+        sendJson(res, 404, { message: `No mocked service for ${url.pathname}` });
+        return;
+    }
+
+    const endpoint = url.pathname.slice(service.prefix.length) || '/';
+    const body = await readBody(req);
+    const key = fixtureKey(req.method, url.searchParams, body);
+    const paths = fixturePaths(service, endpoint, key);
+
+    try {
+        if (RECORD) {
+            const fixture = await recordFixture(service, endpoint, url, req, body, paths.exact);
+            sendJson(res, fixture.status, fixture.body);
+            return;
+        }
+
+        const loaded = loadFixture(paths);
+        if (!loaded) {
+            log(`❌ No fixture for ${service.name} ${req.method} ${endpoint} (key ${key})`);
+            log.event('error', { message: 'No fixture recorded', stage: 'mock', service: service.name, method: req.method, endpoint, key });
+            sendJson(res, 404, { message: `No fixture recorded for ${req.method} ${endpoint}`, key });
+            return;
+        }
+
+        log(`${service.name} ${req.method} ${endpoint} -> ${path.relative(process.cwd(), loaded.file)}`);
+        sendJson(res, loaded.fixture.status || 200, loaded.fixture.body);
+    } catch (error) {
+        log(`❌ Error handling ${req.method} ${endpoint}: ${error.message}`);
+        log.error(error, { stage: 'mock', service: service.name, method: req.method, endpoint });
+        sendJson(res, 502, { message: error.message });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res);
+});
+
+server.listen(PORT, () => {
+    log.event('run_started', { port: PORT, mode: RECORD ? 'record' : 'replay', strict: STRICT });
+    log(`Mock Li.Fi/Shyft server listening on http://localhost:${PORT} (${RECORD ? 'record' : 'replay'} mode)`);
+    log(`LI_FI_API_URL=http://localhost:${PORT}/v1`);
+    log(`SHYFT_API_URL=http://localhost:${PORT}/sol/v1`);
+});
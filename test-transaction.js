@@ -1,119 +1,49 @@
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
-import { Connection, PublicKey, Keypair, Transaction, VersionedTransaction } from '@solana/web3.js';
-import bs58 from 'bs58';
-import fs from 'fs';
-import path from 'path';
 import readline from 'readline';
+import { createLifiClient, describeLifiError } from './lib/lifi-client.js';
+import { formatAmount } from './lib/format.js';
+import { logQuoteDetails } from './lib/quote.js';
+import { createLogger, quoteFields } from './lib/logger.js';
+import { simulateSwap } from './lib/simulate.js';
+import { assertGuardrails, loadGuardrails } from './lib/guardrails.js';
+import { assertTransactionInspection, summarizeInspection } from './lib/inspect.js';
+import { assertBalances } from './lib/balances.js';
+import { selectWallet } from './lib/wallets.js';
+import { sendTransaction, confirmTransactionByBlockhash } from './lib/solana-swap.js';
+import { buildQuoteTransaction, buildSignedTransaction, describeTransactionRequest } from './lib/solana-transaction.js';
+import { loadConfig, createConnection } from './lib/config.js';
 
 dotenv.config();
 
-const API_URL = 'https://li.quest/v1';
-const LOG_FILE = 'lifi_swaps.log';
+const config = loadConfig();
+const lifi = createLifiClient({ baseUrl: config.lifi.apiUrl, apiKey: config.lifi.apiKey });
+const log = createLogger({ script: 'test-transaction' });
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
-// Check if SOL_SECRET is set
-if (!process.env.SOL_SECRET) {
-    console.error('Error: SOL_SECRET is not set in .env file');
-    process.exit(1);
-}
-
-// Initialize Solana connection
-const connection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
-
-// Initialize wallet from private key
+// Load the signing wallet: SOL_SECRET, or a keypair file or encrypted keystore from wallets.json
 let wallet;
 try {
-    const secretKey = bs58.decode(process.env.SOL_SECRET);
-    wallet = Keypair.fromSecretKey(secretKey);
+    wallet = await selectWallet().getSolanaSigner();
     console.log('Solana wallet initialized with address:', wallet.publicKey.toString());
 } catch (error) {
     console.error('Error initializing Solana wallet:', error.message);
     process.exit(1);
 }
 
-// Format amount with decimals
-function formatAmount(amount, decimals) {
-    return (Number(amount) / Math.pow(10, decimals)).toFixed(decimals);
-}
-
-// Format USD amount
-function formatUSD(amount) {
-    return `$${Number(amount).toFixed(2)}`;
-}
-
-// Write to log file
-function writeToLog(message) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}\n`;
-    
-    // Also log to console
-    console.log(message);
-    
-    // Append to log file
-    fs.appendFileSync(LOG_FILE, logMessage);
-}
-
-// Log quote details
-function logQuoteDetails(quote) {
-    const logLines = [
-        '\n=== Li.Fi Quote Details ===',
-        
-        '\n1. Pre-Execution Quote:',
-        `From: ${formatAmount(quote.action.fromAmount, quote.action.fromToken.decimals)} ${quote.action.fromToken.symbol}`,
-        `To: ${formatAmount(quote.estimate.toAmount, quote.action.toToken.decimals)} ${quote.action.toToken.symbol}`,
-        `Rate: 1 ${quote.action.fromToken.symbol} = ${(Number(quote.estimate.toAmount) / Number(quote.action.fromAmount) * Math.pow(10, quote.action.fromToken.decimals - quote.action.toToken.decimals)).toFixed(6)} ${quote.action.toToken.symbol}`,
-        
-        '\nUSD Values:',
-        `From: ${formatUSD(quote.estimate.fromAmountUSD)}`,
-        `To: ${formatUSD(quote.estimate.toAmountUSD)}`,
-        
-        '\n2. Estimated Fees:'
-    ];
-
-    // Add gas costs
-    if (quote.estimate.gasCosts && quote.estimate.gasCosts.length > 0) {
-        quote.estimate.gasCosts.forEach(cost => {
-            logLines.push(`Gas: ${formatAmount(cost.amount, cost.token.decimals)} ${cost.token.symbol} (${formatUSD(cost.amountUSD)})`);
-        });
-    }
-    
-    // Add fee costs
-    if (quote.estimate.feeCosts && quote.estimate.feeCosts.length > 0) {
-        quote.estimate.feeCosts.forEach(cost => {
-            logLines.push(`Fee: ${formatAmount(cost.amount, cost.token.decimals)} ${cost.token.symbol} (${formatUSD(cost.amountUSD)})`);
-        });
-    }
-    
-    // Add swap details
-    logLines.push(
-        '\nSwap Details:',
-        `DEX: ${quote.toolDetails.name}`,
-        `Slippage: ${(quote.action.slippage * 100).toFixed(2)}%`,
-        `Minimum Received: ${formatAmount(quote.estimate.toAmountMin, quote.action.toToken.decimals)} ${quote.action.toToken.symbol}`,
-        
-        '\n3. Post-Execution Results:',
-        'Final Amount Received: [Will be filled after transaction]',
-        'Actual Fees Paid: [Will be filled after transaction]',
-        
-        '\n4. Transaction Links:',
-        'Solscan: [Will be filled after transaction]',
-        '\n' + '='.repeat(50) + '\n'
-    );
+// Create readline interface for user input
+const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+});
 
-    // Write all lines to log
-    logLines.forEach(line => writeToLog(line));
-}
+// Solana connection for the active profile (PROFILE, default mainnet)
+const connection = createConnection(config);
 
 // Get a quote for your desired transfer
 async function getQuote(fromChain, toChain, fromToken, toToken, fromAmount, fromAddress) {
     try {
-        const params = new URLSearchParams({
+        log('\nRequesting quote from Li.Fi...');
+        log.event('quote_requested', { fromChain, toChain, fromToken, toToken, fromAmount });
+        const quote = await lifi.getQuote({
             fromChain,
             toChain,
             fromToken,
@@ -121,26 +51,13 @@ async function getQuote(fromChain, toChain, fromToken, toToken, fromAmount, from
             fromAmount,
             fromAddress,
         });
-
-        writeToLog('\nRequesting quote from Li.Fi...');
-        const response = await fetch(`${API_URL}/quote?${params}`, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const quote = await response.json();
-        logQuoteDetails(quote);
+        log.event('quote_received', quoteFields(quote));
+        logQuoteDetails(quote, { log });
         return quote;
     } catch (error) {
         const errorLines = [
             '\n❌ Error fetching quote: ' + error.message,
+            ...describeLifiError(error),
             '\nFailed Quote Parameters:',
             `From Chain: ${fromChain}`,
             `To Chain: ${toChain}`,
@@ -150,40 +67,11 @@ async function getQuote(fromChain, toChain, fromToken, toToken, fromAmount, from
             '\n' + '='.repeat(50) + '\n'
         ];
         
-        errorLines.forEach(line => writeToLog(line));
-        throw error;
-    }
-}
-
-// Check wallet balance
-async function checkWalletBalance() {
-    try {
-        const balance = await connection.getBalance(wallet.publicKey);
-        writeToLog(`\nCurrent wallet balance: ${formatAmount(balance, 9)} SOL`);
-        return balance;
-    } catch (error) {
-        writeToLog(`\n❌ Error checking balance: ${error.message}`);
+        errorLines.forEach(line => log(line));
         throw error;
     }
 }
 
-// Verify transaction data
-function verifyTransactionData(transactionData) {
-    if (!transactionData) {
-        throw new Error('No transaction data provided');
-    }
-    
-    try {
-        const transaction = VersionedTransaction.deserialize(Buffer.from(transactionData, 'base64'));
-        if (!transaction) {
-            throw new Error('Failed to deserialize transaction');
-        }
-        return true;
-    } catch (error) {
-        throw new Error(`Invalid transaction data: ${error.message}`);
-    }
-}
-
 // Ask for user confirmation
 function askConfirmation(question) {
     return new Promise((resolve) => {
@@ -195,13 +83,7 @@ function askConfirmation(question) {
 
 async function run() {
     try {
-        // Check wallet balance first
-        const balance = await checkWalletBalance();
         const amountToSwap = 10000000; // 0.01 SOL
-        
-        if (balance < amountToSwap) {
-            throw new Error(`Insufficient balance. Required: ${formatAmount(amountToSwap, 9)} SOL, Available: ${formatAmount(balance, 9)} SOL`);
-        }
 
         const params = {
             fromChain: 'sol',
@@ -222,72 +104,68 @@ async function run() {
             params.fromAddress
         );
 
-        if (!quote.transactionRequest || !quote.transactionRequest.data) {
-            throw new Error('No transaction data in quote response');
-        }
+        // Verify the transaction request can be built, whatever shape it has
+        log('Transaction request: ' + describeTransactionRequest(quote.transactionRequest));
+        await buildQuoteTransaction(connection, quote, { payer: wallet.publicKey });
 
-        // Verify transaction data
-        verifyTransactionData(quote.transactionRequest.data);
+        // Refuse quotes outside the configured guardrails
+        assertGuardrails(quote, loadGuardrails(), { log });
+
+        // Decode the transaction and refuse transfers the quote does not explain
+        const inspection = await assertTransactionInspection(connection, quote, { wallet: wallet.publicKey, log });
+
+        // Make sure the wallet holds the amount plus fees and rent for any token accounts the swap creates
+        await assertBalances(connection, quote, { wallet: wallet.publicKey, log });
+
+        // Simulate the signed transaction before anything is broadcast
+        const simulation = await simulateSwap(connection, wallet, quote, { log });
+        if (simulation.err) {
+            throw new Error(`Simulation failed: ${JSON.stringify(simulation.err)}`);
+        }
 
         // Ask for confirmation
         const confirmed = await askConfirmation(
             `\n⚠️  WARNING: You are about to swap ${formatAmount(amountToSwap, 9)} SOL to USDT.\n` +
             `Estimated to receive: ${formatAmount(quote.estimate.toAmount, quote.action.toToken.decimals)} USDT\n` +
             `DEX: ${quote.toolDetails.name}\n` +
-            `Slippage: ${(quote.action.slippage * 100).toFixed(2)}%\n\n` +
+            `Slippage: ${(quote.action.slippage * 100).toFixed(2)}%\n` +
+            `${summarizeInspection(inspection)}\n\n` +
             `Do you want to proceed? (yes/no): `
         );
 
         if (!confirmed) {
-            writeToLog('\nTransaction cancelled by user');
+            log('\nTransaction cancelled by user');
             return;
         }
 
-        // Get the transaction data
-        const transactionData = quote.transactionRequest.data;
-        
-        // Get recent blockhash
-        writeToLog('\nGetting recent blockhash...');
-        const { blockhash } = await connection.getLatestBlockhash();
-
-        // Create versioned transaction from the data
-        const transaction = VersionedTransaction.deserialize(Buffer.from(transactionData, 'base64'));
-        
-        // Sign the transaction
-        transaction.sign([wallet]);
+        // Build and sign the transaction
+        const transaction = await buildSignedTransaction(connection, quote, wallet);
 
         // Send the transaction
-        writeToLog('\nSending transaction...');
-        const signature = await connection.sendRawTransaction(
-            transaction.serialize(),
-            { skipPreflight: false }
-        );
+        log('\nSending transaction...');
+        const signature = await sendTransaction(connection, transaction);
 
-        writeToLog('Transaction sent: ' + signature);
+        log('Transaction sent: ' + signature);
+        log.event('tx_sent', { kind: 'swap', chain: 'sol', txHash: signature });
 
-        // Wait for confirmation
-        writeToLog('Waiting for transaction confirmation...');
-        const confirmation = await connection.confirmTransaction(signature);
+        // Wait for confirmation, rebroadcasting until the blockhash Li.Fi used expires
+        log('Waiting for transaction confirmation...');
+        const { slot } = await confirmTransactionByBlockhash(connection, transaction, signature, { log });
 
-        if (confirmation.value.err) {
-            throw new Error(`Transaction failed: ${confirmation.value.err}`);
-        }
-
-        writeToLog('\n✅ Transaction completed successfully!');
-        writeToLog('Transaction signature: ' + signature);
-        writeToLog('Solscan link: https://solscan.io/tx/' + signature);
+        log.event('tx_confirmed', { kind: 'swap', chain: 'sol', txHash: signature, slot });
+        log('\n✅ Transaction completed successfully!');
+        log('Transaction signature: ' + signature);
+        log('Solscan link: https://solscan.io/tx/' + signature);
 
     } catch (error) {
-        writeToLog('\n❌ Error in run: ' + error.message);
+        log.error(error);
+        process.exitCode = 1;
+        log('\n❌ Error in run: ' + error.message);
     } finally {
         rl.close();
     }
 }
 
-// Create log file if it doesn't exist
-if (!fs.existsSync(LOG_FILE)) {
-    fs.writeFileSync(LOG_FILE, 'Li.Fi Swap Logs\n' + '='.repeat(50) + '\n');
-}
-
-writeToLog('Testing Li.Fi API functionality for Solana...');
+log.event('run_started');
+log('Testing Li.Fi API functionality for Solana...');
 run(); 
\ No newline at end of file